@@ -1,250 +1,1026 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import Header from './components/Header';
 import TabSwitcher from './components/TabSwitcher';
 import FileUpload from './components/FileUpload';
+import MergeOptions from './components/MergeOptions';
+import JobProgress from './components/JobProgress';
+import ProtectOptions from './components/ProtectOptions';
+import CompressOptions from './components/CompressOptions';
+import SplitOutputOptions from './components/SplitOutputOptions';
+import StampOptions from './components/StampOptions';
+import MetadataPanel from './components/MetadataPanel';
+import FormOptions from './components/FormOptions';
+import PipelinePanel from './components/PipelinePanel';
+import WorkspaceBar from './components/WorkspaceBar';
+import CompareView from './components/CompareView';
+import RedactOptions from './components/RedactOptions';
+import LayoutOptions from './components/LayoutOptions';
 
-import { PDFDocument, PageSizes } from 'pdf-lib';
-import { Loader2, Shield, Zap, Lock } from 'lucide-react';
-import JSZip from 'jszip';
+import { Shield, Zap, Lock } from 'lucide-react';
+import {
+  validatePageInput,
+  validateSplitInput,
+  validateMergeOptions,
+  validateProtection,
+  validateImageDpi,
+  validateStamp,
+  validateFormValues,
+  validateRedaction,
+  validateLayout,
+  layoutFileName,
+  checkWorkload,
+  buildSplitGroups,
+  buildImageExports,
+  toFileSafe,
+  zipFiles,
+} from './lib/pdfOps';
+import { runPdfJob, progressFraction } from './lib/pdfJobs';
+import { openForRendering, renderPageImages, detectContentBoxes } from './lib/pdfRender';
+import { formatFileReport } from './lib/pdfRepair';
+import { validateStep, describeStep, createRecipe, parseRecipe } from './lib/pdfPipeline';
+import { comparePdfs, revokeComparison } from './lib/pdfCompare';
+import { buildSearchPattern, findTextAreas, findLeaks } from './lib/pdfTextSearch';
+import { createFileEntry } from './lib/fileEntries';
+import { onLaunchFiles, takeSharedFiles } from './lib/pwa';
+import {
+  loadWorkspace,
+  saveWorkspace,
+  clearWorkspace,
+  getWorkspaceExpiry,
+  setWorkspaceExpiry,
+} from './lib/workspaceStore';
 
-/**
- * Parses a page input string like "1, 3-5, 10" into an array of page numbers.
- * Returns sorted, unique page numbers (1-based).
- */
-function parsePageInput(input) {
-  if (!input || !input.trim()) {
-    return [];
-  }
+const HEADINGS = {
+  merge: {
+    title: 'Merge PDF files',
+    text: 'Combine PDFs in the order you want with the easiest PDF merger available.',
+  },
+  split: {
+    title: 'Split PDF files',
+    text: 'Separate one page or a whole set for conversion into independent PDF files, or split everything into a ZIP in one go.',
+  },
+  compress: {
+    title: 'Compress PDF files',
+    text: 'Shrink large scans and documents right on your device, and see how much smaller they get before you download.',
+  },
+  stamp: {
+    title: 'Stamp PDF files',
+    text: 'Add a watermark, a logo, page numbers or Bates numbers to all pages or just the ones you pick.',
+  },
+  fill: {
+    title: 'Fill PDF forms',
+    text: 'Type into the fields of a fillable PDF, tick its boxes and save it, optionally flattened so the answers stay put.',
+  },
+  pipeline: {
+    title: 'Build a PDF pipeline',
+    text: 'Combine files, then remove pages, rotate, number and compress step by step. Undo any step, and save the steps as a recipe for next time.',
+  },
+  compare: {
+    title: 'Compare PDF files',
+    text: 'See what changed between two versions of a document, page by page, with the changed areas and words highlighted.',
+  },
+  redact: {
+    title: 'Redact PDF files',
+    text: 'Black out names, numbers and whole areas for good: the text and images underneath are removed from the file, not just covered.',
+  },
+  layout: {
+    title: 'Lay out PDF files',
+    text: 'Print handouts with 2, 4 or 9 pages per sheet, turn a document into a booklet, crop away its margins or resize it to another paper size.',
+  },
+};
 
-  const pages = new Set();
-  const parts = input.split(',').map(p => p.trim()).filter(p => p);
+const JOB_FAILURES = {
+  merge: 'Failed to merge PDFs. Please try again.',
+  split: 'Failed to split PDF. Please try again.',
+  compress: 'Failed to compress PDF. Please try again.',
+  export: 'Failed to export pages as images. Please try again.',
+  stamp: 'Failed to stamp PDF. Please try again.',
+  fill: 'Failed to fill the form. Please try again.',
+  pipeline: 'Failed to run the pipeline step. Please try again.',
+  compare: 'Failed to compare the PDFs. Please try again.',
+  search: 'Failed to search the PDF. Please try again.',
+  redact: 'Failed to redact PDF. Please try again.',
+  layout: 'Failed to lay out PDF. Please try again.',
+};
 
-  for (const part of parts) {
-    if (part.includes('-')) {
-      // Handle range like "3-5"
-      const [startStr, endStr] = part.split('-').map(s => s.trim());
-      const start = parseInt(startStr, 10);
-      const end = parseInt(endStr, 10);
+// Resolution of the pictures that replace redacted pages when they are rasterized
+const RASTERIZE_DPI = 150;
 
-      if (isNaN(start) || isNaN(end)) {
-        return null; // Invalid format
-      }
-      if (start > end) {
-        return null; // Invalid range
-      }
+const isImageFile = file => file.type.startsWith('image/');
 
-      for (let i = start; i <= end; i++) {
-        pages.add(i);
-      }
-    } else {
-      // Handle single page like "1"
-      const page = parseInt(part, 10);
-      if (isNaN(page)) {
-        return null; // Invalid format
-      }
-      pages.add(page);
-    }
-  }
+// What the installed app accepts from "Open with" and the share sheet
+const OPENABLE_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
 
-  return Array.from(pages).sort((a, b) => a - b);
+/**
+ * Creates the page list used by the thumbnail grid, one entry per source page.
+ */
+function createPageList(totalPages) {
+  return Array.from({ length: totalPages }, (_, index) => ({
+    id: index,
+    index, // 0-based page index in the source PDF
+    rotation: 0, // extra clockwise rotation in degrees
+    selected: false,
+  }));
 }
 
 /**
- * Validates the page input string and returns an error message or null if valid.
+ * Triggers a browser download for the given blob.
  */
-function validatePageInput(input, totalPages) {
-  // Check for empty input
-  if (!input || !input.trim()) {
-    return 'Please enter the pages you want to extract.';
-  }
-
-  // Check for invalid characters (only allow digits, commas, hyphens, and spaces)
-  if (!/^[\d,\-\s]+$/.test(input)) {
-    return 'Invalid format. Use only numbers, commas, and hyphens (e.g., 1, 3-5, 10).';
-  }
-
-  // Check for malformed patterns
-  if (/--/.test(input) || /,,/.test(input) || /^[,\-]/.test(input.trim()) || /[,\-]$/.test(input.trim())) {
-    return 'Invalid format. Check your input for extra commas or hyphens.';
-  }
-
-  // Parse and validate the pages
-  const pages = parsePageInput(input);
-
-  if (pages === null) {
-    return 'Invalid format. Use formats like: 1, 3-5, 10';
-  }
-
-  if (pages.length === 0) {
-    return 'Please enter at least one page number.';
-  }
+function downloadBlob(blob, fileName) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
 
-  // Check if all pages are within range
-  const outOfRange = pages.filter(p => p < 1 || p > totalPages);
-  if (outOfRange.length > 0) {
-    if (outOfRange.length === 1) {
-      return `Page ${outOfRange[0]} is out of range. This PDF has ${totalPages} page${totalPages > 1 ? 's' : ''}.`;
-    }
-    return `Pages ${outOfRange.join(', ')} are out of range. This PDF has ${totalPages} page${totalPages > 1 ? 's' : ''}.`;
+/**
+ * Tells the user what a finished job had to leave out, if anything.
+ */
+function showWarnings(warnings) {
+  if (warnings && warnings.length > 0) {
+    alert(warnings.join('\n'));
   }
+}
 
-  return null; // Valid
+/**
+ * Downloads the [{ fileName, bytes, type }] outputs of a worker job.
+ */
+function downloadOutputs(outputs) {
+  outputs.forEach(output => downloadBlob(new Blob([output.bytes], { type: output.type }), output.fileName));
 }
 
 function App() {
-  const [activeTab, setActiveTab] = useState('merge'); // 'merge' or 'split'
-  const [files, setFiles] = useState([]);
+  const [activeTab, setActiveTab] = useState('merge'); // 'merge', 'split', 'compress', 'stamp', 'fill', 'pipeline', 'compare', 'redact' or 'layout'
+  const [files, setFiles] = useState([]); // [{ id, file, range, reverse, password }]
+  const [fileInfo, setFileInfo] = useState({}); // { pageCount, locked, metadata, fields, status, issues, warnings, error } per file id, once loaded
+  const countedFileIds = useRef(new Set());
+  const countQueue = useRef(Promise.resolve());
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null); // { fraction, label } while a job runs
+  const jobController = useRef(null);
+  const [splitMode, setSplitMode] = useState('extract'); // 'extract', 'each', 'chunk' or 'groups'
   const [splitRange, setSplitRange] = useState('');
+  const [chunkSize, setChunkSize] = useState('1');
+  const [pages, setPages] = useState([]); // thumbnail grid state for 'arrange' mode
+  const [splitFormat, setSplitFormat] = useState('pdf'); // 'pdf', 'png' or 'jpeg'
+  const [imageDpi, setImageDpi] = useState('150');
+  const [mergeMode, setMergeMode] = useState('preserve'); // 'preserve' or 'normalize'
+  const [mergeOrder, setMergeOrder] = useState('append'); // 'append' or 'interleave'
+  const [mergeOptions, setMergeOptions] = useState({
+    pageSize: 'A4',
+    customWidth: '210',
+    customHeight: '297',
+    orientation: 'portrait',
+    fit: 'fit',
+    margin: '0',
+  });
+  const [mergeError, setMergeError] = useState('');
   const [splitError, setSplitError] = useState('');
-  const [totalPages, setTotalPages] = useState(0);
+  const [protection, setProtection] = useState({
+    enabled: false,
+    userPassword: '',
+    ownerPassword: '',
+    noPrint: false,
+    noCopy: false,
+    noModify: false,
+  });
+  const [compressLevel, setCompressLevel] = useState('balanced'); // 'lossless', 'balanced' or 'strong'
+  const [compressed, setCompressed] = useState(null); // { fileId, level, protection, metadata, output } of the last run
+  const [stamp, setStamp] = useState({
+    range: '', // pages to stamp; empty means all pages
+    watermark: 'text', // 'none', 'text' or 'image'
+    text: 'CONFIDENTIAL',
+    fontSize: '60',
+    color: '#dc2626',
+    opacity: '30',
+    rotation: '45',
+    position: 'center',
+    imageScale: '40', // image width in % of the page width
+    numbering: false,
+    template: 'Page {page} of {total}',
+    start: '1',
+    placement: 'footer', // 'header' or 'footer'
+    align: 'center',
+    numberSize: '10',
+  });
+  const [stampImage, setStampImage] = useState(null); // File for an image watermark
+  const [metadataEdits, setMetadataEdits] = useState({}); // edited metadata fields per file id
+  const [stripMetadata, setStripMetadata] = useState(false);
+  const [formValues, setFormValues] = useState({}); // edited form field values by field name
+  const [flattenForm, setFlattenForm] = useState(false);
+  // { files, results: [{ step, bytes, pageCount }], position }; results[0] is the combined input (step null)
+  const [pipeline, setPipeline] = useState(null);
+  const [pipelineError, setPipelineError] = useState('');
+  const [comparison, setComparison] = useState(null); // { files, result } of the last comparison (see `comparePdfs`)
+  // [{ page, x, y, width, height, text, pattern }] in PDF user space; found areas keep the search that found them
+  const [redactAreas, setRedactAreas] = useState([]);
+  const [redactSearch, setRedactSearch] = useState({ presets: [], terms: '', regex: false });
+  const [rasterizeRedacted, setRasterizeRedacted] = useState(false);
+  const [redactError, setRedactError] = useState('');
+  const [redactReport, setRedactReport] = useState(''); // what the last redaction removed
+  const [layout, setLayout] = useState({
+    mode: 'nup', // 'nup', 'booklet', 'crop' or 'resize'
+    perSheet: 2,
+    pageSize: 'A4',
+    customWidth: '210',
+    customHeight: '297',
+    orientation: 'auto',
+    margin: '5',
+    gutter: '5',
+    cropMode: 'auto', // 'auto' or 'manual'
+    crop: { top: '10', right: '10', bottom: '10', left: '10' },
+    sameCrop: true,
+  });
+  const [workspaceReady, setWorkspaceReady] = useState(false); // false until the saved workspace is restored
+  const [workspaceExpiry, setExpiry] = useState(getWorkspaceExpiry);
+  const [savedUntil, setSavedUntil] = useState(null); // when the saved workspace expires, if one is kept
+  const restoredPages = useRef(null); // thumbnail grid of a restored workspace, applied once its file is counted
 
-  // Load PDF and get total pages when file is added in split mode
+  // Restore the workspace saved before a reload; files opened with or shared to the
+  // installed app then join the merge list
   useEffect(() => {
-    const loadPdfInfo = async () => {
-      if (activeTab === 'split' && files.length > 0) {
+    const openFiles = (opened) => {
+      const entries = opened.filter(file => OPENABLE_TYPES.includes(file.type)).map(createFileEntry);
+      if (entries.length === 0) return;
+      setActiveTab('merge');
+      setFiles((prev) => [...prev, ...entries]);
+    };
+
+    loadWorkspace()
+      .then((saved) => {
+        if (!saved) return;
+        setActiveTab(saved.activeTab);
+        setFiles(saved.files.map(({ file, range, reverse }) => ({ ...createFileEntry(file), range, reverse: Boolean(reverse) })));
+        setSplitMode(saved.splitMode);
+        setSplitRange(saved.splitRange);
+        setChunkSize(saved.chunkSize);
+        setMergeMode(saved.mergeMode);
+        setMergeOrder(saved.mergeOrder || 'append'); // Not kept by workspaces saved before interleaving
+        setMergeOptions(saved.mergeOptions);
+        setCompressLevel(saved.compressLevel);
+        restoredPages.current = saved.pages;
+        setSavedUntil(saved.expiresAt);
+      })
+      .catch(error => console.warn('Could not restore the saved workspace:', error))
+      .finally(() => {
+        setWorkspaceReady(true);
+        onLaunchFiles(openFiles);
+        takeSharedFiles().then(openFiles);
+      });
+  }, []);
+
+  // Count the pages of every file in the list, so per-file ranges can be checked.
+  // Files are loaded one after another to keep memory in check on large batches,
+  // and loaded again when the user enters a password for an encrypted one.
+  useEffect(() => {
+    for (const { id, file, password } of files) {
+      const key = `${id}:${password}`;
+      if (countedFileIds.current.has(key)) continue;
+      countedFileIds.current.add(key);
+
+      if (isImageFile(file)) {
+        setFileInfo((prev) => ({ ...prev, [id]: { pageCount: 1, locked: null, metadata: null, fields: [], status: 'valid', issues: [], warnings: [], error: null } }));
+        continue; // An image always becomes a single page
+      }
+
+      countQueue.current = countQueue.current.then(async () => {
+        const info = { pageCount: 0, locked: null, metadata: null, fields: [], status: 'failed', issues: [], warnings: [], error: null };
         try {
-          const file = files[0];
           const fileBuffer = await file.arrayBuffer();
-          const pdf = await PDFDocument.load(fileBuffer);
-          setTotalPages(pdf.getPageCount());
+          const { pageCount, metadata, fields, encrypted, issues, warnings } = await runPdfJob('inspect', { buffer: fileBuffer, password }, { transfer: [fileBuffer] });
+          info.pageCount = pageCount;
+          info.metadata = metadata;
+          info.fields = fields;
+          info.issues = issues;
+          info.warnings = warnings;
+          info.status = issues.length > 0 ? 'repaired' : encrypted ? 'encrypted' : 'valid';
         } catch (error) {
-          console.error('Error loading PDF info:', error);
-          setTotalPages(0);
+          if (error.code === 'PASSWORD_REQUIRED' || error.code === 'PASSWORD_INCORRECT') {
+            info.locked = error.code;
+            info.status = 'encrypted';
+          } else {
+            info.error = error.message; // Shown next to the file, and in the report
+          }
         }
-      } else {
-        setTotalPages(0);
+        setFileInfo((prev) => ({ ...prev, [id]: info }));
+      });
+    }
+  }, [files]);
+
+  // Split works on the first file; its page count drives validation and the thumbnail grid
+  const splitFile = activeTab === 'split' && files.length > 0 ? files[0] : null;
+  const totalPages = splitFile && fileInfo[splitFile.id] ? fileInfo[splitFile.id].pageCount : 0;
+
+  useEffect(() => {
+    const restored = restoredPages.current;
+    if (restored && totalPages > 0) {
+      restoredPages.current = null;
+      if (restored.every(page => page.index < totalPages)) {
+        setPages(restored);
+        return;
       }
-    };
-    loadPdfInfo();
-  }, [files, activeTab]);
+    }
+    setPages(createPageList(totalPages));
+  }, [splitFile, totalPages]);
+
+  // Per-file page ranges for merging; an empty range means all pages
+  const rangeErrors = useMemo(() => {
+    const errors = {};
+    for (const { id, range } of files) {
+      const pageCount = fileInfo[id] ? fileInfo[id].pageCount : 0;
+      if (range.trim() && pageCount > 0) {
+        const error = validatePageInput(range, pageCount);
+        if (error) errors[id] = error;
+      }
+    }
+    return errors;
+  }, [files, fileInfo]);
+
+  // Files still waiting for a password, or that could not be read at all
+  const hasUnusableFiles = files.some(({ id }) => fileInfo[id] && (fileInfo[id].locked || fileInfo[id].status === 'failed'));
+  const workloadWarning = checkWorkload(files
+    .filter(({ id }) => fileInfo[id])
+    .map(({ id, file }) => ({ size: file.size, pageCount: fileInfo[id].pageCount })));
+  const hasImages = files.some(({ file }) => isImageFile(file));
+  const stampFile = activeTab === 'stamp' && files.length > 0 ? files[0] : null;
+  const stampPageCount = stampFile && fileInfo[stampFile.id] ? fileInfo[stampFile.id].pageCount : 0;
+  const stampError = stampFile ? validateStamp(stamp, stampPageCount, { hasImage: Boolean(stampImage) }) || '' : '';
+  const dpiError = splitFormat !== 'pdf' ? validateImageDpi(imageDpi) || '' : '';
+  const layoutFile = activeTab === 'layout' && files.length > 0 ? files[0] : null;
+  const layoutError = layoutFile ? validateLayout(layout) || '' : '';
+  const formFile = activeTab === 'fill' && files.length > 0 ? files[0] : null;
+  const formFileId = formFile ? formFile.id : null;
+  const formInfo = formFile ? fileInfo[formFile.id] : null;
+  const formFields = formInfo && !formInfo.locked ? formInfo.fields : null;
+  const formError = formFields ? validateFormValues(formFields, formValues) || '' : '';
+
+  // Edited values belong to the file they were typed into
+  useEffect(() => {
+    setFormValues({});
+  }, [formFileId]);
+
+  // Likewise redaction areas belong to the file they were marked on
+  const redactFile = activeTab === 'redact' && files.length > 0 ? files[0] : null;
+  const redactFileId = redactFile ? redactFile.id : null;
+  const redactInfo = redactFile ? fileInfo[redactFile.id] : null;
+  const redactPageCount = redactInfo && !redactInfo.locked ? redactInfo.pageCount : 0;
+
+  useEffect(() => {
+    setRedactAreas([]);
+  }, [redactFileId]);
+
+  useEffect(() => {
+    setRedactError('');
+    setRedactReport('');
+  }, [redactAreas, redactSearch]);
+
+  /**
+   * The metadata for an output made from the file with `id`: null to strip it, the
+   * file's edited properties, or undefined to keep its own (see `mergePdfs`).
+   */
+  const outputMetadata = (id) => {
+    if (stripMetadata) return null;
+    if (id === undefined || !metadataEdits[id]) return undefined;
+    return { ...fileInfo[id].metadata, ...metadataEdits[id] };
+  };
+
+  // Changes whenever the metadata of a file's outputs does, so stale results can be told apart
+  const outputMetadataKey = (id) => (stripMetadata ? null : metadataEdits[id]);
+  const outputProtection = protection.enabled ? protection : null;
+  const protectionError = validateProtection(outputProtection) || '';
+
+  // A compressed copy is only offered while it still matches the file and settings it was made with
+  const compressFile = activeTab === 'compress' && files.length > 0 ? files[0] : null;
+  const compressResult = compressed && compressFile
+    && compressed.fileId === compressFile.id
+    && compressed.level === compressLevel
+    && compressed.protection === outputProtection
+    && compressed.metadata === outputMetadataKey(compressFile.id)
+    ? compressed.output
+    : null;
+
+  // Likewise a pipeline only lives on while the files it started from are unchanged
+  const activePipeline = activeTab === 'pipeline' && pipeline && pipeline.files === files ? pipeline : null;
+  const pipelineResult = activePipeline ? activePipeline.results[activePipeline.position] : null;
+  const activeComparison = activeTab === 'compare' && comparison && comparison.files === files ? comparison.result : null;
+
+  // The page images of a comparison are released once it is replaced or the app closes
+  useEffect(() => () => {
+    if (comparison) revokeComparison(comparison.result);
+  }, [comparison]);
 
   // Validate input as user types (with debounce effect)
   useEffect(() => {
-    if (activeTab === 'split' && splitRange && totalPages > 0) {
-      const error = validatePageInput(splitRange, totalPages);
+    const hasInput = splitMode === 'chunk'
+      ? chunkSize !== ''
+      : splitMode === 'each' || splitMode === 'arrange' || splitRange;
+    if (activeTab === 'split' && hasInput && totalPages > 0) {
+      const error = validateSplitInput(splitMode, { range: splitRange, chunkSize, totalPages, pages });
       setSplitError(error || '');
     } else {
       setSplitError('');
     }
-  }, [splitRange, totalPages, activeTab]);
+  }, [splitMode, splitRange, chunkSize, pages, totalPages, activeTab]);
 
   const handleTabChange = (tab) => {
     setActiveTab(tab);
     setFiles([]); // Clear files when switching modes
+    restoredPages.current = null;
+    setCompressed(null);
+    setPipeline(null);
+    setPipelineError('');
+    setComparison(null);
     setSplitRange('');
     setSplitError('');
   };
 
-  const handleMerge = async () => {
+  const handleSplitModeChange = (mode) => {
+    setSplitMode(mode);
+    setSplitRange('');
+    setSplitError('');
+  };
+
+  // Validate sheet options as the user edits them
+  useEffect(() => {
+    setMergeError(validateMergeOptions(mergeMode, mergeOptions, { hasImages }) || '');
+  }, [mergeMode, mergeOptions, hasImages]);
+
+  // Save the workspace shortly after it changes, so a reload or crash can pick it up again
+  useEffect(() => {
+    if (!workspaceReady) return undefined;
+
+    const timer = setTimeout(() => {
+      saveWorkspace({
+        activeTab,
+        files: files.map(({ file, range, reverse }) => ({ file, range, reverse })),
+        splitMode,
+        splitRange,
+        chunkSize,
+        pages,
+        mergeMode,
+        mergeOrder,
+        mergeOptions,
+        compressLevel,
+      })
+        .then(setSavedUntil)
+        .catch(error => console.warn('Could not save the workspace:', error));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [workspaceReady, workspaceExpiry, activeTab, files, splitMode, splitRange, chunkSize, pages, mergeMode, mergeOrder, mergeOptions, compressLevel]);
+
+  // Remove the saved workspace once it expires while the app is open. Background tabs
+  // hold timers back, so check again whenever the tab is shown.
+  useEffect(() => {
+    if (!savedUntil) return undefined;
+
+    const expire = () => {
+      setSavedUntil(null);
+      clearWorkspace().catch(error => console.warn('Could not remove the expired workspace:', error));
+    };
+    const checkExpiry = () => {
+      if (document.visibilityState === 'visible' && Date.now() >= savedUntil) expire();
+    };
+    const timer = setTimeout(expire, savedUntil - Date.now());
+    document.addEventListener('visibilitychange', checkExpiry);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', checkExpiry);
+    };
+  }, [savedUntil]);
+
+  /**
+   * Runs `task(signal, onProgress)` with the progress bar and cancel button showing.
+   * `onProgress` takes the { file, page } events of the worker jobs. Resolves to the
+   * task's outputs ([{ fileName, bytes, type }]), or null when it failed or was cancelled.
+   */
+  const runTask = async (type, task) => {
+    const controller = new AbortController();
+    jobController.current = controller;
     setIsProcessing(true);
+    setProgress({ fraction: 0, label: 'Reading files...' });
+
     try {
-      const mergedPdf = await PDFDocument.create();
-
-      for (const file of files) {
-        const fileBuffer = await file.arrayBuffer();
-        const pdf = await PDFDocument.load(fileBuffer);
-        const pageIndices = pdf.getPageIndices();
-
-        for (const index of pageIndices) {
-          const [embeddedPage] = await mergedPdf.embedPages([pdf.getPages()[index]]);
-          const embeddedPageDims = embeddedPage.scale(1);
-
-          const a4Width = PageSizes.A4[0];
-          const a4Height = PageSizes.A4[1];
-
-          // Calculate scale to fit within A4 while maintaining aspect ratio
-          const scale = Math.min(
-            a4Width / embeddedPageDims.width,
-            a4Height / embeddedPageDims.height
-          );
-
-          // Calculate dimensions
-          const dims = embeddedPage.scale(scale);
-
-          // Calculate centering coordinates
-          const x = (a4Width - dims.width) / 2;
-          const y = (a4Height - dims.height) / 2;
-
-          // Add new A4 page and draw the embedded page
-          const page = mergedPdf.addPage(PageSizes.A4);
-          page.drawPage(embeddedPage, {
-            ...dims,
-            x,
-            y,
-          });
-        }
+      return await task(controller.signal, (event) => {
+        setProgress({
+          fraction: progressFraction(event),
+          label: `${event.file.name} · file ${event.file.index + 1} of ${event.file.count}`,
+        });
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`Error running ${type} job:`, error);
+        alert(JOB_FAILURES[type]);
       }
+      return null;
+    } finally {
+      jobController.current = null;
+      setIsProcessing(false);
+      setProgress(null);
+    }
+  };
 
-      const pdfBytes = await mergedPdf.save();
-      const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
-      link.download = 'merged.pdf';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+  /**
+   * Runs a job in the PDF worker and shows its warnings. `prepare` reads the input files and returns { payload, transfer }.
+   */
+  const runJob = (type, prepare) => runTask(type, async (signal, onProgress) => {
+    const { payload, transfer } = await prepare();
+    const { outputs, warnings } = await runPdfJob(type, payload, { transfer, signal, onProgress });
+    showWarnings(warnings);
+    return outputs;
+  });
 
+  const handleMerge = async () => {
+    const validationError = validateMergeOptions(mergeMode, mergeOptions, { hasImages });
+    if (validationError) {
+      setMergeError(validationError);
+      return;
+    }
+    if (Object.keys(rangeErrors).length > 0 || hasUnusableFiles || protectionError) {
+      return; // Errors and password prompts are already shown next to each file
+    }
+
+    // The merged file takes the properties of the first PDF
+    const firstPdf = files.find(({ file }) => !isImageFile(file));
+    const merged = await runJob('merge', async () => {
+      // Read every file up front; the buffers are handed to the worker without copying
+      const payloadFiles = await Promise.all(files.map(async ({ file, range, reverse, password }) => ({
+        name: file.name,
+        buffer: await file.arrayBuffer(),
+        password,
+        range, // Only the pages asked for in this file's range, or all of them
+        reverse,
+      })));
+      return {
+        payload: {
+          files: payloadFiles,
+          mode: mergeMode,
+          order: mergeOrder,
+          options: mergeOptions,
+          metadata: outputMetadata(firstPdf && firstPdf.id),
+          protection: outputProtection,
+        },
+        transfer: payloadFiles.map(f => f.buffer),
+      };
+    });
+
+    if (merged) {
+      downloadOutputs(merged);
       setFiles([]); // Auto-reset
-    } catch (error) {
-      console.error('Error merging PDFs:', error);
-      alert('Failed to merge PDFs. Please try again.');
-    } finally {
-      setIsProcessing(false);
     }
   };
 
   const handleSplit = async () => {
-    if (files.length === 0) return;
+    if (files.length === 0 || hasUnusableFiles) return;
+    if (splitFormat === 'pdf' ? protectionError : dpiError) return;
 
     // Validate input before processing
-    const validationError = validatePageInput(splitRange, totalPages);
+    const validationError = validateSplitInput(splitMode, { range: splitRange, chunkSize, totalPages, pages });
     if (validationError) {
       setSplitError(validationError);
       return;
     }
 
-    setIsProcessing(true);
+    const { id, file, password } = files[0];
+
+    // Work out which pages (1-based) go into which output file
+    const groups = buildSplitGroups(splitMode, {
+      range: splitRange,
+      chunkSize,
+      totalPages,
+      pages,
+      sourceName: file.name,
+    });
+    const singleFile = splitMode === 'extract' || splitMode === 'arrange';
+    const baseName = toFileSafe(file.name.replace(/\.pdf$/i, ''));
+
+    const splitDone = splitFormat !== 'pdf' ? await runTask('export', async (signal, onProgress) => {
+      // Render in the page, where pdf.js has a canvas to draw on
+      const exports = buildImageExports(groups, { sourceName: file.name, format: splitFormat });
+      const images = await renderPageImages(new Uint8Array(await file.arrayBuffer()), password, exports, {
+        dpi: Number(imageDpi),
+        format: splitFormat,
+        signal,
+        onProgress: (page) => onProgress({ file: { index: 0, count: 1, name: file.name }, page }),
+      });
+      if (images.length === 1) {
+        return [{ ...images[0], type: `image/${splitFormat}` }];
+      }
+      const zipName = `${baseName}-images.zip`;
+      return [{ fileName: zipName, bytes: await zipFiles(images), type: 'application/zip' }];
+    }) : await runJob('split', async () => {
+      const buffer = await file.arrayBuffer();
+      return {
+        payload: {
+          buffer,
+          password,
+          groups,
+          metadata: outputMetadata(id),
+          protection: outputProtection,
+          zipName: singleFile ? null : `${baseName}-split.zip`,
+        },
+        transfer: [buffer],
+      };
+    });
+
+    if (splitDone) {
+      downloadOutputs(splitDone);
+      // Reset state
+      setFiles([]);
+      setSplitRange('');
+      setSplitError('');
+    }
+  };
+
+  const handleCompress = async () => {
+    if (!compressFile || hasUnusableFiles || protectionError) return;
+
+    const { id, file, password } = compressFile;
+    const outputs = await runJob('compress', async () => {
+      const buffer = await file.arrayBuffer();
+      return {
+        payload: {
+          buffer,
+          password,
+          level: compressLevel,
+          metadata: outputMetadata(id),
+          protection: outputProtection,
+          fileName: `${toFileSafe(file.name.replace(/\.pdf$/i, ''))}-compressed.pdf`,
+        },
+        transfer: [buffer],
+      };
+    });
+
+    // Keep the result so the sizes can be compared before downloading
+    if (outputs) {
+      setCompressed({
+        fileId: id,
+        level: compressLevel,
+        protection: outputProtection,
+        metadata: outputMetadataKey(id),
+        output: outputs[0],
+      });
+    }
+  };
+
+  const handleStamp = async () => {
+    if (!stampFile || hasUnusableFiles || stampError || protectionError) return;
+
+    const { id, file, password } = stampFile;
+    const stamped = await runJob('stamp', async () => {
+      const buffer = await file.arrayBuffer();
+      const image = stamp.watermark === 'image' ? await stampImage.arrayBuffer() : null;
+      return {
+        payload: {
+          buffer,
+          password,
+          settings: stamp,
+          image,
+          metadata: outputMetadata(id),
+          protection: outputProtection,
+          fileName: `${toFileSafe(file.name.replace(/\.pdf$/i, ''))}-stamped.pdf`,
+        },
+        transfer: image ? [buffer, image] : [buffer],
+      };
+    });
+
+    if (stamped) {
+      downloadOutputs(stamped);
+      setFiles([]);
+    }
+  };
+
+  const handleFill = async () => {
+    if (!formFile || hasUnusableFiles || formError || protectionError) return;
+
+    const { id, file, password } = formFile;
+    const filled = await runJob('fill', async () => {
+      const buffer = await file.arrayBuffer();
+      return {
+        payload: {
+          buffer,
+          password,
+          values: formValues,
+          flatten: flattenForm,
+          metadata: outputMetadata(id),
+          protection: outputProtection,
+          fileName: `${toFileSafe(file.name.replace(/\.pdf$/i, ''))}-filled.pdf`,
+        },
+        transfer: [buffer],
+      };
+    });
+
+    if (filled) {
+      downloadOutputs(filled);
+      setFiles([]);
+    }
+  };
+
+  /**
+   * Reads the files like a merge does and combines them into the start of a pipeline.
+   * Resolves to its first result.
+   */
+  const startPipeline = async (signal, onProgress) => {
+    const payloadFiles = await Promise.all(files.map(async ({ file, range, password }) => ({
+      name: file.name,
+      buffer: await file.arrayBuffer(),
+      password,
+      range,
+    })));
+    const { outputs, pageCount } = await runPdfJob('pipelineStart', { files: payloadFiles, options: mergeOptions }, {
+      transfer: payloadFiles.map(f => f.buffer),
+      signal,
+      onProgress,
+    });
+    return { step: null, bytes: outputs[0].bytes, pageCount };
+  };
+
+  /**
+   * Applies `step` to the result `from` and resolves to the new result.
+   */
+  const applyStep = async (from, step, signal, onProgress) => {
+    const buffer = from.bytes.slice().buffer; // The history keeps its own copy
+    const { outputs, pageCount } = await runPdfJob('pipelineStep', { buffer, step }, { transfer: [buffer], signal, onProgress });
+    return { step, bytes: outputs[0].bytes, pageCount };
+  };
+
+  // Puts new results after the current one, replacing any undone steps
+  const pushResults = (current, added) => {
+    const results = [...current.results.slice(0, current.position + 1), ...added];
+    setPipeline({ files, results, position: results.length - 1 });
+  };
+
+  const handleStartPipeline = async () => {
+    if (Object.keys(rangeErrors).length > 0 || hasUnusableFiles) return;
+
+    setPipelineError('');
+    const start = await runTask('pipeline', startPipeline);
+    if (start) {
+      setPipeline({ files, results: [start], position: 0 });
+    }
+  };
+
+  const handleAddStep = async (step) => {
+    if (!activePipeline || validateStep(step, pipelineResult.pageCount)) return;
+
+    setPipelineError('');
+    const result = await runTask('pipeline', (signal, onProgress) => applyStep(pipelineResult, step, signal, onProgress));
+    if (result) {
+      pushResults(activePipeline, [result]);
+    }
+  };
+
+  const moveInHistory = (position) => {
+    if (!activePipeline || isProcessing || position < 0 || position >= activePipeline.results.length) return;
+    setPipeline({ ...activePipeline, position });
+  };
+
+  const handleRunRecipe = async (recipeFile) => {
+    if (Object.keys(rangeErrors).length > 0 || hasUnusableFiles) return;
+
+    setPipelineError('');
+    let steps;
     try {
-      const file = files[0];
-      const fileBuffer = await file.arrayBuffer();
-      const pdf = await PDFDocument.load(fileBuffer);
+      steps = parseRecipe(await recipeFile.text());
+    } catch (error) {
+      setPipelineError(error.message);
+      return;
+    }
+
+    // The steps run after the current result, or after the combined files for a new pipeline
+    const current = activePipeline;
+    const added = await runTask('pipeline', async (signal, onProgress) => {
+      const results = current ? [] : [await startPipeline(signal, onProgress)];
+      let last = current ? current.results[current.position] : results[0];
+      for (const [index, step] of steps.entries()) {
+        const error = validateStep(step, last.pageCount);
+        if (error) {
+          setPipelineError(`Step ${index + 1} of the recipe (${describeStep(step)}): ${error}`);
+          break; // Keep the steps that ran, so the user can pick up from there
+        }
+        last = await applyStep(last, step, signal, onProgress);
+        results.push(last);
+      }
+      return results;
+    });
+
+    if (added) {
+      pushResults(current || { results: [], position: -1 }, added);
+    }
+  };
 
-      // Parse the user's page selection (1-based)
-      const selectedPages = parsePageInput(splitRange);
+  const handleSaveRecipe = () => {
+    const steps = activePipeline.results.slice(1, activePipeline.position + 1).map(result => result.step);
+    const recipe = JSON.stringify(createRecipe(steps), null, 2);
+    downloadBlob(new Blob([recipe], { type: 'application/json' }), 'pdfsnap-recipe.json');
+  };
 
-      // Create a new PDF with only the selected pages
-      const newPdf = await PDFDocument.create();
+  const handlePreview = (index) => {
+    const url = URL.createObjectURL(new Blob([activePipeline.results[index].bytes], { type: 'application/pdf' }));
+    window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
 
-      for (const pageNum of selectedPages) {
-        // Convert 1-based user input to 0-based index for pdf-lib
-        const pageIndex = pageNum - 1;
-        const [copiedPage] = await newPdf.copyPages(pdf, [pageIndex]);
-        newPdf.addPage(copiedPage);
+  const handleDownloadPipeline = () => {
+    const baseName = toFileSafe(files[0].file.name.replace(/\.[^.]+$/, ''));
+    downloadBlob(new Blob([pipelineResult.bytes], { type: 'application/pdf' }), `${baseName}-processed.pdf`);
+  };
+
+  // Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y) step through the pipeline history, outside text fields
+  useEffect(() => {
+    if (!activePipeline) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        event.preventDefault();
+        moveInHistory(activePipeline.position + (key === 'y' || event.shiftKey ? 1 : -1));
       }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
-      // Save and download the new PDF
-      const pdfBytes = await newPdf.save();
-      const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
+  const handleCompare = async () => {
+    if (files.length !== 2 || hasUnusableFiles) return;
 
-      // Download with "splitted" filename
-      link.download = 'splitted.pdf';
+    const [original, revised] = files;
+    const result = await runTask('compare', async (signal, onProgress) => {
+      const read = async ({ file, password }) => ({ name: file.name, bytes: new Uint8Array(await file.arrayBuffer()), password });
+      return comparePdfs(await read(original), await read(revised), { signal, onProgress });
+    });
 
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+    if (result) {
+      setComparison({ files, result });
+    }
+  };
 
-      // Reset state
+  const handleLayout = async () => {
+    if (!layoutFile || hasUnusableFiles || layoutError || protectionError) return;
+
+    const { id, file, password } = layoutFile;
+    const fileName = layoutFileName(file.name, layout);
+    const result = await runTask('layout', async (signal, onProgress) => {
+      const buffer = await file.arrayBuffer();
+      // Finding the margins takes page renders, which the worker cannot make
+      const contentBoxes = layout.mode === 'crop' && layout.cropMode === 'auto'
+        ? await detectContentBoxes(new Uint8Array(buffer), password, {
+          signal,
+          onProgress: (page) => onProgress({ file: { index: 0, count: 1, name: file.name }, page }),
+        })
+        : null;
+      return runPdfJob('layout', {
+        buffer,
+        password,
+        settings: layout,
+        contentBoxes,
+        metadata: outputMetadata(id),
+        protection: outputProtection,
+        fileName,
+      }, { transfer: [buffer], signal, onProgress });
+    });
+
+    if (result) {
+      showWarnings(result.warnings);
+      downloadOutputs(result.outputs);
       setFiles([]);
-      setSplitRange('');
-      setSplitError('');
-    } catch (error) {
-      console.error('Error splitting PDF:', error);
-      alert('Failed to split PDF. Please try again.');
-    } finally {
-      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * Searches the redact file for `redactSearch` and marks what it finds. Resolves to
+   * the number of new areas, or null when the search could not run.
+   */
+  const handleFindText = async () => {
+    const { pattern, error } = buildSearchPattern(redactSearch);
+    if (error) {
+      setRedactError(error);
+      return null;
+    }
+
+    const { file, password } = redactFile;
+    const found = await runTask('search', async (signal, onProgress) => {
+      const doc = await openForRendering(new Uint8Array(await file.arrayBuffer()), password);
+      try {
+        return await findTextAreas(doc, pattern, {
+          signal,
+          onProgress: (page) => onProgress({ file: { index: 0, count: 1, name: file.name }, page }),
+        });
+      } finally {
+        doc.destroy();
+      }
+    });
+    if (!found) return null;
+
+    const isMarked = (area, marked) => marked.some(other => other.page === area.page
+      && Math.abs(other.x - area.x) < 1 && Math.abs(other.y - area.y) < 1);
+    // Each area keeps its pattern, so the check after redacting looks for what was actually searched
+    const added = found.filter(area => !isMarked(area, redactAreas)).map(area => ({ ...area, pattern }));
+    setRedactAreas((prev) => [...prev, ...added]);
+    return added.length;
+  };
+
+  const handleRedact = async () => {
+    if (!redactFile || hasUnusableFiles || protectionError) return;
+    const validationError = validateRedaction(redactAreas, redactPageCount);
+    if (validationError) {
+      setRedactError(validationError);
+      return;
+    }
+
+    const { id, file, password } = redactFile;
+    const areas = redactAreas.map(({ page, x, y, width, height }) => ({ page, x, y, width, height }));
+    const fileName = `${toFileSafe(file.name.replace(/\.pdf$/i, ''))}-redacted.pdf`;
+    const result = await runTask('redact', async (signal, onProgress) => {
+      const buffer = await file.arrayBuffer();
+      const redacted = await runPdfJob('redact', {
+        buffer,
+        password,
+        areas,
+        // Rasterized pages keep their images, blacked out only under the boxes
+        removeImages: !rasterizeRedacted,
+        metadata: outputMetadata(id),
+        // Encrypt only once the pages are rasterized, if they are
+        protection: rasterizeRedacted ? null : outputProtection,
+        fileName,
+      }, { transfer: [buffer], signal, onProgress });
+      let output = redacted.outputs[0];
+
+      if (rasterizeRedacted) {
+        // Render the pages unturned: they keep their rotation, and the picture is placed on the unrotated page
+        const exports = redacted.pages.map(({ page, rotation }) => ({ fileName: '', page, rotation: (360 - rotation) % 360 }));
+        const images = await renderPageImages(output.bytes, undefined, exports, {
+          dpi: RASTERIZE_DPI,
+          format: 'jpeg',
+          signal,
+          onProgress: (page) => onProgress({ file: { index: 0, count: 1, name: file.name }, page }),
+        });
+        const rasterBuffer = output.bytes.buffer;
+        const pageImages = images.map((image, i) => ({ page: exports[i].page, buffer: image.bytes.buffer }));
+        const rasterized = await runPdfJob('rasterize', {
+          buffer: rasterBuffer,
+          images: pageImages,
+          metadata: outputMetadata(id),
+          protection: outputProtection,
+          fileName,
+        }, { transfer: [rasterBuffer, ...pageImages.map(image => image.buffer)], signal, onProgress });
+        output = rasterized.outputs[0];
+      }
+
+      // Check the result the way a reader would see it before handing it out
+      const patterns = [...new Set(redactAreas.map(area => area.pattern).filter(Boolean))];
+      const doc = await openForRendering(output.bytes, outputProtection ? outputProtection.userPassword : undefined);
+      try {
+        return { output, summary: redacted.summary, leaks: await findLeaks(doc, areas, { patterns }) };
+      } finally {
+        doc.destroy();
+      }
+    });
+    if (!result) return;
+
+    if (result.leaks.length > 0) {
+      const [leak] = result.leaks;
+      setRedactError(`Text is still readable under a redaction area on page ${leak.page} ("${leak.text}"), so the file was not saved. Turn the redacted pages into images and try again.`);
+      return;
+    }
+
+    const { glyphs, images, annotations, fields } = result.summary;
+    const removed = [
+      [glyphs, 'character'],
+      [images, 'image'],
+      [annotations, 'annotation'],
+      [fields, 'form field'],
+    ].filter(([count]) => count > 0).map(([count, noun]) => `${count} ${noun}${count !== 1 ? 's' : ''}`);
+    downloadOutputs([result.output]);
+    setRedactReport(`${removed.length > 0 ? `Removed ${removed.join(', ')}.` : 'Nothing but blank space was under the boxes.'} No text is left under the redaction areas.`);
+  };
+
+  const handleExpiryChange = (expiry) => {
+    setWorkspaceExpiry(expiry);
+    setExpiry(expiry); // Saves again, or removes the saved workspace for 'off'
+  };
+
+  const handleClearWorkspace = () => {
+    handleTabChange(activeTab);
+    setMetadataEdits({});
+    setFormValues({});
+    setSavedUntil(null);
+    clearWorkspace().catch(error => console.warn('Could not clear the saved workspace:', error));
+  };
+
+  const handleDownloadReport = () => {
+    const report = formatFileReport(files
+      .filter(({ id }) => fileInfo[id])
+      .map(({ id, file }) => ({ name: file.name, size: file.size, ...fileInfo[id] })));
+    downloadBlob(new Blob([report], { type: 'text/plain' }), 'pdf-file-report.txt');
+  };
+
+  const handleCancel = () => {
+    if (jobController.current) {
+      jobController.current.abort();
     }
   };
 
@@ -258,12 +1034,10 @@ function App() {
           {/* Hero Section */}
           <div className="text-center mb-4 space-y-1">
             <h1 className="text-3xl md:text-4xl font-extrabold tracking-tight text-gray-900">
-              {activeTab === 'merge' ? 'Merge PDF files' : 'Split PDF files'}
+              {HEADINGS[activeTab].title}
             </h1>
             <p className="text-sm text-gray-500 max-w-xl mx-auto">
-              {activeTab === 'merge'
-                ? 'Combine PDFs in the order you want with the easiest PDF merger available.'
-                : 'Separate one page or a whole set for conversion into independent PDF files.'}
+              {HEADINGS[activeTab].text}
             </p>
           </div>
 
@@ -274,29 +1048,196 @@ function App() {
               files={files}
               setFiles={setFiles}
               activeTab={activeTab}
+              splitMode={splitMode}
+              setSplitMode={handleSplitModeChange}
               splitRange={splitRange}
               setSplitRange={setSplitRange}
+              chunkSize={chunkSize}
+              setChunkSize={setChunkSize}
+              pages={pages}
+              setPages={setPages}
+              onResetPages={() => setPages(createPageList(totalPages))}
               splitError={splitError}
               totalPages={totalPages}
+              fileInfo={fileInfo}
+              rangeErrors={rangeErrors}
+              compressedSize={compressResult ? compressResult.bytes.length : null}
+              onDownloadReport={handleDownloadReport}
             />
 
+            {activeTab === 'merge' && files.length > 0 && (
+              <MergeOptions
+                mergeMode={mergeMode}
+                setMergeMode={setMergeMode}
+                mergeOrder={mergeOrder}
+                setMergeOrder={setMergeOrder}
+                mergeOptions={mergeOptions}
+                setMergeOptions={setMergeOptions}
+                mergeError={mergeError}
+                hasImages={hasImages}
+              />
+            )}
+
+            {activeTab === 'split' && files.length > 0 && (
+              <SplitOutputOptions
+                splitFormat={splitFormat}
+                setSplitFormat={setSplitFormat}
+                imageDpi={imageDpi}
+                setImageDpi={setImageDpi}
+                dpiError={dpiError}
+              />
+            )}
+
+            {activeTab === 'stamp' && files.length > 0 && (
+              <StampOptions
+                stamp={stamp}
+                setStamp={setStamp}
+                stampImage={stampImage}
+                setStampImage={setStampImage}
+                stampError={stampError}
+                totalPages={stampPageCount}
+              />
+            )}
+
+            {activeTab === 'fill' && files.length > 0 && (
+              <FormOptions
+                fields={formFields}
+                formValues={formValues}
+                setFormValues={setFormValues}
+                flattenForm={flattenForm}
+                setFlattenForm={setFlattenForm}
+                formError={formError}
+              />
+            )}
+
+            {activeTab === 'pipeline' && files.length > 0 && (
+              <PipelinePanel
+                pipeline={activePipeline}
+                pipelineError={pipelineError}
+                isProcessing={isProcessing}
+                onAddStep={handleAddStep}
+                onUndo={() => moveInHistory(activePipeline.position - 1)}
+                onRedo={() => moveInHistory(activePipeline.position + 1)}
+                onJump={moveInHistory}
+                onPreview={handlePreview}
+                onSaveRecipe={handleSaveRecipe}
+                onRunRecipe={handleRunRecipe}
+              />
+            )}
+
+            {activeTab === 'compare' && files.length === 1 && (
+              <p className="mt-4 text-xs text-slate-500 text-left">
+                Add the revised version to compare it with this one. The first file is taken as the original; drag to swap them.
+              </p>
+            )}
+
+            {activeComparison && (
+              <CompareView
+                comparison={activeComparison}
+                originalName={files[0].file.name}
+                revisedName={files[1].file.name}
+              />
+            )}
+
+            {redactPageCount > 0 && (
+              <RedactOptions
+                key={redactFile.id}
+                file={redactFile.file}
+                password={redactFile.password}
+                pageCount={redactPageCount}
+                areas={redactAreas}
+                setAreas={setRedactAreas}
+                search={redactSearch}
+                setSearch={setRedactSearch}
+                onFind={handleFindText}
+                isProcessing={isProcessing}
+                rasterize={rasterizeRedacted}
+                setRasterize={setRasterizeRedacted}
+                redactError={redactError}
+                redactReport={redactReport}
+              />
+            )}
+
+            {activeTab === 'layout' && files.length > 0 && (
+              <LayoutOptions
+                layout={layout}
+                setLayout={setLayout}
+                layoutError={layoutError}
+              />
+            )}
+
+            {activeTab === 'compress' && files.length > 0 && (
+              <CompressOptions
+                compressLevel={compressLevel}
+                setCompressLevel={setCompressLevel}
+              />
+            )}
+
+            {files.length > 0 && activeTab !== 'pipeline' && activeTab !== 'compare' && !(activeTab === 'split' && splitFormat !== 'pdf') && (
+              <MetadataPanel
+                files={files}
+                fileInfo={fileInfo}
+                metadataEdits={metadataEdits}
+                setMetadataEdits={setMetadataEdits}
+                stripMetadata={stripMetadata}
+                setStripMetadata={setStripMetadata}
+                activeTab={activeTab}
+              />
+            )}
+
+            {files.length > 0 && activeTab !== 'pipeline' && activeTab !== 'compare' && !(activeTab === 'split' && splitFormat !== 'pdf') && (
+              <ProtectOptions
+                protection={protection}
+                setProtection={setProtection}
+                protectionError={protectionError}
+              />
+            )}
+
+            {files.length > 0 && workloadWarning && !isProcessing && (
+              <p className="mt-4 px-3 py-2 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-lg text-left">
+                {workloadWarning}
+              </p>
+            )}
+
             {files.length > 0 && (
               <div className="mt-4 animate-in fade-in slide-in-from-bottom-4 duration-500">
-                <button
-                  onClick={activeTab === 'merge' ? handleMerge : handleSplit}
-                  disabled={isProcessing}
-                  className="w-full py-2.5 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 disabled:from-blue-400 disabled:to-blue-500 text-white text-sm font-bold rounded-xl shadow-lg shadow-blue-600/20 transition-all active:scale-95 disabled:cursor-not-allowed disabled:active:scale-100 flex justify-center items-center gap-2"
-                >
-                  {isProcessing && <Loader2 className="w-4 h-4 animate-spin" />}
-                  {isProcessing
-                    ? 'Processing...'
-                    : (activeTab === 'merge' ? 'Merge PDF Files' : 'Split PDF Files')
-                  }
-                </button>
+                {isProcessing ? (
+                  <JobProgress progress={progress} onCancel={handleCancel} />
+                ) : compressResult ? (
+                  <button
+                    onClick={() => downloadOutputs([compressResult])}
+                    className="w-full py-2.5 bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 text-white text-sm font-bold rounded-xl shadow-lg shadow-emerald-600/20 transition-all active:scale-95 flex justify-center items-center gap-2"
+                  >
+                    Download Compressed PDF
+                  </button>
+                ) : pipelineResult ? (
+                  <button
+                    onClick={handleDownloadPipeline}
+                    className="w-full py-2.5 bg-gradient-to-r from-emerald-600 to-emerald-700 hover:from-emerald-700 hover:to-emerald-800 text-white text-sm font-bold rounded-xl shadow-lg shadow-emerald-600/20 transition-all active:scale-95 flex justify-center items-center gap-2"
+                  >
+                    Download Result
+                  </button>
+                ) : (
+                  <button
+                    onClick={{ merge: handleMerge, split: handleSplit, compress: handleCompress, stamp: handleStamp, fill: handleFill, pipeline: handleStartPipeline, compare: handleCompare, redact: handleRedact, layout: handleLayout }[activeTab]}
+                    className="w-full py-2.5 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white text-sm font-bold rounded-xl shadow-lg shadow-blue-600/20 transition-all active:scale-95 flex justify-center items-center gap-2"
+                  >
+                    {activeTab === 'split' && splitFormat !== 'pdf'
+                      ? 'Export Pages as Images'
+                      : { merge: 'Merge PDF Files', split: 'Split PDF Files', compress: 'Compress PDF', stamp: 'Stamp PDF', fill: 'Save Filled PDF', pipeline: 'Start Pipeline', compare: 'Compare PDFs', redact: 'Redact PDF', layout: 'Lay Out PDF' }[activeTab]}
+                  </button>
+                )}
               </div>
             )}
           </div>
 
+          <WorkspaceBar
+            expiry={workspaceExpiry}
+            setExpiry={handleExpiryChange}
+            savedUntil={savedUntil}
+            onClear={handleClearWorkspace}
+          />
+
           {/* Info Cards Grid */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-6">
             <div className="bg-white border border-slate-200 shadow-sm rounded-xl p-4 transition-all duration-300 ease-out hover:-translate-y-0.5 hover:shadow-md">
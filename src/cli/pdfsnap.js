@@ -0,0 +1,298 @@
+/**
+ * Command-line front end for the PDF operations in ../lib/pdfOps.js.
+ * Runs fully offline on pdf-lib and uses the same page-range syntax and error
+ * messages as the web app.
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  parsePageInput,
+  validatePageInput,
+  validateSplitInput,
+  validateMergeOptions,
+  buildSplitGroups,
+  getPageCount,
+  mergePdfs,
+  splitPdf,
+  PdfPasswordError,
+} from '../lib/pdfOps.js';
+import { parseRecipe, validateStep, describeStep, combineInputs, runStep } from '../lib/pdfPipeline.js';
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1; // Unexpected error while processing
+export const EXIT_USAGE = 2; // Unknown command, option or missing argument
+export const EXIT_INVALID_PAGES = 3; // Page range or layout options rejected
+export const EXIT_INPUT = 4; // An input file could not be read or is not a valid PDF
+
+const USAGE = `Usage:
+  pdfsnap merge <file.pdf>... -o <out.pdf> [options]
+  pdfsnap split <file.pdf> -o <out> [options]
+  pdfsnap run <recipe.json> <file.pdf>... -o <out.pdf> [options]
+
+Merge options:
+  -o, --output <file>     Output PDF (required)
+      --normalize <size>  Draw every page onto A4, Letter or Legal sheets
+      --fit <mode>        fit, fill or stretch when normalizing (default: fit)
+      --margin <mm>       Margin when normalizing (default: 0)
+
+Split options:
+  -o, --output <path>     Output PDF, or a directory with --each/--every/--groups
+  -p, --pages <range>     Pages to extract, e.g. "1-3, 8", "5-", "last-2-last",
+                          "10-1", "odd", "even" or "1-20, !7"
+      --each              One PDF per page (of --pages, or of the whole file)
+      --every <n>         One PDF per n pages
+      --groups <groups>   One PDF per group, e.g. "1-3; 4-10; 11-"
+
+Run options:
+  -o, --output <file>     Output PDF (required)
+                          Runs the steps of a recipe saved in the web app's
+                          Pipeline tab on the merged input files. Compress
+                          steps leave images as they are.
+
+General:
+      --password <pw>     Password for encrypted input files
+      --strip-metadata    Remove title, author, dates and XMP from the output
+      --json              Print a machine-readable summary on stdout
+  -h, --help              Show this help
+
+Exit codes: 0 ok, 1 failure, 2 usage error, 3 invalid pages or options, 4 unreadable input.`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  pages: { type: 'string', short: 'p' },
+  each: { type: 'boolean' },
+  every: { type: 'string' },
+  groups: { type: 'string' },
+  normalize: { type: 'string' },
+  fit: { type: 'string', default: 'fit' },
+  margin: { type: 'string', default: '0' },
+  password: { type: 'string' },
+  'strip-metadata': { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * An error that ends the run with a specific exit code.
+ */
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+async function readPdf(filePath, password) {
+  let bytes;
+  try {
+    bytes = new Uint8Array(await readFile(filePath));
+  } catch (error) {
+    throw new CliError(`Cannot read ${filePath}: ${error.message}`, EXIT_INPUT);
+  }
+  try {
+    return { bytes, pageCount: await getPageCount(bytes, { password }) };
+  } catch (error) {
+    if (error instanceof PdfPasswordError) {
+      throw new CliError(`${filePath}: ${error.message} Pass it with --password.`, EXIT_INPUT);
+    }
+    throw new CliError(`${filePath} is not a valid PDF: ${error.message}`, EXIT_INPUT);
+  }
+}
+
+async function merge(inputs, values) {
+  if (inputs.length === 0) {
+    throw new CliError('merge needs at least one input file.', EXIT_USAGE);
+  }
+  if (!values.output) {
+    throw new CliError('merge needs an output file (-o).', EXIT_USAGE);
+  }
+
+  const mode = values.normalize ? 'normalize' : 'preserve';
+  const options = { pageSize: values.normalize, fit: values.fit, margin: values.margin };
+  if (mode === 'normalize' && !['A4', 'Letter', 'Legal'].includes(values.normalize)) {
+    throw new CliError('--normalize must be A4, Letter or Legal.', EXIT_INVALID_PAGES);
+  }
+  if (!['fit', 'fill', 'stretch'].includes(values.fit)) {
+    throw new CliError('--fit must be fit, fill or stretch.', EXIT_INVALID_PAGES);
+  }
+  const optionsError = validateMergeOptions(mode, options);
+  if (optionsError) {
+    throw new CliError(optionsError, EXIT_INVALID_PAGES);
+  }
+
+  const files = [];
+  for (const input of inputs) {
+    const { bytes } = await readPdf(input, values.password);
+    files.push({ name: path.basename(input), bytes, password: values.password });
+  }
+
+  const metadata = values['strip-metadata'] ? null : undefined;
+  const { bytes, warnings } = await mergePdfs(files, { mode, options, metadata });
+  await mkdir(path.dirname(path.resolve(values.output)), { recursive: true });
+  await writeFile(values.output, bytes);
+
+  return [{ path: values.output, pages: await getPageCount(bytes), bytes: bytes.length, warnings }];
+}
+
+/**
+ * Picks the split mode from the options; only one of them may be given.
+ */
+function resolveSplitMode(values) {
+  const modes = [values.each && 'each', values.every && 'chunk', values.groups && 'groups'].filter(Boolean);
+  if (modes.length > 1) {
+    throw new CliError('Use only one of --each, --every and --groups.', EXIT_USAGE);
+  }
+  if (modes.length === 0 && !values.pages) {
+    throw new CliError('split needs --pages, --each, --every or --groups.', EXIT_USAGE);
+  }
+  return modes[0] || 'extract';
+}
+
+async function split(inputs, values) {
+  if (inputs.length !== 1) {
+    throw new CliError('split takes exactly one input file.', EXIT_USAGE);
+  }
+  if (!values.output) {
+    throw new CliError('split needs an output path (-o).', EXIT_USAGE);
+  }
+
+  const mode = resolveSplitMode(values);
+  if (values.pages && mode !== 'extract' && mode !== 'each') {
+    throw new CliError('--pages can only be combined with --each.', EXIT_USAGE);
+  }
+
+  const { bytes, pageCount } = await readPdf(inputs[0], values.password);
+  if (values.pages) {
+    const pagesError = validatePageInput(values.pages, pageCount);
+    if (pagesError) {
+      throw new CliError(pagesError, EXIT_INVALID_PAGES);
+    }
+  }
+
+  const splitInput = {
+    range: mode === 'groups' ? values.groups : values.pages,
+    chunkSize: values.every,
+    totalPages: pageCount,
+    sourceName: path.basename(inputs[0]),
+  };
+  const inputError = validateSplitInput(mode, splitInput);
+  if (inputError) {
+    throw new CliError(inputError, EXIT_INVALID_PAGES);
+  }
+
+  let groups = buildSplitGroups(mode, splitInput);
+  if (mode === 'each' && values.pages) {
+    // One file per selected page in the order given, named like the full "every page" split
+    const selected = new Set(parsePageInput(values.pages, pageCount));
+    groups = Array.from(selected, page => groups[page - 1]);
+  }
+
+  const metadata = values['strip-metadata'] ? null : undefined;
+  const outputs = await splitPdf(bytes, groups, { password: values.password, metadata });
+
+  if (mode === 'extract') {
+    await mkdir(path.dirname(path.resolve(values.output)), { recursive: true });
+    await writeFile(values.output, outputs[0].bytes);
+    return [{ path: values.output, pages: groups[0].pages.length, bytes: outputs[0].bytes.length }];
+  }
+
+  await mkdir(values.output, { recursive: true });
+  const written = [];
+  for (let i = 0; i < outputs.length; i++) {
+    const outPath = path.join(values.output, outputs[i].fileName);
+    await writeFile(outPath, outputs[i].bytes);
+    written.push({ path: outPath, pages: groups[i].pages.length, bytes: outputs[i].bytes.length });
+  }
+  return written;
+}
+
+async function run([recipePath, ...inputs], values) {
+  if (!recipePath || inputs.length === 0) {
+    throw new CliError('run needs a recipe and at least one input file.', EXIT_USAGE);
+  }
+  if (!values.output) {
+    throw new CliError('run needs an output file (-o).', EXIT_USAGE);
+  }
+
+  let text;
+  try {
+    text = await readFile(recipePath, 'utf8');
+  } catch (error) {
+    throw new CliError(`Cannot read ${recipePath}: ${error.message}`, EXIT_INPUT);
+  }
+  let steps;
+  try {
+    steps = parseRecipe(text);
+  } catch (error) {
+    throw new CliError(`${recipePath}: ${error.message}`, EXIT_INPUT);
+  }
+
+  const files = [];
+  for (const input of inputs) {
+    const { bytes } = await readPdf(input, values.password);
+    files.push({ name: path.basename(input), bytes, password: values.password });
+  }
+
+  let bytes = await combineInputs(files);
+  for (const [index, step] of steps.entries()) {
+    const error = validateStep(step, await getPageCount(bytes));
+    if (error) {
+      throw new CliError(`Step ${index + 1} of the recipe (${describeStep(step)}): ${error}`, EXIT_INVALID_PAGES);
+    }
+    bytes = await runStep(bytes, step, { name: path.basename(values.output) });
+  }
+
+  await mkdir(path.dirname(path.resolve(values.output)), { recursive: true });
+  await writeFile(values.output, bytes);
+  return [{ path: values.output, pages: await getPageCount(bytes), bytes: bytes.length }];
+}
+
+const commands = { merge, split, run };
+
+/**
+ * Runs the CLI with the given arguments (without the node and script paths).
+ * Output goes to `stdout`/`stderr` writers; resolves to the process exit code.
+ */
+export async function runCli(args, { stdout = s => process.stdout.write(s), stderr = s => process.stderr.write(s) } = {}) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true }));
+  } catch (error) {
+    stderr(`pdfsnap: ${error.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  const [command, ...inputs] = positionals;
+  if (values.help || !command) {
+    (values.help ? stdout : stderr)(`${USAGE}\n`);
+    return values.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  try {
+    if (!commands[command]) {
+      throw new CliError(`Unknown command "${command}".`, EXIT_USAGE);
+    }
+
+    const outputs = await commands[command](inputs, values);
+
+    if (values.json) {
+      stdout(`${JSON.stringify({ ok: true, command, outputs }, null, 2)}\n`);
+    } else {
+      outputs.forEach(output => {
+        stdout(`${output.path} (${output.pages} page${output.pages !== 1 ? 's' : ''})\n`);
+        (output.warnings || []).forEach(warning => stderr(`pdfsnap: warning: ${warning}\n`));
+      });
+    }
+    return EXIT_OK;
+  } catch (error) {
+    const exitCode = error instanceof CliError ? error.exitCode : EXIT_FAILURE;
+    if (values.json) {
+      stdout(`${JSON.stringify({ ok: false, command, error: error.message, exitCode }, null, 2)}\n`);
+    } else {
+      stderr(`pdfsnap: ${error.message}\n`);
+    }
+    return exitCode;
+  }
+}
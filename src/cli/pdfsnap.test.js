@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, rm, writeFile, readFile, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { PDFDocument } from '@cantoo/pdf-lib';
+import { runCli, EXIT_OK, EXIT_USAGE, EXIT_INVALID_PAGES, EXIT_INPUT } from './pdfsnap.js';
+
+let dir;
+
+async function writePdf(name, pageCount) {
+  const pdf = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdf.addPage([300 + i, 400]).drawText(`Page ${i + 1}`, { x: 10, y: 10 });
+  }
+  const filePath = path.join(dir, name);
+  await writeFile(filePath, await pdf.save());
+  return filePath;
+}
+
+async function run(...args) {
+  const io = { out: '', err: '' };
+  const code = await runCli(args, { stdout: s => { io.out += s; }, stderr: s => { io.err += s; } });
+  return { code, ...io };
+}
+
+async function countPages(filePath) {
+  const pdf = await PDFDocument.load(await readFile(filePath));
+  return pdf.getPageCount();
+}
+
+beforeAll(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'pdfsnap-'));
+});
+
+afterAll(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('pdfsnap merge', () => {
+  it('merges files in order and prints a JSON summary', async () => {
+    const a = await writePdf('a.pdf', 2);
+    const b = await writePdf('b.pdf', 3);
+    const out = path.join(dir, 'merged.pdf');
+
+    const { code, out: stdout } = await run('merge', a, b, '-o', out, '--json');
+
+    expect(code).toBe(EXIT_OK);
+    expect(JSON.parse(stdout)).toMatchObject({ ok: true, command: 'merge', outputs: [{ path: out, pages: 5 }] });
+    expect(await countPages(out)).toBe(5);
+  });
+
+  it('fails with an input error for missing files', async () => {
+    const { code, err } = await run('merge', path.join(dir, 'missing.pdf'), '-o', path.join(dir, 'x.pdf'));
+    expect(code).toBe(EXIT_INPUT);
+    expect(err).toMatch(/Cannot read/);
+  });
+
+  it('removes the document information with --strip-metadata', async () => {
+    const a = await writePdf('titled.pdf', 1);
+    const out = path.join(dir, 'stripped.pdf');
+
+    expect((await run('merge', a, '-o', out, '--strip-metadata')).code).toBe(EXIT_OK);
+    const pdf = await PDFDocument.load(await readFile(out), { updateMetadata: false });
+    expect(pdf.context.trailerInfo.Info).toBeUndefined();
+  });
+});
+
+describe('pdfsnap split', () => {
+  it('extracts pages into a single file', async () => {
+    const source = await writePdf('source.pdf', 6);
+    const out = path.join(dir, 'extract.pdf');
+
+    expect((await run('split', source, '--pages', '1-3,6', '-o', out)).code).toBe(EXIT_OK);
+    expect(await countPages(out)).toBe(4);
+  });
+
+  it('writes one file per selected page with --each', async () => {
+    const source = await writePdf('each.pdf', 6);
+    const out = path.join(dir, 'each');
+
+    expect((await run('split', source, '--pages', '2,5', '--each', '-o', out)).code).toBe(EXIT_OK);
+    expect((await readdir(out)).sort()).toEqual(['each-page-2.pdf', 'each-page-5.pdf']);
+  });
+
+  it('uses the same page range messages as the web app', async () => {
+    const source = await writePdf('small.pdf', 2);
+    const { code, out } = await run('split', source, '--pages', '1-3', '-o', path.join(dir, 'x.pdf'), '--json');
+
+    expect(code).toBe(EXIT_INVALID_PAGES);
+    expect(JSON.parse(out)).toEqual({
+      ok: false,
+      command: 'split',
+      error: 'Page 3 in "1-3" is out of range. This PDF has 2 pages.',
+      exitCode: EXIT_INVALID_PAGES,
+    });
+  });
+
+  it('rejects conflicting options as a usage error', async () => {
+    const source = await writePdf('conflict.pdf', 2);
+    const { code } = await run('split', source, '--each', '--every', '2', '-o', dir);
+    expect(code).toBe(EXIT_USAGE);
+  });
+});
+
+describe('pdfsnap run', () => {
+  async function writeRecipe(name, steps) {
+    const filePath = path.join(dir, name);
+    await writeFile(filePath, JSON.stringify({ app: 'pdfsnap', version: 1, steps }));
+    return filePath;
+  }
+
+  it('runs the steps of a recipe on the merged inputs', async () => {
+    const a = await writePdf('run-a.pdf', 3);
+    const b = await writePdf('run-b.pdf', 2);
+    const recipe = await writeRecipe('recipe.json', [
+      { type: 'remove', range: '1' },
+      { type: 'rotate', range: 'last', angle: 90 },
+    ]);
+    const out = path.join(dir, 'run.pdf');
+    expect((await run('run', recipe, a, b, '-o', out)).code).toBe(EXIT_OK);
+
+    const pdf = await PDFDocument.load(await readFile(out));
+    expect(pdf.getPages().map(page => page.getRotation().angle)).toEqual([0, 0, 0, 90]);
+  });
+
+  it('stops at the first step that does not fit the document', async () => {
+    const source = await writePdf('run-short.pdf', 2);
+    const recipe = await writeRecipe('too-far.json', [{ type: 'remove', range: '5' }]);
+    const { code, err } = await run('run', recipe, source, '-o', path.join(dir, 'never.pdf'));
+    expect(code).toBe(EXIT_INVALID_PAGES);
+    expect(err).toMatch(/^pdfsnap: Step 1 of the recipe \(Remove pages 5\): /);
+  });
+});
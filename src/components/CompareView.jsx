@@ -0,0 +1,96 @@
+import React from 'react';
+
+const STATUSES = {
+    changed: { label: 'Changed', className: 'bg-amber-50 text-amber-700' },
+    added: { label: 'Added', className: 'bg-emerald-50 text-emerald-700' },
+    removed: { label: 'Removed', className: 'bg-red-50 text-red-700' },
+};
+
+// Unchanged stretches of text longer than this are shortened around an ellipsis
+const CONTEXT_WORDS = 8;
+
+const shorten = (text) => {
+    const words = text.split(' ');
+    if (words.length <= CONTEXT_WORDS * 2) return text;
+    return `${words.slice(0, CONTEXT_WORDS).join(' ')} … ${words.slice(-CONTEXT_WORDS).join(' ')}`;
+};
+
+const PageImage = ({ url, regions, label }) => (
+    <figure className="flex-1 min-w-0">
+        <figcaption className="text-[11px] text-slate-400 mb-1">{label}</figcaption>
+        {url ? (
+            <div className="relative border border-slate-200 rounded-lg overflow-hidden bg-white">
+                <img src={url} alt={label} className="w-full block" />
+                {regions.map((region, index) => (
+                    <div
+                        key={index}
+                        className="absolute border-2 border-amber-500 bg-amber-300/25"
+                        style={{
+                            left: `${region.x * 100}%`,
+                            top: `${region.y * 100}%`,
+                            width: `${region.width * 100}%`,
+                            height: `${region.height * 100}%`,
+                        }}
+                    />
+                ))}
+            </div>
+        ) : (
+            <div className="aspect-[3/4] flex items-center justify-center border border-dashed border-slate-200 rounded-lg text-xs text-slate-400">
+                No page
+            </div>
+        )}
+    </figure>
+);
+
+const CompareView = ({ comparison, originalName, revisedName }) => {
+    const shown = comparison.pairs.filter(pair => pair.status !== 'same');
+    const counts = Object.keys(STATUSES)
+        .map(status => [status, shown.filter(pair => pair.status === status).length])
+        .filter(([, count]) => count > 0);
+
+    return (
+        <div className="mt-4 text-left space-y-4">
+            <p className="text-xs text-slate-600">
+                {shown.length === 0
+                    ? 'No differences found.'
+                    : counts.map(([status, count]) => `${count} page${count !== 1 ? 's' : ''} ${status}`).join(', ')}
+                {!comparison.hasText && ' The text could not be compared, as one of the files has no extractable text (for example a scan); pages were compared by how they look.'}
+            </p>
+
+            <div className="space-y-4 max-h-[60vh] overflow-y-auto pr-1">
+                {shown.map((pair) => (
+                    <div key={`${pair.a}:${pair.b}`} className="p-3 bg-slate-50/60 rounded-xl border border-slate-200">
+                        <div className="flex items-center gap-2 mb-2 text-xs font-medium text-slate-700">
+                            {pair.a !== null ? `Page ${pair.a + 1}` : 'New page'}
+                            {' → '}
+                            {pair.b !== null ? `page ${pair.b + 1}` : 'removed'}
+                            <span className={`px-1.5 py-0.5 rounded text-[10px] font-semibold ${STATUSES[pair.status].className}`}>
+                                {STATUSES[pair.status].label}
+                            </span>
+                        </div>
+
+                        <div className="flex gap-3">
+                            <PageImage url={pair.urlA} regions={pair.regions} label={originalName} />
+                            <PageImage url={pair.urlB} regions={pair.regions} label={revisedName} />
+                        </div>
+
+                        {pair.text && (
+                            <p className="mt-3 p-2 bg-white border border-slate-200 rounded-lg text-xs leading-relaxed text-slate-600">
+                                {pair.text.map((run, index) => (
+                                    <React.Fragment key={index}>
+                                        {run.type === 'same' && shorten(run.text)}
+                                        {run.type === 'removed' && <del className="bg-red-50 text-red-700">{run.text}</del>}
+                                        {run.type === 'added' && <ins className="bg-emerald-50 text-emerald-700 no-underline">{run.text}</ins>}
+                                        {' '}
+                                    </React.Fragment>
+                                ))}
+                            </p>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default CompareView;
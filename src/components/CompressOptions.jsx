@@ -0,0 +1,52 @@
+import React from 'react';
+
+const LEVELS = [
+    {
+        id: 'lossless',
+        label: 'Lossless',
+        hint: 'Removes unused objects, merges duplicate resources and packs the file more tightly. Nothing on the pages changes.',
+    },
+    {
+        id: 'balanced',
+        label: 'Balanced',
+        hint: 'Also scales images down to 150 dpi and re-saves them as JPEG. Good for sharing and reading on screen.',
+    },
+    {
+        id: 'strong',
+        label: 'Strong',
+        hint: 'Scales images down to 96 dpi at lower JPEG quality. Smallest file; scans may look soft when zoomed in.',
+    },
+];
+
+const segmentClass = (active) => `px-3 py-1 rounded-lg text-xs font-semibold transition-all duration-200 ${active
+    ? 'bg-blue-600 text-white shadow-sm'
+    : 'text-slate-600 bg-slate-50 hover:bg-slate-100'
+    }`;
+
+const CompressOptions = ({ compressLevel, setCompressLevel }) => {
+    const level = LEVELS.find((entry) => entry.id === compressLevel);
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left">
+            <label className="block text-xs font-medium text-slate-600 mb-1">Compression</label>
+            <div className="flex flex-wrap gap-1">
+                {LEVELS.map((entry) => (
+                    <button
+                        key={entry.id}
+                        type="button"
+                        onClick={() => setCompressLevel(entry.id)}
+                        className={segmentClass(compressLevel === entry.id)}
+                    >
+                        {entry.label}
+                    </button>
+                ))}
+            </div>
+
+            <p className="mt-2 text-xs text-slate-500">
+                {level.hint}
+            </p>
+        </div>
+    );
+};
+
+export default CompressOptions;
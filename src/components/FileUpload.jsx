@@ -1,27 +1,111 @@
-import React, { useCallback } from 'react';
+import React, { useCallback, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { UploadCloud, File, X, Plus } from 'lucide-react';
+import { UploadCloud, File, FileText, Image as ImageIcon, X, Plus, GripVertical, ArrowUpDown, ArrowDownUp } from 'lucide-react';
+import PageGrid from './PageGrid';
+import PasswordPrompt from './PasswordPrompt';
+import { createFileEntry } from '../lib/fileEntries';
 
-const FileUpload = ({ files, setFiles, activeTab, splitRange, setSplitRange, splitError, totalPages }) => {
-    const maxFiles = activeTab === 'split' ? 1 : 3;
+const SPLIT_MODES = [
+    { id: 'extract', label: 'Extract pages' },
+    { id: 'arrange', label: 'Arrange pages' },
+    { id: 'each', label: 'Every page' },
+    { id: 'chunk', label: 'Every N pages' },
+    { id: 'groups', label: 'Groups' },
+];
+
+const SORT_KEYS = [
+    { id: 'name', label: 'Name', compare: (a, b) => a.file.name.localeCompare(b.file.name, undefined, { numeric: true }) },
+    { id: 'date', label: 'Date', compare: (a, b) => a.file.lastModified - b.file.lastModified },
+    { id: 'size', label: 'Size', compare: (a, b) => a.file.size - b.file.size },
+];
+
+// Merging also takes images, each of which becomes one page
+const PDF_TYPES = { 'application/pdf': ['.pdf'] };
+const MERGE_TYPES = {
+    ...PDF_TYPES,
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png'],
+    'image/webp': ['.webp'],
+};
+
+// How the outcome of reading each file is shown; 'checking' is used until it is read
+const STATUSES = {
+    checking: { label: 'Checking…', className: 'bg-slate-100 text-slate-500' },
+    valid: { label: 'Valid', className: 'bg-emerald-50 text-emerald-700' },
+    encrypted: { label: 'Encrypted', className: 'bg-amber-50 text-amber-700' },
+    repaired: { label: 'Repaired', className: 'bg-sky-50 text-sky-700' },
+    failed: { label: 'Failed', className: 'bg-red-50 text-red-700' },
+};
+
+const FileUpload = ({
+    files,
+    setFiles,
+    activeTab,
+    splitMode,
+    setSplitMode,
+    splitRange,
+    setSplitRange,
+    chunkSize,
+    setChunkSize,
+    pages,
+    setPages,
+    onResetPages,
+    splitError,
+    totalPages,
+    fileInfo,
+    rangeErrors,
+    compressedSize,
+    onDownloadReport,
+}) => {
+    // Split and compress work on a single document, compare on two versions of one;
+    // merge and pipelines take as many files as you like
+    const multiFile = activeTab === 'merge' || activeTab === 'pipeline';
+    const maxFiles = multiFile ? Infinity : activeTab === 'compare' ? 2 : 1;
+    const orderable = multiFile || activeTab === 'compare';
+    const [dragId, setDragId] = useState(null);
+    const [sort, setSort] = useState(null); // { key, direction } of the last sort applied
+    const hasReport = files.some(({ id }) => fileInfo[id] && (fileInfo[id].status === 'repaired' || fileInfo[id].status === 'failed'));
 
     const onDrop = useCallback((acceptedFiles) => {
         setFiles((prev) => {
-            const newFiles = [...prev, ...acceptedFiles];
+            const newFiles = [...prev, ...acceptedFiles.map(createFileEntry)];
             return newFiles.slice(0, maxFiles);
         });
     }, [setFiles, maxFiles]);
 
-    const removeFile = (index) => {
-        setFiles((prev) => prev.filter((_, i) => i !== index));
+    const removeFile = (id) => {
+        setFiles((prev) => prev.filter((entry) => entry.id !== id));
+    };
+
+    const updateFile = (id, update) => {
+        setFiles((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...update } : entry)));
+    };
+
+    const sortFiles = (key) => {
+        // Sorting by the same key again flips the direction
+        const direction = sort && sort.key === key.id && sort.direction === 'asc' ? 'desc' : 'asc';
+        setSort({ key: key.id, direction });
+        setFiles((prev) => [...prev].sort((a, b) => (direction === 'asc' ? 1 : -1) * key.compare(a, b)));
+    };
+
+    const handleDrop = (targetId) => {
+        if (dragId === null || dragId === targetId) return;
+        setFiles((prev) => {
+            const from = prev.findIndex((entry) => entry.id === dragId);
+            const to = prev.findIndex((entry) => entry.id === targetId);
+            const next = [...prev];
+            const [moved] = next.splice(from, 1);
+            next.splice(to, 0, moved);
+            return next;
+        });
+        setDragId(null);
+        setSort(null);
     };
 
     const { getRootProps, getInputProps, isDragActive, open } = useDropzone({
         onDrop,
-        accept: {
-            'application/pdf': ['.pdf'],
-        },
-        maxFiles: maxFiles,
+        accept: multiFile ? MERGE_TYPES : PDF_TYPES,
+        maxFiles: Number.isFinite(maxFiles) ? maxFiles : 0,
         noClick: files.length > 0,
         noKeyboard: files.length > 0,
         disabled: files.length >= maxFiles
@@ -45,7 +129,7 @@ const FileUpload = ({ files, setFiles, activeTab, splitRange, setSplitRange, spl
                         </div>
                         <div className="space-y-1">
                             <p className="text-lg font-semibold text-gray-900">
-                                {isDragActive ? 'Drop PDF files here' : 'Drop PDF files here'}
+                                {multiFile ? 'Drop PDF files or images here' : activeTab === 'compare' ? 'Drop the original and the revised PDF here' : 'Drop PDF files here'}
                             </p>
                             <p className="text-gray-500 text-sm">
                                 or click to select documents
@@ -63,27 +147,114 @@ const FileUpload = ({ files, setFiles, activeTab, splitRange, setSplitRange, spl
             {/* Hidden input for the 'Add more' button to trigger */}
             <input {...getInputProps()} />
 
-            <div className="space-y-3">
-                {files.map((file, index) => (
-                    <div key={`${file.name}-${index}`} className="flex flex-col p-4 bg-white rounded-xl border border-slate-200 relative animate-in fade-in slide-in-from-bottom-2">
+            {/* Sorting toolbar for multi-file batches */}
+            {orderable && files.length > 1 && (
+                <div className="flex items-center gap-1 mb-3 text-xs text-slate-500">
+                    <span className="mr-auto">
+                        {files.length} files · {(files.reduce((sum, entry) => sum + entry.file.size, 0) / 1024 / 1024).toFixed(2)} MB
+                    </span>
+                    <ArrowUpDown className="w-3.5 h-3.5" />
+                    Sort by
+                    {SORT_KEYS.map((key) => (
+                        <button
+                            key={key.id}
+                            type="button"
+                            onClick={() => sortFiles(key)}
+                            className={`px-2 py-1 rounded-lg font-semibold transition-colors ${sort && sort.key === key.id
+                                ? 'bg-blue-50 text-blue-600'
+                                : 'text-slate-600 hover:bg-slate-100'
+                                }`}
+                        >
+                            {key.label}
+                            {sort && sort.key === key.id && (sort.direction === 'asc' ? ' ↑' : ' ↓')}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className={`space-y-3 ${multiFile ? 'max-h-[45vh] overflow-y-auto pr-1' : ''}`}>
+                {files.map(({ id, file, range, reverse, password }, index) => {
+                    const info = fileInfo[id];
+                    const pageCount = info ? info.pageCount : 0;
+                    const locked = info ? info.locked : null;
+                    const status = STATUSES[info ? info.status : 'checking'];
+                    const failed = info && info.status === 'failed';
+                    const isImage = file.type.startsWith('image/');
+                    return (
+                    <div
+                        key={id}
+                        draggable={orderable}
+                        onDragStart={() => setDragId(id)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => handleDrop(id)}
+                        onDragEnd={() => setDragId(null)}
+                        className={`flex flex-col p-4 bg-white rounded-xl border border-slate-200 relative animate-in fade-in slide-in-from-bottom-2 ${dragId === id ? 'opacity-40' : ''}`}
+                    >
                         <div className="flex items-center justify-between">
                             <div className="flex items-center gap-3 overflow-hidden">
+                                {orderable && (
+                                    <GripVertical className="w-4 h-4 text-slate-300 flex-shrink-0 cursor-grab" />
+                                )}
                                 <div className="p-2.5 bg-blue-50 text-blue-600 rounded-lg flex-shrink-0">
-                                    <File className="w-5 h-5" />
+                                    {isImage ? <ImageIcon className="w-5 h-5" /> : <File className="w-5 h-5" />}
                                 </div>
                                 <div className="overflow-hidden">
-                                    <p className="font-bold text-slate-800 truncate text-sm">
-                                        {file.name}
-                                    </p>
+                                    <div className="flex items-center gap-2">
+                                        <p className="font-bold text-slate-800 truncate text-sm">
+                                            {file.name}
+                                        </p>
+                                        <span className={`px-1.5 py-0.5 rounded text-[10px] font-semibold flex-shrink-0 ${status.className}`}>
+                                            {status.label}
+                                        </span>
+                                        {activeTab === 'compare' && (
+                                            <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold flex-shrink-0 bg-blue-50 text-blue-700">
+                                                {index === 0 ? 'Original' : 'Revised'}
+                                            </span>
+                                        )}
+                                    </div>
                                     <p className="text-xs text-slate-400">
                                         {(file.size / 1024 / 1024).toFixed(2)} MB
+                                        {activeTab === 'compress' && compressedSize != null && (
+                                            <span className="text-emerald-600 font-semibold">
+                                                {` → ${(compressedSize / 1024 / 1024).toFixed(2)} MB (${compressedSize < file.size ? '−' : '+'}${Math.abs(Math.round((1 - compressedSize / file.size) * 100))}%)`}
+                                            </span>
+                                        )}
+                                        {isImage ? ' · image, 1 page' : pageCount > 0 && ` · ${pageCount} page${pageCount > 1 ? 's' : ''}`}
+                                        {password && !locked && ' · unlocked'}
                                     </p>
                                 </div>
                             </div>
+                            {multiFile && !locked && !failed && !isImage && (
+                                <input
+                                    type="text"
+                                    value={range}
+                                    onChange={(e) => updateFile(id, { range: e.target.value })}
+                                    placeholder="All pages"
+                                    title="Pages to include, e.g. 2-4, 7, last, odd, 10-1 or 1-20, !7"
+                                    className={`ml-auto mr-2 w-28 px-2 py-1 text-xs border rounded-lg focus:ring-2 outline-none transition-all placeholder-gray-400 bg-slate-50 focus:bg-white ${rangeErrors[id]
+                                        ? 'border-red-500 focus:border-red-500 focus:ring-red-200'
+                                        : 'border-slate-200 focus:border-blue-500 focus:ring-blue-500'
+                                        }`}
+                                />
+                            )}
+                            {activeTab === 'merge' && !locked && !failed && !isImage && (
+                                <button
+                                    type="button"
+                                    aria-pressed={reverse}
+                                    onClick={() => updateFile(id, { reverse: !reverse })}
+                                    title={reverse ? 'Pages are taken back to front' : 'Take the pages back to front'}
+                                    className={`mr-2 p-1.5 rounded-lg transition-colors ${reverse
+                                        ? 'bg-blue-600 text-white shadow-sm'
+                                        : 'text-slate-400 hover:text-slate-600 hover:bg-slate-100'
+                                        }`}
+                                >
+                                    <ArrowDownUp className="w-4 h-4" />
+                                </button>
+                            )}
                             <button
                                 onClick={(e) => {
                                     e.stopPropagation();
-                                    removeFile(index);
+                                    removeFile(id);
                                 }}
                                 className="p-1.5 text-red-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
                             >
@@ -91,58 +262,167 @@ const FileUpload = ({ files, setFiles, activeTab, splitRange, setSplitRange, spl
                             </button>
                         </div>
 
+                        {multiFile && rangeErrors[id] && (
+                            <p className="mt-2 text-xs text-red-600 font-medium text-right">
+                                {rangeErrors[id]}
+                            </p>
+                        )}
+
+                        {failed && (
+                            <p className="mt-2 pl-[52px] text-xs text-red-600 font-medium">
+                                {info.error}
+                            </p>
+                        )}
+
+                        {info && info.issues.length > 0 && (
+                            <ul className="mt-2 pl-[52px] text-xs text-slate-500 list-disc list-inside">
+                                {info.issues.map((issue) => (
+                                    <li key={issue}>{issue}</li>
+                                ))}
+                            </ul>
+                        )}
+
+                        {info && info.warnings.length > 0 && (
+                            <ul className="mt-2 pl-[52px] text-xs text-amber-700 list-disc list-inside">
+                                {info.warnings.map((warning) => (
+                                    <li key={warning}>{warning}</li>
+                                ))}
+                            </ul>
+                        )}
+
+                        {locked && (
+                            <PasswordPrompt
+                                key={password}
+                                incorrect={locked === 'PASSWORD_INCORRECT'}
+                                onUnlock={(value) => updateFile(id, { password: value })}
+                            />
+                        )}
+
                         {/* Split Mode Input */}
-                        {activeTab === 'split' && (
+                        {activeTab === 'split' && !locked && !failed && (
                             <div className="mt-3 pl-[52px]">
-                                <label className="block text-xs font-medium text-slate-600 mb-1">
-                                    Pages to extract
-                                    {totalPages > 0 && (
-                                        <span className="text-slate-400 font-normal ml-1">
-                                            (1-{totalPages} available)
-                                        </span>
-                                    )}
-                                </label>
-                                <input
-                                    type="text"
-                                    value={splitRange || ''}
-                                    onChange={(e) => setSplitRange && setSplitRange(e.target.value)}
-                                    placeholder="e.g., 1-5, 8, 11-13"
-                                    className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 outline-none transition-all placeholder-gray-400 bg-slate-50 focus:bg-white ${splitError
-                                        ? 'border-red-500 focus:border-red-500 focus:ring-red-200'
-                                        : 'border-slate-200 focus:border-blue-500 focus:ring-blue-500'
-                                        }`}
-                                />
-                                {splitError && (
+                                <div className="flex flex-wrap gap-1 mb-3">
+                                    {SPLIT_MODES.map((mode) => (
+                                        <button
+                                            key={mode.id}
+                                            type="button"
+                                            onClick={() => setSplitMode(mode.id)}
+                                            className={`px-3 py-1 rounded-lg text-xs font-semibold transition-all duration-200 ${splitMode === mode.id
+                                                ? 'bg-blue-600 text-white shadow-sm'
+                                                : 'text-slate-600 bg-slate-50 hover:bg-slate-100'
+                                                }`}
+                                        >
+                                            {mode.label}
+                                        </button>
+                                    ))}
+                                </div>
+
+                                {(splitMode === 'extract' || splitMode === 'groups') && (
+                                    <>
+                                        <label className="block text-xs font-medium text-slate-600 mb-1">
+                                            {splitMode === 'extract' ? 'Pages to extract' : 'Page groups, one file each'}
+                                            {totalPages > 0 && (
+                                                <span className="text-slate-400 font-normal ml-1">
+                                                    (1-{totalPages} available)
+                                                </span>
+                                            )}
+                                        </label>
+                                        <input
+                                            type="text"
+                                            value={splitRange || ''}
+                                            onChange={(e) => setSplitRange && setSplitRange(e.target.value)}
+                                            placeholder={splitMode === 'extract' ? 'e.g., 1-5, 8, 11-last, !3' : 'e.g., 1-3; 4-10; 11-  or  intro: 1-2; body: 3-'}
+                                            className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 outline-none transition-all placeholder-gray-400 bg-slate-50 focus:bg-white ${splitError
+                                                ? 'border-red-500 focus:border-red-500 focus:ring-red-200'
+                                                : 'border-slate-200 focus:border-blue-500 focus:ring-blue-500'
+                                                }`}
+                                        />
+                                    </>
+                                )}
+
+                                {splitMode === 'chunk' && (
+                                    <>
+                                        <label className="block text-xs font-medium text-slate-600 mb-1">
+                                            Pages per file
+                                            {totalPages > 0 && (
+                                                <span className="text-slate-400 font-normal ml-1">
+                                                    ({totalPages} pages in total)
+                                                </span>
+                                            )}
+                                        </label>
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={chunkSize}
+                                            onChange={(e) => setChunkSize(e.target.value)}
+                                            className={`w-32 px-3 py-2 text-sm border rounded-lg focus:ring-2 outline-none transition-all bg-slate-50 focus:bg-white ${splitError
+                                                ? 'border-red-500 focus:border-red-500 focus:ring-red-200'
+                                                : 'border-slate-200 focus:border-blue-500 focus:ring-blue-500'
+                                                }`}
+                                        />
+                                    </>
+                                )}
+
+                                {splitMode === 'arrange' && (
+                                    <PageGrid
+                                        key={`${file.name}-${file.size}-${file.lastModified}`}
+                                        file={file}
+                                        password={password}
+                                        pages={pages}
+                                        setPages={setPages}
+                                        onReset={onResetPages}
+                                    />
+                                )}
+
+                                {splitMode === 'each' && (
+                                    <p className="text-xs text-slate-500">
+                                        {totalPages > 0
+                                            ? `Every page becomes its own PDF (${totalPages} file${totalPages > 1 ? 's' : ''}), delivered as a ZIP.`
+                                            : 'Every page becomes its own PDF, delivered as a ZIP.'}
+                                    </p>
+                                )}
+
+                                {splitError ? (
                                     <p className="mt-1 text-xs text-red-600 font-medium">
                                         {splitError}
                                     </p>
+                                ) : (splitMode === 'extract' || splitMode === 'groups') && (
+                                    <p className="mt-1 text-xs text-slate-400">
+                                        Pages come out in the order you type them. Use 5- or -3 for open ranges, 10-1 to reverse, last or last-2, odd, even, and !7 to leave pages out.
+                                    </p>
                                 )}
                             </div>
                         )}
                     </div>
-                ))}
+                    );
+                })}
             </div>
 
-            {/* Only show Add More button if limit not reached */}
-            {files.length < maxFiles && (
-                <div className="mt-6 flex justify-start">
-                    <button
-                        type="button"
-                        onClick={open}
-                        className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-blue-600 bg-transparent border border-blue-200 hover:border-blue-400 hover:bg-blue-50 rounded-lg transition-all"
-                    >
-                        <Plus className="w-4 h-4" />
-                        Add more files
-                    </button>
+            {(files.length < maxFiles || hasReport) && (
+                <div className="mt-6 flex flex-wrap justify-start gap-2">
+                    {/* Only show Add More button if limit not reached */}
+                    {files.length < maxFiles && (
+                        <button
+                            type="button"
+                            onClick={open}
+                            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-blue-600 bg-transparent border border-blue-200 hover:border-blue-400 hover:bg-blue-50 rounded-lg transition-all"
+                        >
+                            <Plus className="w-4 h-4" />
+                            {activeTab === 'compare' ? 'Add the revised PDF' : 'Add more files'}
+                        </button>
+                    )}
+                    {hasReport && (
+                        <button
+                            type="button"
+                            onClick={onDownloadReport}
+                            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-600 bg-transparent border border-slate-200 hover:border-slate-400 hover:bg-slate-50 rounded-lg transition-all"
+                        >
+                            <FileText className="w-4 h-4" />
+                            Download file report
+                        </button>
+                    )}
                 </div>
             )}
-
-            {/* Optional: Show limit message */}
-            {files.length >= maxFiles && activeTab === 'merge' && (
-                <p className="mt-4 text-center text-xs text-gray-400">
-                    Maximum {maxFiles} files allowed
-                </p>
-            )}
         </div>
     );
 };
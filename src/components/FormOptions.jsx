@@ -0,0 +1,138 @@
+import React from 'react';
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white disabled:opacity-60';
+
+const FormOptions = ({ fields, formValues, setFormValues, flattenForm, setFlattenForm, formError }) => {
+    if (!fields) {
+        return null; // Still reading the file
+    }
+
+    const fillable = fields.filter((field) => field.type !== 'other');
+    const otherCount = fields.length - fillable.length;
+
+    const valueOf = (field) => (formValues[field.name] !== undefined ? formValues[field.name] : field.value);
+    const update = (name, value) => {
+        setFormValues((prev) => ({ ...prev, [name]: value }));
+    };
+
+    const renderControl = (field) => {
+        const value = valueOf(field);
+        switch (field.type) {
+            case 'checkbox':
+                return (
+                    <input
+                        type="checkbox"
+                        checked={value}
+                        disabled={field.readOnly}
+                        onChange={(e) => update(field.name, e.target.checked)}
+                        className="accent-blue-600"
+                    />
+                );
+            case 'radio':
+                return (
+                    <span className="flex flex-wrap gap-x-3 gap-y-1">
+                        {field.options.map((option) => (
+                            <label key={option} className="flex items-center gap-1 text-sm text-slate-700">
+                                <input
+                                    type="radio"
+                                    name={`field-${field.name}`}
+                                    checked={value === option}
+                                    disabled={field.readOnly}
+                                    onChange={() => update(field.name, option)}
+                                    className="accent-blue-600"
+                                />
+                                {option}
+                            </label>
+                        ))}
+                    </span>
+                );
+            case 'dropdown':
+                return (
+                    <select
+                        value={value}
+                        disabled={field.readOnly}
+                        onChange={(e) => update(field.name, e.target.value)}
+                        className={inputClass}
+                    >
+                        <option value="">—</option>
+                        {field.options.map((option) => (
+                            <option key={option} value={option}>{option}</option>
+                        ))}
+                    </select>
+                );
+            default:
+                return field.multiline ? (
+                    <textarea
+                        rows={3}
+                        value={value}
+                        maxLength={field.maxLength || undefined}
+                        disabled={field.readOnly}
+                        onChange={(e) => update(field.name, e.target.value)}
+                        className={inputClass}
+                    />
+                ) : (
+                    <input
+                        type="text"
+                        value={value}
+                        maxLength={field.maxLength || undefined}
+                        disabled={field.readOnly}
+                        onChange={(e) => update(field.name, e.target.value)}
+                        className={inputClass}
+                    />
+                );
+        }
+    };
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left">
+            {fillable.length === 0 ? (
+                <p className="text-xs text-slate-500">
+                    This PDF has no form fields that can be filled here.
+                </p>
+            ) : (
+                <div className="max-h-[40vh] overflow-y-auto pr-1 space-y-2">
+                    {fillable.map((field) => (
+                        <div key={field.name} className="grid grid-cols-1 sm:grid-cols-[10rem_1fr] items-center gap-x-3 gap-y-0.5">
+                            <span className="text-xs font-medium text-slate-600 break-all" title={field.name}>
+                                {field.name}
+                                {field.readOnly && <span className="text-slate-400 font-normal ml-1">(read-only)</span>}
+                            </span>
+                            {renderControl(field)}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {otherCount > 0 && (
+                <p className="mt-2 text-xs text-slate-400">
+                    {otherCount} other field{otherCount !== 1 ? 's' : ''} (buttons, signatures or lists) {otherCount !== 1 ? 'are' : 'is'} kept as {otherCount !== 1 ? 'they are' : 'it is'}.
+                </p>
+            )}
+
+            {fields.length > 0 && (
+                <div className="mt-3">
+                    <label className="flex items-center gap-2 text-xs font-semibold text-slate-700 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={flattenForm}
+                            onChange={(e) => setFlattenForm(e.target.checked)}
+                            className="accent-blue-600"
+                        />
+                        Flatten the form
+                    </label>
+                    <p className="mt-1 text-xs text-slate-500">
+                        Turns the fields into ordinary page content, so the answers can no longer be changed.
+                    </p>
+                </div>
+            )}
+
+            {formError && (
+                <p className="mt-2 text-xs text-red-600 font-medium">
+                    {formError}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default FormOptions;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Loader2, X } from 'lucide-react';
+
+const JobProgress = ({ progress, onCancel }) => {
+    const percent = progress ? Math.round(progress.fraction * 100) : 0;
+
+    return (
+        <div className="w-full p-3 bg-blue-50/60 border border-blue-100 rounded-xl">
+            <div className="flex items-center justify-between gap-3 mb-2">
+                <div className="flex items-center gap-2 overflow-hidden text-xs text-slate-600">
+                    <Loader2 className="w-4 h-4 text-blue-600 animate-spin flex-shrink-0" />
+                    <span className="truncate">{progress ? progress.label : 'Processing...'}</span>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                    <span className="text-xs font-semibold text-blue-700 tabular-nums">{percent}%</span>
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-red-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                    >
+                        <X className="w-3.5 h-3.5" />
+                        Cancel
+                    </button>
+                </div>
+            </div>
+            <div className="h-2 bg-white rounded-full overflow-hidden">
+                <div
+                    className="h-full bg-gradient-to-r from-blue-600 to-blue-700 rounded-full transition-[width] duration-200"
+                    style={{ width: `${percent}%` }}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default JobProgress;
@@ -0,0 +1,211 @@
+import React from 'react';
+
+const MODES = [
+    { id: 'nup', label: 'N-up' },
+    { id: 'booklet', label: 'Booklet' },
+    { id: 'crop', label: 'Crop margins' },
+    { id: 'resize', label: 'Resize' },
+];
+
+const MODE_HINTS = {
+    nup: 'Several pages are scaled onto each sheet, left to right and top to bottom.',
+    booklet: 'Pages are put two per side and reordered, with blank pages added up to a multiple of 4. Print double-sided, flipping on the short edge, then fold the stack and staple it in the middle.',
+    crop: 'The margins are trimmed from every page. Links and form fields are kept.',
+    resize: 'Every page is scaled to fit the chosen paper size.',
+};
+
+const PER_SHEET = [2, 4, 9];
+
+const PAGE_SIZES = ['A4', 'Letter', 'Legal', 'custom'];
+
+const ORIENTATIONS = [
+    { id: 'portrait', label: 'Portrait' },
+    { id: 'landscape', label: 'Landscape' },
+    { id: 'auto', label: 'Auto', hint: 'Turn the sheets to show the pages largest' },
+];
+
+const CROP_SIDES = ['top', 'right', 'bottom', 'left'];
+
+const segmentClass = (active) => `px-3 py-1 rounded-lg text-xs font-semibold transition-all duration-200 ${active
+    ? 'bg-blue-600 text-white shadow-sm'
+    : 'text-slate-600 bg-slate-50 hover:bg-slate-100'
+    }`;
+
+const numberInputClass = 'w-20 px-2 py-1 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white';
+
+const MillimetreInput = ({ label, value, onChange }) => (
+    <div>
+        <label className="block text-xs font-medium text-slate-600 mb-1">{label}</label>
+        <span className="flex items-center gap-1 text-xs text-slate-500">
+            <input
+                type="number"
+                min="0"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                className={numberInputClass}
+            />
+            mm
+        </span>
+    </div>
+);
+
+const LayoutOptions = ({ layout, setLayout, layoutError }) => {
+    const update = (key, value) => {
+        setLayout((prev) => ({ ...prev, [key]: value }));
+    };
+
+    const updateCrop = (side, value) => {
+        setLayout((prev) => ({ ...prev, crop: { ...prev.crop, [side]: value } }));
+    };
+
+    const usesSheets = layout.mode !== 'crop';
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left">
+            <div className="flex flex-wrap gap-1">
+                {MODES.map((mode) => (
+                    <button
+                        key={mode.id}
+                        type="button"
+                        onClick={() => update('mode', mode.id)}
+                        className={segmentClass(layout.mode === mode.id)}
+                    >
+                        {mode.label}
+                    </button>
+                ))}
+            </div>
+
+            <p className="mt-2 text-xs text-slate-500">{MODE_HINTS[layout.mode]}</p>
+
+            <div className="mt-3 space-y-3">
+                {layout.mode === 'nup' && (
+                    <div>
+                        <label className="block text-xs font-medium text-slate-600 mb-1">Pages per sheet</label>
+                        <div className="flex flex-wrap gap-1">
+                            {PER_SHEET.map((count) => (
+                                <button
+                                    key={count}
+                                    type="button"
+                                    onClick={() => update('perSheet', count)}
+                                    className={segmentClass(Number(layout.perSheet) === count)}
+                                >
+                                    {count}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {usesSheets && (
+                    <>
+                        <div>
+                            <label className="block text-xs font-medium text-slate-600 mb-1">Paper size</label>
+                            <div className="flex flex-wrap items-center gap-1">
+                                {PAGE_SIZES.map((size) => (
+                                    <button
+                                        key={size}
+                                        type="button"
+                                        onClick={() => update('pageSize', size)}
+                                        className={segmentClass(layout.pageSize === size)}
+                                    >
+                                        {size === 'custom' ? 'Custom' : size}
+                                    </button>
+                                ))}
+                                {layout.pageSize === 'custom' && (
+                                    <span className="flex items-center gap-1 ml-2 text-xs text-slate-500">
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={layout.customWidth}
+                                            onChange={(e) => update('customWidth', e.target.value)}
+                                            className={numberInputClass}
+                                        />
+                                        ×
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={layout.customHeight}
+                                            onChange={(e) => update('customHeight', e.target.value)}
+                                            className={numberInputClass}
+                                        />
+                                        mm
+                                    </span>
+                                )}
+                            </div>
+                        </div>
+
+                        <div>
+                            <label className="block text-xs font-medium text-slate-600 mb-1">Orientation</label>
+                            <div className="flex flex-wrap gap-1">
+                                {ORIENTATIONS.map((orientation) => (
+                                    <button
+                                        key={orientation.id}
+                                        type="button"
+                                        title={orientation.hint}
+                                        onClick={() => update('orientation', orientation.id)}
+                                        className={segmentClass(layout.orientation === orientation.id)}
+                                    >
+                                        {orientation.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="flex flex-wrap gap-4">
+                            <MillimetreInput label="Margin" value={layout.margin} onChange={(value) => update('margin', value)} />
+                            {layout.mode !== 'resize' && (
+                                <MillimetreInput label="Gutter" value={layout.gutter} onChange={(value) => update('gutter', value)} />
+                            )}
+                        </div>
+                    </>
+                )}
+
+                {layout.mode === 'crop' && (
+                    <>
+                        <div className="flex flex-wrap gap-1">
+                            <button type="button" onClick={() => update('cropMode', 'auto')} className={segmentClass(layout.cropMode === 'auto')}>
+                                Detect margins
+                            </button>
+                            <button type="button" onClick={() => update('cropMode', 'manual')} className={segmentClass(layout.cropMode === 'manual')}>
+                                Enter by hand
+                            </button>
+                        </div>
+
+                        {layout.cropMode === 'auto' ? (
+                            <>
+                                <MillimetreInput label="Space to keep around the content" value={layout.margin} onChange={(value) => update('margin', value)} />
+                                <label className="flex items-center gap-2 text-xs text-slate-600">
+                                    <input
+                                        type="checkbox"
+                                        checked={layout.sameCrop}
+                                        onChange={(e) => update('sameCrop', e.target.checked)}
+                                    />
+                                    Same crop on every page
+                                </label>
+                            </>
+                        ) : (
+                            <div className="flex flex-wrap gap-4">
+                                {CROP_SIDES.map((side) => (
+                                    <MillimetreInput
+                                        key={side}
+                                        label={side.charAt(0).toUpperCase() + side.slice(1)}
+                                        value={layout.crop[side]}
+                                        onChange={(value) => updateCrop(side, value)}
+                                    />
+                                ))}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {layoutError && (
+                <p className="mt-2 text-xs text-red-600 font-medium">
+                    {layoutError}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default LayoutOptions;
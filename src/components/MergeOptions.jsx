@@ -0,0 +1,172 @@
+import React from 'react';
+
+const PAGE_SIZES = ['A4', 'Letter', 'Legal', 'custom'];
+
+const ORIENTATIONS = [
+    { id: 'portrait', label: 'Portrait' },
+    { id: 'landscape', label: 'Landscape' },
+    { id: 'auto', label: 'Auto', hint: 'Turn each sheet to match its page or image' },
+];
+
+const ORDERS = [
+    { id: 'append', label: 'One file after another' },
+    { id: 'interleave', label: 'Interleave pages', hint: 'Take one page from each file in turn' },
+];
+
+const FIT_MODES = [
+    { id: 'fit', label: 'Fit', hint: 'Scale to fit, keep proportions' },
+    { id: 'fill', label: 'Fill', hint: 'Cover the page, crop overflow' },
+    { id: 'stretch', label: 'Stretch', hint: 'Fill the page, ignore proportions' },
+];
+
+const segmentClass = (active) => `px-3 py-1 rounded-lg text-xs font-semibold transition-all duration-200 ${active
+    ? 'bg-blue-600 text-white shadow-sm'
+    : 'text-slate-600 bg-slate-50 hover:bg-slate-100'
+    }`;
+
+const numberInputClass = 'w-20 px-2 py-1 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white';
+
+const MergeOptions = ({ mergeMode, setMergeMode, mergeOrder, setMergeOrder, mergeOptions, setMergeOptions, mergeError, hasImages }) => {
+    const update = (key, value) => {
+        setMergeOptions((prev) => ({ ...prev, [key]: value }));
+    };
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left">
+            <div className="flex flex-wrap gap-1">
+                <button type="button" onClick={() => setMergeMode('preserve')} className={segmentClass(mergeMode === 'preserve')}>
+                    Keep original pages
+                </button>
+                <button type="button" onClick={() => setMergeMode('normalize')} className={segmentClass(mergeMode === 'normalize')}>
+                    Normalize page size
+                </button>
+            </div>
+
+            <p className="mt-2 text-xs text-slate-500">
+                {mergeMode === 'preserve'
+                    ? 'Pages are copied as they are, keeping their size, text, links and annotations.'
+                    : 'Every page is scaled onto a new sheet of the same size. Links and form fields are not kept.'}
+                {hasImages && ' Images are placed on sheets set up below.'}
+            </p>
+
+            <div className="mt-3">
+                <label className="block text-xs font-medium text-slate-600 mb-1">Page order</label>
+                <div className="flex flex-wrap gap-1">
+                    {ORDERS.map((order) => (
+                        <button
+                            key={order.id}
+                            type="button"
+                            title={order.hint}
+                            onClick={() => setMergeOrder(order.id)}
+                            className={segmentClass(mergeOrder === order.id)}
+                        >
+                            {order.label}
+                        </button>
+                    ))}
+                </div>
+                {mergeOrder === 'interleave' && (
+                    <p className="mt-2 text-xs text-slate-500">
+                        Page 1 of every file comes first, then page 2 and so on; files that run out are skipped.
+                        For double-sided scans, put the fronts first and reverse the backs with the arrow next to them.
+                    </p>
+                )}
+            </div>
+
+            {(mergeMode === 'normalize' || hasImages) && (
+                <div className="mt-3 space-y-3">
+                    <div>
+                        <label className="block text-xs font-medium text-slate-600 mb-1">Page size</label>
+                        <div className="flex flex-wrap items-center gap-1">
+                            {PAGE_SIZES.map((size) => (
+                                <button
+                                    key={size}
+                                    type="button"
+                                    onClick={() => update('pageSize', size)}
+                                    className={segmentClass(mergeOptions.pageSize === size)}
+                                >
+                                    {size === 'custom' ? 'Custom' : size}
+                                </button>
+                            ))}
+                            {mergeOptions.pageSize === 'custom' && (
+                                <span className="flex items-center gap-1 ml-2 text-xs text-slate-500">
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={mergeOptions.customWidth}
+                                        onChange={(e) => update('customWidth', e.target.value)}
+                                        className={numberInputClass}
+                                    />
+                                    ×
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={mergeOptions.customHeight}
+                                        onChange={(e) => update('customHeight', e.target.value)}
+                                        className={numberInputClass}
+                                    />
+                                    mm
+                                </span>
+                            )}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-xs font-medium text-slate-600 mb-1">Orientation</label>
+                        <div className="flex flex-wrap gap-1">
+                            {ORIENTATIONS.map((orientation) => (
+                                <button
+                                    key={orientation.id}
+                                    type="button"
+                                    title={orientation.hint}
+                                    onClick={() => update('orientation', orientation.id)}
+                                    className={segmentClass(mergeOptions.orientation === orientation.id)}
+                                >
+                                    {orientation.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-xs font-medium text-slate-600 mb-1">Scaling</label>
+                        <div className="flex flex-wrap gap-1">
+                            {FIT_MODES.map((mode) => (
+                                <button
+                                    key={mode.id}
+                                    type="button"
+                                    title={mode.hint}
+                                    onClick={() => update('fit', mode.id)}
+                                    className={segmentClass(mergeOptions.fit === mode.id)}
+                                >
+                                    {mode.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-xs font-medium text-slate-600 mb-1">Margin</label>
+                        <span className="flex items-center gap-1 text-xs text-slate-500">
+                            <input
+                                type="number"
+                                min="0"
+                                value={mergeOptions.margin}
+                                onChange={(e) => update('margin', e.target.value)}
+                                className={numberInputClass}
+                            />
+                            mm
+                        </span>
+                    </div>
+                </div>
+            )}
+
+            {mergeError && (
+                <p className="mt-2 text-xs text-red-600 font-medium">
+                    {mergeError}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default MergeOptions;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { ChevronDown, EyeOff } from 'lucide-react';
+
+const TEXT_FIELDS = [
+    { id: 'title', label: 'Title' },
+    { id: 'author', label: 'Author' },
+    { id: 'subject', label: 'Subject' },
+    { id: 'keywords', label: 'Keywords' },
+    { id: 'creator', label: 'Creator' },
+    { id: 'producer', label: 'Producer' },
+];
+
+const DATE_FIELDS = [
+    { id: 'creationDate', label: 'Created' },
+    { id: 'modificationDate', label: 'Modified' },
+];
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white';
+
+/**
+ * Converts an ISO date to the local 'YYYY-MM-DDTHH:mm' value of a datetime-local input.
+ */
+const toInputDate = (iso) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const fromInputDate = (value) => (value ? new Date(value).toISOString() : '');
+
+const MetadataPanel = ({ files, fileInfo, metadataEdits, setMetadataEdits, stripMetadata, setStripMetadata, activeTab }) => {
+    const [open, setOpen] = useState(false);
+    const [selectedId, setSelectedId] = useState(null);
+
+    // Only PDFs that have been read carry metadata
+    const pdfFiles = files.filter(({ id }) => fileInfo[id] && fileInfo[id].metadata);
+    if (pdfFiles.length === 0) {
+        return null;
+    }
+
+    const current = pdfFiles.find(({ id }) => id === selectedId) || pdfFiles[0];
+    const metadata = { ...fileInfo[current.id].metadata, ...metadataEdits[current.id] };
+
+    const update = (key, value) => {
+        setMetadataEdits((prev) => ({ ...prev, [current.id]: { ...prev[current.id], [key]: value } }));
+    };
+
+    const reset = () => {
+        setMetadataEdits((prev) => {
+            const next = { ...prev };
+            delete next[current.id];
+            return next;
+        });
+    };
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left">
+            <div className="flex flex-wrap items-center gap-2">
+                <button
+                    type="button"
+                    onClick={() => setOpen(!open)}
+                    className="flex items-center gap-1 mr-auto text-xs font-semibold text-slate-700"
+                >
+                    <ChevronDown className={`w-3.5 h-3.5 text-slate-500 transition-transform ${open ? '' : '-rotate-90'}`} />
+                    Document properties
+                </button>
+                <label className="flex items-center gap-2 text-xs font-semibold text-slate-700 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={stripMetadata}
+                        onChange={(e) => setStripMetadata(e.target.checked)}
+                        className="accent-blue-600"
+                    />
+                    <EyeOff className="w-3.5 h-3.5 text-slate-500" />
+                    Strip all metadata
+                </label>
+            </div>
+
+            {stripMetadata && (
+                <p className="mt-2 text-xs text-slate-500">
+                    Title, author, dates, the producing software and XMP data are removed from the output.
+                </p>
+            )}
+
+            {open && !stripMetadata && (
+                <div className="mt-3 space-y-3">
+                    {pdfFiles.length > 1 && (
+                        <select
+                            value={current.id}
+                            onChange={(e) => setSelectedId(Number(e.target.value))}
+                            className={inputClass}
+                        >
+                            {pdfFiles.map(({ id, file }) => (
+                                <option key={id} value={id}>
+                                    {file.name}{metadataEdits[id] ? ' (edited)' : ''}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                        {TEXT_FIELDS.map((field) => (
+                            <label key={field.id} className="block text-xs font-medium text-slate-600">
+                                {field.label}
+                                <input
+                                    type="text"
+                                    value={metadata[field.id]}
+                                    onChange={(e) => update(field.id, e.target.value)}
+                                    className={`mt-0.5 ${inputClass}`}
+                                />
+                            </label>
+                        ))}
+                        {DATE_FIELDS.map((field) => (
+                            <label key={field.id} className="block text-xs font-medium text-slate-600">
+                                {field.label}
+                                <input
+                                    type="datetime-local"
+                                    value={toInputDate(metadata[field.id])}
+                                    onChange={(e) => update(field.id, fromInputDate(e.target.value))}
+                                    className={`mt-0.5 ${inputClass}`}
+                                />
+                            </label>
+                        ))}
+                    </div>
+
+                    <label className="block text-xs font-medium text-slate-600">
+                        XMP
+                        <textarea
+                            rows={4}
+                            value={metadata.xmp}
+                            onChange={(e) => update('xmp', e.target.value)}
+                            placeholder="No XMP metadata"
+                            spellCheck={false}
+                            className={`mt-0.5 font-mono text-[11px] ${inputClass}`}
+                        />
+                    </label>
+
+                    <div className="flex items-center gap-2 text-xs text-slate-400">
+                        <span className="mr-auto">
+                            {activeTab === 'merge'
+                                ? 'The merged file gets the properties of the first PDF. '
+                                : ''}
+                            Unedited properties are kept, with the modification date set to now.
+                        </span>
+                        {metadataEdits[current.id] && (
+                            <button
+                                type="button"
+                                onClick={reset}
+                                className="px-2 py-1 rounded-lg text-slate-600 hover:bg-slate-100"
+                            >
+                                Undo changes
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MetadataPanel;
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from 'react';
+import { RotateCw, Trash2, Check, Loader2, RotateCcw } from 'lucide-react';
+import { openForRendering, renderPageThumbnail } from '../lib/pdfRender';
+
+const PageGrid = ({ file, password, pages, setPages, onReset }) => {
+    const [thumbnails, setThumbnails] = useState({});
+    const [dragId, setDragId] = useState(null);
+
+    // Render thumbnails one page at a time so the first ones show up quickly
+    useEffect(() => {
+        let cancelled = false;
+        const urls = [];
+
+        const renderAll = async () => {
+            const pdf = await openForRendering(new Uint8Array(await file.arrayBuffer()), password);
+            try {
+                for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                    if (cancelled) break;
+                    const url = await renderPageThumbnail(pdf, pageNumber);
+                    urls.push(url);
+                    if (cancelled) break;
+                    setThumbnails((prev) => ({ ...prev, [pageNumber - 1]: url }));
+                }
+            } finally {
+                pdf.destroy();
+            }
+        };
+
+        renderAll().catch((error) => console.error('Error rendering thumbnails:', error));
+
+        return () => {
+            cancelled = true;
+            urls.forEach((url) => URL.revokeObjectURL(url));
+        };
+    }, [file, password]);
+
+    const selectedCount = pages.filter((page) => page.selected).length;
+
+    const updatePage = (id, update) => {
+        setPages((prev) => prev.map((page) => (page.id === id ? { ...page, ...update(page) } : page)));
+    };
+
+    const rotatePage = (id) => {
+        updatePage(id, (page) => ({ rotation: (page.rotation + 90) % 360 }));
+    };
+
+    const removePage = (id) => {
+        setPages((prev) => prev.filter((page) => page.id !== id));
+    };
+
+    const rotateSelected = () => {
+        setPages((prev) => prev.map((page) => (page.selected ? { ...page, rotation: (page.rotation + 90) % 360 } : page)));
+    };
+
+    const removeSelected = () => {
+        setPages((prev) => prev.filter((page) => !page.selected));
+    };
+
+    const setAllSelected = (selected) => {
+        setPages((prev) => prev.map((page) => ({ ...page, selected })));
+    };
+
+    const handleDrop = (targetId) => {
+        if (dragId === null || dragId === targetId) return;
+        setPages((prev) => {
+            const from = prev.findIndex((page) => page.id === dragId);
+            const to = prev.findIndex((page) => page.id === targetId);
+            const next = [...prev];
+            const [moved] = next.splice(from, 1);
+            next.splice(to, 0, moved);
+            return next;
+        });
+        setDragId(null);
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+                <span className="text-slate-500 mr-auto">
+                    {selectedCount > 0
+                        ? `${selectedCount} of ${pages.length} selected — only these will be exported`
+                        : `${pages.length} page${pages.length !== 1 ? 's' : ''} — click to select, drag to reorder`}
+                </span>
+                <button
+                    type="button"
+                    onClick={() => setAllSelected(selectedCount !== pages.length)}
+                    className="px-2 py-1 rounded-lg text-slate-600 hover:bg-slate-100"
+                >
+                    {selectedCount === pages.length ? 'Clear selection' : 'Select all'}
+                </button>
+                {selectedCount > 0 && (
+                    <>
+                        <button
+                            type="button"
+                            onClick={rotateSelected}
+                            className="flex items-center gap-1 px-2 py-1 rounded-lg text-slate-600 hover:bg-slate-100"
+                        >
+                            <RotateCw className="w-3.5 h-3.5" />
+                            Rotate
+                        </button>
+                        <button
+                            type="button"
+                            onClick={removeSelected}
+                            className="flex items-center gap-1 px-2 py-1 rounded-lg text-red-500 hover:bg-red-50"
+                        >
+                            <Trash2 className="w-3.5 h-3.5" />
+                            Delete
+                        </button>
+                    </>
+                )}
+                <button
+                    type="button"
+                    onClick={onReset}
+                    className="flex items-center gap-1 px-2 py-1 rounded-lg text-slate-600 hover:bg-slate-100"
+                >
+                    <RotateCcw className="w-3.5 h-3.5" />
+                    Reset
+                </button>
+            </div>
+
+            <div className="grid grid-cols-3 sm:grid-cols-5 gap-3 max-h-80 overflow-y-auto p-1">
+                {pages.map((page) => (
+                    <div
+                        key={page.id}
+                        draggable
+                        onDragStart={() => setDragId(page.id)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => handleDrop(page.id)}
+                        onDragEnd={() => setDragId(null)}
+                        onClick={() => updatePage(page.id, (p) => ({ selected: !p.selected }))}
+                        className={`group relative flex flex-col items-center p-1.5 rounded-lg border-2 cursor-pointer transition-all ${page.selected
+                            ? 'border-blue-500 bg-blue-50'
+                            : 'border-transparent hover:border-slate-200'
+                            } ${dragId === page.id ? 'opacity-40' : ''}`}
+                    >
+                        <div className="w-full aspect-[3/4] flex items-center justify-center overflow-hidden">
+                            {thumbnails[page.index] ? (
+                                <img
+                                    src={thumbnails[page.index]}
+                                    alt={`Page ${page.index + 1}`}
+                                    draggable={false}
+                                    style={{ transform: `rotate(${page.rotation}deg)` }}
+                                    className="max-w-full max-h-full shadow-sm border border-slate-200 transition-transform"
+                                />
+                            ) : (
+                                <Loader2 className="w-5 h-5 text-slate-300 animate-spin" />
+                            )}
+                        </div>
+                        <span className="mt-1 text-[11px] text-slate-500">
+                            {page.index + 1}
+                            {page.rotation > 0 && ` · ${page.rotation}°`}
+                        </span>
+
+                        {page.selected && (
+                            <div className="absolute top-1 left-1 p-0.5 bg-blue-600 text-white rounded">
+                                <Check className="w-3 h-3" />
+                            </div>
+                        )}
+
+                        <div className="absolute top-1 right-1 flex gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                            <button
+                                type="button"
+                                title="Rotate 90°"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    rotatePage(page.id);
+                                }}
+                                className="p-1 bg-white/90 text-slate-600 hover:text-blue-600 rounded shadow-sm"
+                            >
+                                <RotateCw className="w-3 h-3" />
+                            </button>
+                            <button
+                                type="button"
+                                title="Delete page"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    removePage(page.id);
+                                }}
+                                className="p-1 bg-white/90 text-red-500 hover:text-red-600 rounded shadow-sm"
+                            >
+                                <Trash2 className="w-3 h-3" />
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default PageGrid;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+
+const PasswordPrompt = ({ incorrect, onUnlock }) => {
+    const [password, setPassword] = useState('');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (password) onUnlock(password);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-3 pl-[52px]">
+            <label className="flex items-center gap-1.5 text-xs font-medium text-slate-600 mb-1">
+                <KeyRound className="w-3.5 h-3.5 text-amber-500" />
+                This PDF is password-protected. Enter the password to unlock it on your device.
+            </label>
+            <div className="flex gap-2">
+                <input
+                    type="password"
+                    autoComplete="off"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password"
+                    className={`flex-1 px-3 py-1.5 text-sm border rounded-lg focus:ring-2 outline-none transition-all bg-slate-50 focus:bg-white ${incorrect
+                        ? 'border-red-500 focus:border-red-500 focus:ring-red-200'
+                        : 'border-slate-200 focus:border-blue-500 focus:ring-blue-500'
+                        }`}
+                />
+                <button
+                    type="submit"
+                    className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors"
+                >
+                    Unlock
+                </button>
+            </div>
+            {incorrect && (
+                <p className="mt-1 text-xs text-red-600 font-medium">
+                    The password is incorrect. Please try again.
+                </p>
+            )}
+        </form>
+    );
+};
+
+export default PasswordPrompt;
@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import { Undo2, Redo2, Eye, Plus, Save, FileJson } from 'lucide-react';
+import { STEP_DEFAULTS, validateStep, describeStep } from '../lib/pdfPipeline';
+
+const STEP_TYPES = [
+    { id: 'remove', label: 'Remove pages' },
+    { id: 'rotate', label: 'Rotate' },
+    { id: 'number', label: 'Page numbers' },
+    { id: 'compress', label: 'Compress' },
+];
+
+const ANGLES = [90, 180, 270];
+
+const PLACEMENTS = [
+    { id: 'header', label: 'Header' },
+    { id: 'footer', label: 'Footer' },
+];
+
+const ALIGNMENTS = [
+    { id: 'left', label: 'Left' },
+    { id: 'center', label: 'Center' },
+    { id: 'right', label: 'Right' },
+];
+
+const LEVELS = [
+    { id: 'lossless', label: 'Lossless' },
+    { id: 'balanced', label: 'Balanced' },
+    { id: 'strong', label: 'Strong' },
+];
+
+const segmentClass = (active) => `px-3 py-1 rounded-lg text-xs font-semibold transition-all duration-200 ${active
+    ? 'bg-blue-600 text-white shadow-sm'
+    : 'text-slate-600 bg-slate-50 hover:bg-slate-100'
+    }`;
+
+const inputClass = 'px-2 py-1 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white';
+
+const buttonClass = 'flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-slate-600 border border-slate-200 hover:border-slate-400 hover:bg-slate-50 rounded-lg transition-all disabled:opacity-40 disabled:pointer-events-none';
+
+const describeResult = ({ pageCount, bytes }) => `${pageCount} page${pageCount !== 1 ? 's' : ''} · ${(bytes.length / 1024 / 1024).toFixed(2)} MB`;
+
+const PipelinePanel = ({ pipeline, pipelineError, isProcessing, onAddStep, onUndo, onRedo, onJump, onPreview, onSaveRecipe, onRunRecipe }) => {
+    const [stepType, setStepType] = useState('remove');
+    const [drafts, setDrafts] = useState(STEP_DEFAULTS); // settings of the step being added, per type
+
+    const draft = drafts[stepType];
+    const update = (key, value) => {
+        setDrafts((prev) => ({ ...prev, [stepType]: { ...prev[stepType], [key]: value } }));
+    };
+
+    const recipePicker = (
+        <label className={`${buttonClass} cursor-pointer`}>
+            <FileJson className="w-4 h-4" />
+            Run a recipe…
+            <input
+                type="file"
+                accept="application/json,.json"
+                disabled={isProcessing}
+                onChange={(e) => {
+                    if (e.target.files[0]) onRunRecipe(e.target.files[0]);
+                    e.target.value = ''; // Allow picking the same recipe again
+                }}
+                className="hidden"
+            />
+        </label>
+    );
+
+    if (!pipeline) {
+        return (
+            <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left space-y-3">
+                <p className="text-xs text-slate-500">
+                    Start a pipeline to combine these files, then remove pages, rotate, number and compress step by step. Every step can be undone, and the steps can be saved as a recipe to run on other files.
+                </p>
+                {pipelineError && (
+                    <p className="text-xs text-red-600 font-medium">{pipelineError}</p>
+                )}
+                <div className="flex">{recipePicker}</div>
+            </div>
+        );
+    }
+
+    const { results, position } = pipeline;
+    const current = results[position];
+    const stepError = validateStep(draft, current.pageCount);
+    // An empty page range is the starting point, not a mistake worth pointing out
+    const showStepError = stepError && !(stepType === 'remove' && !draft.range.trim());
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left space-y-4">
+            <div>
+                <div className="flex items-center gap-1 mb-1">
+                    <span className="mr-auto text-xs font-medium text-slate-600">History</span>
+                    <button type="button" onClick={onUndo} disabled={isProcessing || position === 0} title="Undo (Ctrl+Z)" className={buttonClass}>
+                        <Undo2 className="w-4 h-4" />
+                    </button>
+                    <button type="button" onClick={onRedo} disabled={isProcessing || position === results.length - 1} title="Redo (Ctrl+Shift+Z)" className={buttonClass}>
+                        <Redo2 className="w-4 h-4" />
+                    </button>
+                </div>
+                <ol className="space-y-1 max-h-48 overflow-y-auto pr-1">
+                    {results.map((result, index) => (
+                        <li
+                            key={index}
+                            className={`flex items-center gap-2 px-2 py-1 rounded-lg text-xs ${index === position
+                                ? 'bg-blue-50 text-blue-800'
+                                : index > position ? 'text-slate-400 line-through' : 'text-slate-600'
+                                }`}
+                        >
+                            <button
+                                type="button"
+                                onClick={() => onJump(index)}
+                                disabled={isProcessing}
+                                className="flex-1 min-w-0 text-left truncate"
+                            >
+                                {index === 0 ? 'Start' : `${index}. ${describeStep(result.step)}`}
+                                <span className="text-slate-400 ml-2">{describeResult(result)}</span>
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => onPreview(index)}
+                                title="Open this result"
+                                className="p-1 text-slate-400 hover:text-blue-600 rounded"
+                            >
+                                <Eye className="w-3.5 h-3.5" />
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+            </div>
+
+            <div>
+                <label className="block text-xs font-medium text-slate-600 mb-1">Add a step</label>
+                <div className="flex flex-wrap gap-1">
+                    {STEP_TYPES.map((type) => (
+                        <button
+                            key={type.id}
+                            type="button"
+                            onClick={() => setStepType(type.id)}
+                            className={segmentClass(stepType === type.id)}
+                        >
+                            {type.label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                    {(stepType === 'remove' || stepType === 'rotate') && (
+                        <input
+                            type="text"
+                            value={draft.range}
+                            onChange={(e) => update('range', e.target.value)}
+                            placeholder={stepType === 'remove' ? 'Pages to remove, e.g. 2, 5-7, last' : 'All pages, or e.g. 1-3, even'}
+                            className={`flex-1 min-w-[12rem] ${inputClass}`}
+                        />
+                    )}
+                    {stepType === 'rotate' && ANGLES.map((angle) => (
+                        <button key={angle} type="button" onClick={() => update('angle', angle)} className={segmentClass(draft.angle === angle)}>
+                            {angle}°
+                        </button>
+                    ))}
+                    {stepType === 'number' && (
+                        <>
+                            <input
+                                type="text"
+                                value={draft.template}
+                                onChange={(e) => update('template', e.target.value)}
+                                placeholder="e.g., Page {page} of {total}"
+                                className={`w-full ${inputClass}`}
+                            />
+                            {PLACEMENTS.map((placement) => (
+                                <button key={placement.id} type="button" onClick={() => update('placement', placement.id)} className={segmentClass(draft.placement === placement.id)}>
+                                    {placement.label}
+                                </button>
+                            ))}
+                            <span className="mx-1" />
+                            {ALIGNMENTS.map((align) => (
+                                <button key={align.id} type="button" onClick={() => update('align', align.id)} className={segmentClass(draft.align === align.id)}>
+                                    {align.label}
+                                </button>
+                            ))}
+                            <span className="flex items-center gap-2">
+                                Start {'{n}'} at
+                                <input type="number" min="0" value={draft.start} onChange={(e) => update('start', e.target.value)} className={`w-16 ${inputClass}`} />
+                                <input type="number" min="1" value={draft.size} onChange={(e) => update('size', e.target.value)} className={`w-16 ${inputClass}`} />
+                                pt
+                            </span>
+                        </>
+                    )}
+                    {stepType === 'compress' && LEVELS.map((level) => (
+                        <button key={level.id} type="button" onClick={() => update('level', level.id)} className={segmentClass(draft.level === level.id)}>
+                            {level.label}
+                        </button>
+                    ))}
+                    <button
+                        type="button"
+                        onClick={() => onAddStep(draft)}
+                        disabled={isProcessing || Boolean(stepError)}
+                        className="ml-auto flex items-center gap-1.5 px-3 py-1.5 text-xs font-semibold text-white bg-blue-600 hover:bg-blue-700 rounded-lg transition-all disabled:opacity-40 disabled:pointer-events-none"
+                    >
+                        <Plus className="w-4 h-4" />
+                        Add step
+                    </button>
+                </div>
+
+                {showStepError && (
+                    <p className="mt-2 text-xs text-red-600 font-medium">{stepError}</p>
+                )}
+                {position < results.length - 1 && (
+                    <p className="mt-2 text-xs text-slate-400">
+                        Adding a step here replaces the undone steps after it.
+                    </p>
+                )}
+            </div>
+
+            {pipelineError && (
+                <p className="text-xs text-red-600 font-medium">{pipelineError}</p>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+                <button type="button" onClick={onSaveRecipe} disabled={position === 0} className={buttonClass}>
+                    <Save className="w-4 h-4" />
+                    Save recipe
+                </button>
+                {recipePicker}
+            </div>
+        </div>
+    );
+};
+
+export default PipelinePanel;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Lock } from 'lucide-react';
+
+const RESTRICTIONS = [
+    { id: 'noPrint', label: 'No printing' },
+    { id: 'noCopy', label: 'No copying text' },
+    { id: 'noModify', label: 'No editing' },
+];
+
+const passwordInputClass = 'w-full px-3 py-1.5 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white';
+
+const ProtectOptions = ({ protection, setProtection, protectionError }) => {
+    const update = (key, value) => {
+        setProtection((prev) => ({ ...prev, [key]: value }));
+    };
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left">
+            <label className="flex items-center gap-2 text-xs font-semibold text-slate-700 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={protection.enabled}
+                    onChange={(e) => update('enabled', e.target.checked)}
+                    className="accent-blue-600"
+                />
+                <Lock className="w-3.5 h-3.5 text-slate-500" />
+                Password-protect the output
+            </label>
+
+            {protection.enabled && (
+                <div className="mt-3 space-y-3">
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <div>
+                            <label className="block text-xs font-medium text-slate-600 mb-1">Password to open</label>
+                            <input
+                                type="password"
+                                autoComplete="new-password"
+                                value={protection.userPassword}
+                                onChange={(e) => update('userPassword', e.target.value)}
+                                placeholder="Optional"
+                                className={passwordInputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs font-medium text-slate-600 mb-1">Owner password</label>
+                            <input
+                                type="password"
+                                autoComplete="new-password"
+                                value={protection.ownerPassword}
+                                onChange={(e) => update('ownerPassword', e.target.value)}
+                                placeholder="Needed to lift restrictions"
+                                className={passwordInputClass}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                        {RESTRICTIONS.map((restriction) => (
+                            <label key={restriction.id} className="flex items-center gap-1.5 text-xs text-slate-600 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={protection[restriction.id]}
+                                    onChange={(e) => update(restriction.id, e.target.checked)}
+                                    className="accent-blue-600"
+                                />
+                                {restriction.label}
+                            </label>
+                        ))}
+                    </div>
+
+                    <p className="text-xs text-slate-400">
+                        Encrypted with AES-256 on your device. Passwords are never stored or sent anywhere.
+                    </p>
+                </div>
+            )}
+
+            {protection.enabled && protectionError && (
+                <p className="mt-2 text-xs text-red-600 font-medium">
+                    {protectionError}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default ProtectOptions;
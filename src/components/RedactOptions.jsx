@@ -0,0 +1,309 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronLeft, ChevronRight, Loader2, Search, Trash2, X } from 'lucide-react';
+import { openForRendering, renderPageView } from '../lib/pdfRender';
+import { REDACTION_PATTERNS } from '../lib/pdfTextSearch';
+
+const VIEW_WIDTH = 560; // Render width of the page being marked, in pixels
+
+// Drawn boxes smaller than this, in PDF points, are taken for stray clicks
+const MIN_SIZE = 2;
+
+const buttonClass = 'flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-slate-600 border border-slate-200 hover:border-slate-400 hover:bg-slate-50 rounded-lg transition-all disabled:opacity-40 disabled:pointer-events-none';
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white';
+
+/**
+ * Where `area` (in PDF user space) shows on the rendered `view`, as percentages.
+ */
+function placeArea(view, area) {
+    const corners = [
+        view.toViewPoint(area.x, area.y),
+        view.toViewPoint(area.x + area.width, area.y + area.height),
+    ];
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    return {
+        left: `${(Math.min(...xs) / view.width) * 100}%`,
+        top: `${(Math.min(...ys) / view.height) * 100}%`,
+        width: `${((Math.max(...xs) - Math.min(...xs)) / view.width) * 100}%`,
+        height: `${((Math.max(...ys) - Math.min(...ys)) / view.height) * 100}%`,
+    };
+}
+
+const RedactOptions = ({ file, password, pageCount, areas, setAreas, search, setSearch, onFind, isProcessing, rasterize, setRasterize, redactError, redactReport }) => {
+    const [doc, setDoc] = useState(null);
+    const [pageNumber, setPageNumber] = useState(1);
+    const [rendered, setRendered] = useState(null); // the rendered page, see `renderPageView`, with its pageNumber
+    const [draft, setDraft] = useState(null); // { start, end } of the box being drawn, in view pixels
+    const [notice, setNotice] = useState('');
+    const overlay = useRef(null);
+    const view = rendered && rendered.pageNumber === pageNumber ? rendered : null;
+
+    // Keep the document open while it is being marked
+    useEffect(() => {
+        let opened = null;
+        let cancelled = false;
+
+        const open = async () => {
+            opened = await openForRendering(new Uint8Array(await file.arrayBuffer()), password);
+            if (cancelled) {
+                opened.destroy();
+            } else {
+                setDoc(opened);
+            }
+        };
+        open().catch(() => {
+            if (!cancelled) setNotice('The PDF could not be opened, so areas cannot be marked on it.');
+        });
+
+        return () => {
+            cancelled = true;
+            if (opened) opened.destroy();
+        };
+    }, [file, password]);
+
+    useEffect(() => {
+        if (!doc) return undefined;
+        let url = null;
+        let cancelled = false;
+
+        renderPageView(doc, pageNumber, VIEW_WIDTH)
+            .then((result) => {
+                url = result.url;
+                if (cancelled) {
+                    URL.revokeObjectURL(url);
+                } else {
+                    setRendered({ ...result, pageNumber });
+                }
+            })
+            .catch(() => {
+                if (!cancelled) setNotice(`Page ${pageNumber} could not be shown, so areas cannot be marked on it.`);
+            });
+
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [doc, pageNumber]);
+
+    // Pointer position in view pixels
+    const pointAt = (event) => {
+        const rect = overlay.current.getBoundingClientRect();
+        const x = Math.min(Math.max(event.clientX - rect.left, 0), rect.width);
+        const y = Math.min(Math.max(event.clientY - rect.top, 0), rect.height);
+        return [(x / rect.width) * view.width, (y / rect.height) * view.height];
+    };
+
+    const handlePointerDown = (event) => {
+        if (!view || isProcessing) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        const point = pointAt(event);
+        setDraft({ start: point, end: point });
+    };
+
+    const handlePointerMove = (event) => {
+        if (draft) setDraft({ ...draft, end: pointAt(event) });
+    };
+
+    const handlePointerUp = () => {
+        if (!draft) return;
+        setDraft(null);
+        const [x0, y0] = view.toPdfPoint(...draft.start);
+        const [x1, y1] = view.toPdfPoint(...draft.end);
+        const area = {
+            page: pageNumber,
+            x: Math.min(x0, x1),
+            y: Math.min(y0, y1),
+            width: Math.abs(x1 - x0),
+            height: Math.abs(y1 - y0),
+        };
+        if (area.width >= MIN_SIZE && area.height >= MIN_SIZE) {
+            setAreas((prev) => [...prev, area]);
+        }
+    };
+
+    const handleFind = async () => {
+        setNotice('');
+        const found = await onFind();
+        if (found !== null) {
+            setNotice(found > 0 ? `Marked ${found} match${found !== 1 ? 'es' : ''}.` : 'Nothing matching the search was found.');
+        }
+    };
+
+    const togglePreset = (key, checked) => {
+        setSearch((prev) => ({
+            ...prev,
+            presets: checked ? [...prev.presets, key] : prev.presets.filter((preset) => preset !== key),
+        }));
+    };
+
+    const pageAreas = areas.map((area, index) => ({ area, index })).filter(({ area }) => area.page === pageNumber);
+    const draftStyle = draft && {
+        left: `${(Math.min(draft.start[0], draft.end[0]) / view.width) * 100}%`,
+        top: `${(Math.min(draft.start[1], draft.end[1]) / view.height) * 100}%`,
+        width: `${(Math.abs(draft.end[0] - draft.start[0]) / view.width) * 100}%`,
+        height: `${(Math.abs(draft.end[1] - draft.start[1]) / view.height) * 100}%`,
+    };
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left space-y-4">
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <span className="text-xs font-semibold text-slate-700">Draw boxes over what to remove</span>
+                    <div className="flex items-center gap-2 text-xs text-slate-600">
+                        <button
+                            type="button"
+                            onClick={() => setPageNumber((n) => n - 1)}
+                            disabled={pageNumber <= 1}
+                            className="p-1 rounded hover:bg-slate-100 disabled:opacity-40"
+                            title="Previous page"
+                        >
+                            <ChevronLeft className="w-4 h-4" />
+                        </button>
+                        Page {pageNumber} of {pageCount}
+                        <button
+                            type="button"
+                            onClick={() => setPageNumber((n) => n + 1)}
+                            disabled={pageNumber >= pageCount}
+                            className="p-1 rounded hover:bg-slate-100 disabled:opacity-40"
+                            title="Next page"
+                        >
+                            <ChevronRight className="w-4 h-4" />
+                        </button>
+                    </div>
+                </div>
+
+                <div className="max-h-[50vh] overflow-y-auto border border-slate-200 rounded-lg bg-white">
+                    {view ? (
+                        <div className="relative select-none touch-none">
+                            <img src={view.url} alt={`Page ${pageNumber}`} className="w-full block" draggable={false} />
+                            <div
+                                ref={overlay}
+                                className="absolute inset-0 cursor-crosshair"
+                                onPointerDown={handlePointerDown}
+                                onPointerMove={handlePointerMove}
+                                onPointerUp={handlePointerUp}
+                                onPointerCancel={() => setDraft(null)}
+                            >
+                                {pageAreas.map(({ area, index }) => (
+                                    <div
+                                        key={index}
+                                        className="absolute bg-black/70 border border-black"
+                                        style={placeArea(view, area)}
+                                        title={area.text || 'Drawn area'}
+                                    />
+                                ))}
+                                {draftStyle && <div className="absolute border-2 border-dashed border-red-500 bg-red-500/10" style={draftStyle} />}
+                            </div>
+                        </div>
+                    ) : (
+                        <div className="h-48 flex items-center justify-center">
+                            <Loader2 className="w-5 h-5 text-slate-400 animate-spin" />
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <div>
+                <span className="text-xs font-semibold text-slate-700">Find text to remove</span>
+                <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1">
+                    {Object.entries(REDACTION_PATTERNS).map(([key, { label }]) => (
+                        <label key={key} className="flex items-center gap-1.5 text-xs text-slate-600 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={search.presets.includes(key)}
+                                onChange={(e) => togglePreset(key, e.target.checked)}
+                                className="accent-blue-600"
+                            />
+                            {label}
+                        </label>
+                    ))}
+                </div>
+                <textarea
+                    rows={2}
+                    value={search.terms}
+                    onChange={(e) => setSearch((prev) => ({ ...prev, terms: e.target.value }))}
+                    placeholder="Names or other words to find, one per line"
+                    className={`${inputClass} mt-2`}
+                />
+                <div className="mt-1 flex items-center justify-between gap-2">
+                    <label className="flex items-center gap-1.5 text-xs text-slate-600 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={search.regex}
+                            onChange={(e) => setSearch((prev) => ({ ...prev, regex: e.target.checked }))}
+                            className="accent-blue-600"
+                        />
+                        Regular expressions
+                    </label>
+                    <button type="button" onClick={handleFind} disabled={isProcessing || !doc} className={buttonClass}>
+                        <Search className="w-4 h-4" />
+                        Find and mark
+                    </button>
+                </div>
+                {notice && <p className="mt-1 text-xs text-slate-500">{notice}</p>}
+            </div>
+
+            {areas.length > 0 && (
+                <div>
+                    <div className="flex items-center justify-between mb-1">
+                        <span className="text-xs font-semibold text-slate-700">
+                            {areas.length} area{areas.length !== 1 ? 's' : ''} to redact
+                        </span>
+                        <button type="button" onClick={() => setAreas([])} className="flex items-center gap-1 text-xs text-slate-500 hover:text-red-600">
+                            <Trash2 className="w-3.5 h-3.5" />
+                            Clear all
+                        </button>
+                    </div>
+                    <ul className="max-h-32 overflow-y-auto space-y-1">
+                        {areas.map((area, index) => (
+                            <li key={index} className="flex items-center gap-2 text-xs text-slate-600">
+                                <button type="button" onClick={() => setPageNumber(area.page)} className="hover:text-blue-600">
+                                    Page {area.page}
+                                </button>
+                                <span className="flex-1 truncate text-slate-400">{area.text ? `“${area.text}”` : 'Drawn area'}</span>
+                                <button
+                                    type="button"
+                                    onClick={() => setAreas((prev) => prev.filter((_, i) => i !== index))}
+                                    className="p-0.5 text-slate-400 hover:text-red-600"
+                                    title="Remove this area"
+                                >
+                                    <X className="w-3.5 h-3.5" />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <div>
+                <label className="flex items-center gap-2 text-xs font-semibold text-slate-700 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={rasterize}
+                        onChange={(e) => setRasterize(e.target.checked)}
+                        className="accent-blue-600"
+                    />
+                    Turn redacted pages into images
+                </label>
+                <p className="mt-1 text-xs text-slate-500">
+                    Text under the boxes is always removed. This also flattens the rest of those pages, so nothing on them can be selected or searched, and keeps their images apart from the blacked-out parts. Use it for scans, whose page images are otherwise removed whole.
+                </p>
+            </div>
+
+            {redactReport && (
+                <p className="text-xs text-emerald-700 font-medium">
+                    {redactReport}
+                </p>
+            )}
+
+            {redactError && (
+                <p className="text-xs text-red-600 font-medium">
+                    {redactError}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default RedactOptions;
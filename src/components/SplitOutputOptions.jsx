@@ -0,0 +1,60 @@
+import React from 'react';
+
+const FORMATS = [
+    { id: 'pdf', label: 'PDF' },
+    { id: 'png', label: 'PNG images' },
+    { id: 'jpeg', label: 'JPEG images' },
+];
+
+const segmentClass = (active) => `px-3 py-1 rounded-lg text-xs font-semibold transition-all duration-200 ${active
+    ? 'bg-blue-600 text-white shadow-sm'
+    : 'text-slate-600 bg-slate-50 hover:bg-slate-100'
+    }`;
+
+const SplitOutputOptions = ({ splitFormat, setSplitFormat, imageDpi, setImageDpi, dpiError }) => {
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left">
+            <label className="block text-xs font-medium text-slate-600 mb-1">Save pages as</label>
+            <div className="flex flex-wrap items-center gap-1">
+                {FORMATS.map((format) => (
+                    <button
+                        key={format.id}
+                        type="button"
+                        onClick={() => setSplitFormat(format.id)}
+                        className={segmentClass(splitFormat === format.id)}
+                    >
+                        {format.label}
+                    </button>
+                ))}
+                {splitFormat !== 'pdf' && (
+                    <span className="flex items-center gap-1 ml-2 text-xs text-slate-500">
+                        <input
+                            type="number"
+                            min="36"
+                            max="600"
+                            step="1"
+                            value={imageDpi}
+                            onChange={(e) => setImageDpi(e.target.value)}
+                            className="w-20 px-2 py-1 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white"
+                        />
+                        dpi
+                    </span>
+                )}
+            </div>
+
+            {splitFormat !== 'pdf' && (
+                dpiError ? (
+                    <p className="mt-2 text-xs text-red-600 font-medium">
+                        {dpiError}
+                    </p>
+                ) : (
+                    <p className="mt-2 text-xs text-slate-500">
+                        Each chosen page becomes one image; several pages are delivered as a ZIP. 150 dpi suits screens, 300 dpi suits print.
+                    </p>
+                )
+            )}
+        </div>
+    );
+};
+
+export default SplitOutputOptions;
@@ -0,0 +1,252 @@
+import React from 'react';
+import { ImagePlus } from 'lucide-react';
+
+const WATERMARKS = [
+    { id: 'none', label: 'None' },
+    { id: 'text', label: 'Text' },
+    { id: 'image', label: 'Image' },
+];
+
+// Rows of the position picker, top to bottom
+const POSITIONS = [
+    ['top-left', 'top', 'top-right'],
+    ['left', 'center', 'right'],
+    ['bottom-left', 'bottom', 'bottom-right'],
+];
+
+const PLACEMENTS = [
+    { id: 'header', label: 'Header' },
+    { id: 'footer', label: 'Footer' },
+];
+
+const ALIGNMENTS = [
+    { id: 'left', label: 'Left' },
+    { id: 'center', label: 'Center' },
+    { id: 'right', label: 'Right' },
+];
+
+const segmentClass = (active) => `px-3 py-1 rounded-lg text-xs font-semibold transition-all duration-200 ${active
+    ? 'bg-blue-600 text-white shadow-sm'
+    : 'text-slate-600 bg-slate-50 hover:bg-slate-100'
+    }`;
+
+const inputClass = 'px-2 py-1 text-sm border border-slate-200 rounded-lg focus:ring-2 focus:border-blue-500 focus:ring-blue-500 outline-none bg-slate-50 focus:bg-white';
+
+const labelClass = 'block text-xs font-medium text-slate-600 mb-1';
+
+const StampOptions = ({ stamp, setStamp, stampImage, setStampImage, stampError, totalPages }) => {
+    const update = (key, value) => {
+        setStamp((prev) => ({ ...prev, [key]: value }));
+    };
+
+    return (
+        <div className="mt-4 p-4 bg-slate-50/60 rounded-xl border border-slate-200 text-left space-y-4">
+            <div>
+                <label className={labelClass}>
+                    Pages to stamp
+                    {totalPages > 0 && (
+                        <span className="text-slate-400 font-normal ml-1">
+                            (1-{totalPages} available)
+                        </span>
+                    )}
+                </label>
+                <input
+                    type="text"
+                    value={stamp.range}
+                    onChange={(e) => update('range', e.target.value)}
+                    placeholder="All pages, or e.g. 2-last, !5"
+                    className={`w-full ${inputClass}`}
+                />
+            </div>
+
+            <div>
+                <label className={labelClass}>Watermark</label>
+                <div className="flex flex-wrap gap-1">
+                    {WATERMARKS.map((watermark) => (
+                        <button
+                            key={watermark.id}
+                            type="button"
+                            onClick={() => update('watermark', watermark.id)}
+                            className={segmentClass(stamp.watermark === watermark.id)}
+                        >
+                            {watermark.label}
+                        </button>
+                    ))}
+                </div>
+
+                {stamp.watermark !== 'none' && (
+                    <div className="mt-3 flex flex-wrap gap-4">
+                        <div className="flex-1 min-w-[12rem] space-y-2">
+                            {stamp.watermark === 'text' ? (
+                                <>
+                                    <input
+                                        type="text"
+                                        value={stamp.text}
+                                        onChange={(e) => update('text', e.target.value)}
+                                        placeholder="e.g., CONFIDENTIAL"
+                                        className={`w-full ${inputClass}`}
+                                    />
+                                    <span className="flex items-center gap-2 text-xs text-slate-500">
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={stamp.fontSize}
+                                            onChange={(e) => update('fontSize', e.target.value)}
+                                            className={`w-20 ${inputClass}`}
+                                        />
+                                        pt
+                                        <input
+                                            type="color"
+                                            value={stamp.color}
+                                            onChange={(e) => update('color', e.target.value)}
+                                            title="Text colour"
+                                            className="w-8 h-7 p-0.5 border border-slate-200 rounded-lg bg-white cursor-pointer"
+                                        />
+                                    </span>
+                                </>
+                            ) : (
+                                <>
+                                    <label className="flex items-center gap-2 px-3 py-1.5 text-xs font-medium text-blue-600 border border-blue-200 hover:border-blue-400 hover:bg-blue-50 rounded-lg cursor-pointer transition-all">
+                                        <ImagePlus className="w-4 h-4 flex-shrink-0" />
+                                        <span className="truncate">{stampImage ? stampImage.name : 'Choose a PNG, JPEG, WebP or PDF'}</span>
+                                        <input
+                                            type="file"
+                                            accept="image/png,image/jpeg,image/webp,application/pdf"
+                                            onChange={(e) => setStampImage(e.target.files[0] || null)}
+                                            className="hidden"
+                                        />
+                                    </label>
+                                    <span className="flex items-center gap-2 text-xs text-slate-500">
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            max="100"
+                                            value={stamp.imageScale}
+                                            onChange={(e) => update('imageScale', e.target.value)}
+                                            className={`w-20 ${inputClass}`}
+                                        />
+                                        % of the page width
+                                    </span>
+                                </>
+                            )}
+                            <span className="flex items-center gap-2 text-xs text-slate-500">
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="100"
+                                    value={stamp.opacity}
+                                    onChange={(e) => update('opacity', e.target.value)}
+                                    className="w-28 accent-blue-600"
+                                />
+                                {stamp.opacity}% opaque
+                            </span>
+                            <span className="flex items-center gap-2 text-xs text-slate-500">
+                                <input
+                                    type="number"
+                                    value={stamp.rotation}
+                                    onChange={(e) => update('rotation', e.target.value)}
+                                    className={`w-20 ${inputClass}`}
+                                />
+                                ° rotation
+                            </span>
+                        </div>
+
+                        <div>
+                            <span className="block text-xs text-slate-500 mb-1">Position</span>
+                            <div className="grid grid-cols-3 gap-1 w-24 p-1 bg-white border border-slate-200 rounded-lg">
+                                {POSITIONS.flat().map((position) => (
+                                    <button
+                                        key={position}
+                                        type="button"
+                                        title={position.replace('-', ' ')}
+                                        onClick={() => update('position', position)}
+                                        className={`h-6 rounded transition-colors ${stamp.position === position
+                                            ? 'bg-blue-600'
+                                            : 'bg-slate-100 hover:bg-slate-200'
+                                            }`}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <div>
+                <label className="flex items-center gap-2 text-xs font-semibold text-slate-700 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={stamp.numbering}
+                        onChange={(e) => update('numbering', e.target.checked)}
+                        className="accent-blue-600"
+                    />
+                    Add page numbers
+                </label>
+
+                {stamp.numbering && (
+                    <div className="mt-3 space-y-2">
+                        <input
+                            type="text"
+                            value={stamp.template}
+                            onChange={(e) => update('template', e.target.value)}
+                            placeholder="e.g., Page {page} of {total} or ACME-{n:0000}"
+                            className={`w-full ${inputClass}`}
+                        />
+                        <div className="flex flex-wrap items-center gap-1 text-xs text-slate-500">
+                            {PLACEMENTS.map((placement) => (
+                                <button
+                                    key={placement.id}
+                                    type="button"
+                                    onClick={() => update('placement', placement.id)}
+                                    className={segmentClass(stamp.placement === placement.id)}
+                                >
+                                    {placement.label}
+                                </button>
+                            ))}
+                            <span className="mx-1" />
+                            {ALIGNMENTS.map((align) => (
+                                <button
+                                    key={align.id}
+                                    type="button"
+                                    onClick={() => update('align', align.id)}
+                                    className={segmentClass(stamp.align === align.id)}
+                                >
+                                    {align.label}
+                                </button>
+                            ))}
+                        </div>
+                        <span className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                            Start {'{n}'} at
+                            <input
+                                type="number"
+                                min="0"
+                                value={stamp.start}
+                                onChange={(e) => update('start', e.target.value)}
+                                className={`w-20 ${inputClass}`}
+                            />
+                            <input
+                                type="number"
+                                min="1"
+                                value={stamp.numberSize}
+                                onChange={(e) => update('numberSize', e.target.value)}
+                                className={`w-16 ${inputClass}`}
+                            />
+                            pt
+                        </span>
+                        <p className="text-xs text-slate-400">
+                            {'{n}'} counts the stamped pages, {'{page}'} is the page number and {'{total}'} the page count. Add zeros to pad: {'{n:000000}'} gives Bates numbers like 000042.
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {stampError && (
+                <p className="text-xs text-red-600 font-medium">
+                    {stampError}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default StampOptions;
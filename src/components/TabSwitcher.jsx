@@ -1,30 +1,35 @@
 import React from 'react';
-import { Merge, Split } from 'lucide-react';
+import { Merge, Split, Minimize2, Stamp, FormInput, Workflow, GitCompare, EyeOff, LayoutGrid } from 'lucide-react';
+
+const TABS = [
+    { id: 'merge', label: 'Merge PDF', icon: <Merge className="w-4 h-4" /> },
+    { id: 'split', label: 'Split PDF', icon: <Split className="w-4 h-4" /> },
+    { id: 'compress', label: 'Compress PDF', icon: <Minimize2 className="w-4 h-4" /> },
+    { id: 'stamp', label: 'Stamp PDF', icon: <Stamp className="w-4 h-4" /> },
+    { id: 'fill', label: 'Fill Form', icon: <FormInput className="w-4 h-4" /> },
+    { id: 'pipeline', label: 'Pipeline', icon: <Workflow className="w-4 h-4" /> },
+    { id: 'compare', label: 'Compare', icon: <GitCompare className="w-4 h-4" /> },
+    { id: 'redact', label: 'Redact', icon: <EyeOff className="w-4 h-4" /> },
+    { id: 'layout', label: 'Layout', icon: <LayoutGrid className="w-4 h-4" /> },
+];
 
 const TabSwitcher = ({ activeTab, setActiveTab }) => {
     return (
         <div className="flex justify-center mb-4">
-            <div className="bg-white p-1 rounded-xl shadow-sm border border-gray-100 inline-flex">
-                <button
-                    onClick={() => setActiveTab('merge')}
-                    className={`flex items-center gap-2 px-5 py-2 rounded-lg text-sm font-semibold transition-all duration-200 ${activeTab === 'merge'
-                        ? 'bg-blue-600 text-white shadow-sm'
-                        : 'text-gray-600 hover:bg-gray-50'
-                        }`}
-                >
-                    <Merge className="w-4 h-4" />
-                    Merge PDF
-                </button>
-                <button
-                    onClick={() => setActiveTab('split')}
-                    className={`flex items-center gap-2 px-5 py-2 rounded-lg text-sm font-semibold transition-all duration-200 ${activeTab === 'split'
-                        ? 'bg-blue-600 text-white shadow-sm'
-                        : 'text-gray-600 hover:bg-gray-50'
-                        }`}
-                >
-                    <Split className="w-4 h-4" />
-                    Split PDF
-                </button>
+            <div className="bg-white p-1 rounded-xl shadow-sm border border-gray-100 inline-flex flex-wrap justify-center">
+                {TABS.map(({ id, label, icon }) => (
+                    <button
+                        key={id}
+                        onClick={() => setActiveTab(id)}
+                        className={`flex items-center gap-2 px-5 py-2 rounded-lg text-sm font-semibold transition-all duration-200 ${activeTab === id
+                            ? 'bg-blue-600 text-white shadow-sm'
+                            : 'text-gray-600 hover:bg-gray-50'
+                            }`}
+                    >
+                        {icon}
+                        {label}
+                    </button>
+                ))}
             </div>
         </div>
     );
@@ -0,0 +1,38 @@
+import React from 'react';
+import { HardDrive, Trash2 } from 'lucide-react';
+import { EXPIRY_OPTIONS } from '../lib/workspaceStore';
+
+const WorkspaceBar = ({ expiry, setExpiry, savedUntil, onClear }) => {
+    return (
+        <div className="mt-3 flex flex-wrap items-center justify-center gap-x-3 gap-y-1 text-xs text-slate-500">
+            <span className="flex items-center gap-1.5">
+                <HardDrive className="w-3.5 h-3.5" />
+                Keep the workspace on this device:
+                <select
+                    value={expiry}
+                    onChange={(e) => setExpiry(e.target.value)}
+                    className="px-1.5 py-0.5 border border-slate-200 rounded-md bg-white text-slate-700 focus:ring-2 focus:ring-blue-500 outline-none"
+                >
+                    {EXPIRY_OPTIONS.map((option) => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                </select>
+            </span>
+            {savedUntil && (
+                <span>
+                    Saved until {new Date(savedUntil).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}; passwords are never saved.
+                </span>
+            )}
+            <button
+                type="button"
+                onClick={onClear}
+                className="flex items-center gap-1 text-slate-500 hover:text-red-600 transition-colors"
+            >
+                <Trash2 className="w-3.5 h-3.5" />
+                Clear workspace
+            </button>
+        </div>
+    );
+};
+
+export default WorkspaceBar;
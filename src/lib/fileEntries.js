@@ -0,0 +1,18 @@
+/**
+ * Entries of the file list: a File plus the per-file state kept next to it.
+ */
+
+let nextFileId = 0;
+
+/**
+ * Wraps a File with the per-file state the list keeps track of.
+ */
+export function createFileEntry(file) {
+  return {
+    id: nextFileId++,
+    file,
+    range: '', // pages to take when merging; empty means all pages
+    reverse: false, // take those pages back to front when merging
+    password: '', // entered by the user when the PDF is encrypted
+  };
+}
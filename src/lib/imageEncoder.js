@@ -0,0 +1,57 @@
+/**
+ * Canvas-based image re-encoding for `recompressImages`. Needs OffscreenCanvas,
+ * so it runs in the browser and its workers but not in Node.
+ */
+
+/**
+ * Turns 8-bit grey or RGB samples into an RGBA ImageData.
+ */
+function toImageData(data, width, height, components) {
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let pixel = 0, source = 0; pixel < rgba.length; pixel += 4, source += components) {
+    rgba[pixel] = data[source];
+    rgba[pixel + 1] = data[source + (components === 3 ? 1 : 0)];
+    rgba[pixel + 2] = data[source + (components === 3 ? 2 : 0)];
+    rgba[pixel + 3] = 255;
+  }
+  return new ImageData(rgba, width, height);
+}
+
+/**
+ * Decodes an image ('jpeg' bytes or 'raw' samples), scales it to
+ * `targetWidth` x `targetHeight` and encodes it as a JPEG of the given `quality`.
+ */
+export async function encodeJpeg({ format, data, width, height, components, targetWidth, targetHeight, quality }) {
+  const source = format === 'jpeg'
+    ? new Blob([data], { type: 'image/jpeg' })
+    : toImageData(data, width, height, components);
+  const bitmap = await createImageBitmap(source, {
+    resizeWidth: targetWidth,
+    resizeHeight: targetHeight,
+    resizeQuality: 'high',
+  });
+
+  try {
+    const canvas = new OffscreenCanvas(targetWidth, targetHeight);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+    return new Uint8Array(await blob.arrayBuffer());
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Re-encodes image bytes of a type pdf-lib cannot embed (e.g. WebP) as a PNG.
+ */
+export async function convertToPng(bytes, type) {
+  const bitmap = await createImageBitmap(new Blob([bytes], { type }));
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new Uint8Array(await blob.arrayBuffer());
+  } finally {
+    bitmap.close();
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Compares two versions of a PDF in the page: pdf.js extracts the text and renders
+ * the pages, and ./pdfDiff.js pairs them up and finds what changed.
+ */
+import { openForRendering, renderPageCanvas, extractPageText } from './pdfRender';
+import { tokenize, diffWords, fingerprint, alignPages, findChangedRegions } from './pdfDiff';
+
+const FINGERPRINT_WIDTH = 64; // Enough to tell pages without text apart
+const COMPARE_WIDTH = 600; // Width of the renders that are compared and shown
+
+function pixels(canvas) {
+  return canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+}
+
+async function toObjectUrl(canvas) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+  canvas.width = 0; // Release the bitmap memory right away
+  return URL.createObjectURL(blob);
+}
+
+/**
+ * Compares `original` and `revised` ({ name, bytes, password }) and resolves to
+ * { pairs, hasText }. Each pair is { a, b, status, regions, text, urlA, urlB }:
+ * - `a` and `b` are 0-based page indexes, null for a page only one version has;
+ * - `status` is 'same', 'changed', 'added' or 'removed';
+ * - `regions` are the changed areas of a changed pair (see `findChangedRegions`);
+ * - `text` holds the word diff runs (see `diffWords`) when the text changed, else null;
+ * - `urlA` and `urlB` are JPEG object URLs of the pages, only made for pages that
+ *   are shown, i.e. not for unchanged ones. The caller revokes them with
+ *   `revokeComparison`.
+ * Stops with an AbortError when `signal` is aborted; `onProgress` receives the
+ * { file, page } events of the worker jobs.
+ */
+export async function comparePdfs(original, revised, { signal, onProgress = () => {} }) {
+  const docs = [];
+  const pairs = [];
+  try {
+    docs.push(await openForRendering(original.bytes, original.password));
+    docs.push(await openForRendering(revised.bytes, revised.password));
+    const [docA, docB] = docs;
+    const names = [original.name, revised.name];
+    // Progress is shown per version; the revised one also covers comparing the pairs
+    const report = (index, done, count) => onProgress({
+      file: { index, count: 2, name: names[index] },
+      page: { index: done, count },
+    });
+
+    // First pass: the words and a fingerprint of every page, to pair them up
+    const pages = [[], []];
+    for (const [index, doc] of docs.entries()) {
+      for (let number = 1; number <= doc.numPages; number++) {
+        signal.throwIfAborted();
+        const canvas = await renderPageCanvas(doc, number, FINGERPRINT_WIDTH);
+        pages[index].push({ words: tokenize(await extractPageText(doc, number)), fingerprint: fingerprint(pixels(canvas)) });
+        canvas.width = 0;
+        report(index, number, index === 0 ? doc.numPages : 2 * doc.numPages);
+      }
+    }
+
+    // Second pass: render each pair at a useful size and look for differences
+    const aligned = alignPages(pages[0], pages[1]);
+    for (const [index, { a, b }] of aligned.entries()) {
+      signal.throwIfAborted();
+      const canvasA = a !== null ? await renderPageCanvas(docA, a + 1, COMPARE_WIDTH) : null;
+      const canvasB = b !== null ? await renderPageCanvas(docB, b + 1, COMPARE_WIDTH) : null;
+
+      let status = a === null ? 'added' : 'removed';
+      let regions = [];
+      let text = null;
+      if (canvasA && canvasB) {
+        regions = findChangedRegions(pixels(canvasA), pixels(canvasB));
+        const wordsA = pages[0][a].words;
+        const wordsB = pages[1][b].words;
+        if (wordsA.join(' ') !== wordsB.join(' ')) {
+          text = diffWords(wordsA, wordsB);
+        }
+        status = regions.length > 0 || text ? 'changed' : 'same';
+      }
+
+      const shown = status !== 'same';
+      pairs.push({
+        a,
+        b,
+        status,
+        regions,
+        text,
+        urlA: canvasA && shown ? await toObjectUrl(canvasA) : null,
+        urlB: canvasB && shown ? await toObjectUrl(canvasB) : null,
+      });
+      if (canvasA) canvasA.width = 0;
+      if (canvasB) canvasB.width = 0;
+      report(1, docB.numPages + Math.round(((index + 1) / aligned.length) * docB.numPages), 2 * docB.numPages);
+    }
+
+    const hasText = pages.every(doc => doc.some(page => page.words.length > 0));
+    return { pairs, hasText };
+  } catch (error) {
+    revokeComparison({ pairs });
+    throw error;
+  } finally {
+    docs.forEach(doc => doc.destroy());
+  }
+}
+
+/**
+ * Revokes the page images of a comparison made by `comparePdfs`.
+ */
+export function revokeComparison({ pairs }) {
+  pairs.forEach(({ urlA, urlB }) => {
+    if (urlA) URL.revokeObjectURL(urlA);
+    if (urlB) URL.revokeObjectURL(urlB);
+  });
+}
@@ -0,0 +1,267 @@
+/**
+ * Low-level clean-up passes used to make a loaded PDF smaller: dropping objects
+ * nothing refers to, merging identical streams, compressing plain streams and
+ * downsampling images. Each pass works on the document's object table in place.
+ */
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFRawStream,
+  PDFNumber,
+  decodePDFRawStream,
+} from '@cantoo/pdf-lib';
+
+// Image resolution and JPEG quality (0-1) for the lossy levels
+export const IMAGE_SETTINGS = {
+  balanced: { dpi: 150, quality: 0.75 },
+  strong: { dpi: 96, quality: 0.5 },
+};
+
+// Streams smaller than this are left uncompressed; the filter entry would eat the gain
+const MIN_COMPRESS_LENGTH = 64;
+
+/**
+ * Calls `visit(value, replace)` for every value inside `object`, where `replace(newValue)`
+ * swaps it in its container. Direct dictionaries and arrays are walked recursively.
+ */
+function walkValues(object, visit) {
+  const dict = object instanceof PDFRawStream ? object.dict : object;
+  if (dict instanceof PDFDict) {
+    for (const [key, value] of dict.entries()) {
+      visit(value, newValue => dict.set(key, newValue));
+      if (value instanceof PDFDict || value instanceof PDFArray) walkValues(value, visit);
+    }
+  } else if (dict instanceof PDFArray) {
+    for (let i = 0; i < dict.size(); i++) {
+      const value = dict.get(i);
+      visit(value, newValue => dict.set(i, newValue));
+      if (value instanceof PDFDict || value instanceof PDFArray) walkValues(value, visit);
+    }
+  }
+}
+
+/**
+ * Deletes every indirect object that cannot be reached from the trailer, such as
+ * left-over object and cross-reference streams or pages removed in earlier edits.
+ * Returns the number of objects removed.
+ */
+export function removeUnusedObjects(pdf) {
+  const { context } = pdf;
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info].filter(ref => ref instanceof PDFRef);
+
+  while (pending.length > 0) {
+    const ref = pending.pop();
+    if (reachable.has(ref)) continue;
+    reachable.add(ref);
+
+    const object = context.lookup(ref);
+    if (object) {
+      walkValues(object, value => {
+        if (value instanceof PDFRef && !reachable.has(value)) pending.push(value);
+      });
+    }
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref)) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Cheap 32-bit FNV-1a hash, used to bucket streams before comparing them byte by byte.
+ */
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+/**
+ * Points every reference to a stream at the first of its identical copies (same
+ * dictionary, same bytes), e.g. a logo or font embedded once per merged file.
+ * The copies become unreachable and are dropped by `removeUnusedObjects`.
+ * Returns the number of duplicates found.
+ */
+export function deduplicateStreams(pdf) {
+  const { context } = pdf;
+  const buckets = new Map(); // hash key -> [{ ref, stream }]
+  const replacements = new Map(); // duplicate ref -> kept ref
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream)) continue;
+
+    const key = `${hashBytes(object.contents)}:${object.dict.toString()}`;
+    const bucket = buckets.get(key) || [];
+    const original = bucket.find(entry => sameBytes(entry.stream.contents, object.contents));
+    if (original) {
+      replacements.set(ref, original.ref);
+    } else {
+      bucket.push({ ref, stream: object });
+      buckets.set(key, bucket);
+    }
+  }
+
+  if (replacements.size > 0) {
+    for (const [, object] of context.enumerateIndirectObjects()) {
+      walkValues(object, (value, replace) => {
+        if (value instanceof PDFRef && replacements.has(value)) replace(replacements.get(value));
+      });
+    }
+  }
+  return replacements.size;
+}
+
+/**
+ * Flate-compresses streams that are stored without any filter. XMP metadata is
+ * left readable, as the spec recommends.
+ */
+export function compressPlainStreams(pdf) {
+  const { context } = pdf;
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream) || object.dict.has(PDFName.of('Filter'))) continue;
+    if (object.contents.length < MIN_COMPRESS_LENGTH || object.dict.get(PDFName.of('Type')) === PDFName.of('Metadata')) continue;
+
+    const dict = object.dict.clone(context);
+    dict.delete(PDFName.of('Length'));
+    context.assign(ref, context.flateStream(object.contents, dict));
+  }
+}
+
+/**
+ * Collects the image XObjects drawn by each page (including through form XObjects)
+ * and returns a Map of image ref -> the longest page side, in points, they appear on.
+ */
+function findImagePageSizes(pdf) {
+  const sizes = new Map();
+
+  const collect = (resources, pageSide, seen) => {
+    const xObjects = resources instanceof PDFDict ? resources.lookup(PDFName.of('XObject')) : undefined;
+    if (!(xObjects instanceof PDFDict)) return;
+
+    for (const value of xObjects.values()) {
+      if (!(value instanceof PDFRef) || seen.has(value)) continue;
+      seen.add(value);
+
+      const xObject = pdf.context.lookup(value);
+      if (!(xObject instanceof PDFRawStream)) continue;
+      const subtype = xObject.dict.get(PDFName.of('Subtype'));
+      if (subtype === PDFName.of('Image')) {
+        sizes.set(value, Math.max(sizes.get(value) || 0, pageSide));
+      } else if (subtype === PDFName.of('Form')) {
+        collect(xObject.dict.lookup(PDFName.of('Resources')), pageSide, seen);
+      }
+    }
+  };
+
+  for (const page of pdf.getPages()) {
+    const { width, height } = page.getSize();
+    collect(page.node.Resources(), Math.max(width, height), new Set());
+  }
+  return sizes;
+}
+
+/**
+ * Reads what `encodeImage` needs from an image stream, or returns null when the image
+ * is of a kind that cannot be re-encoded as an RGB or grey JPEG without losing
+ * something (masks, palettes, CMYK, 16-bit samples, custom decode arrays...).
+ */
+function describeImage(stream) {
+  const { dict } = stream;
+  const get = name => dict.lookup(PDFName.of(name));
+
+  const width = get('Width');
+  const height = get('Height');
+  if (!(width instanceof PDFNumber) || !(height instanceof PDFNumber)) return null;
+  if (get('ImageMask') || get('Decode') || get('Mask') instanceof PDFArray) return null;
+
+  let colorSpace = get('ColorSpace');
+  let components = null;
+  if (colorSpace instanceof PDFArray && colorSpace.lookup(0) === PDFName.of('ICCBased')) {
+    const profile = colorSpace.lookup(1);
+    const n = profile instanceof PDFRawStream ? profile.dict.lookup(PDFName.of('N')) : undefined;
+    components = n instanceof PDFNumber ? n.asNumber() : null;
+    colorSpace = null;
+  }
+  if (colorSpace === PDFName.of('DeviceRGB')) components = 3;
+  if (colorSpace === PDFName.of('DeviceGray')) components = 1;
+  if (components !== 1 && components !== 3) return null;
+
+  const filter = get('Filter');
+  const filters = filter instanceof PDFArray ? filter.asArray() : [filter];
+  const last = filters[filters.length - 1];
+  const info = { width: width.asNumber(), height: height.asNumber(), components };
+
+  if (last === PDFName.of('DCTDecode')) {
+    // A single JPEG filter; chained filters in front of it are rare enough to skip
+    return filters.length === 1 ? { ...info, format: 'jpeg', data: stream.contents } : null;
+  }
+
+  const params = get('DecodeParms');
+  const bits = get('BitsPerComponent');
+  if (params || !(bits instanceof PDFNumber) || bits.asNumber() !== 8) return null;
+  if (filters.some(f => f && f !== PDFName.of('FlateDecode'))) return null;
+
+  const data = filter ? decodePDFRawStream(stream).decode() : stream.contents;
+  return data.length >= info.width * info.height * components ? { ...info, format: 'raw', data } : null;
+}
+
+/**
+ * Downsamples images to at most `dpi` at the size of the page they are on and
+ * re-encodes them as JPEGs of the given `quality`. `encodeImage` does the pixel
+ * work (it needs a canvas) and receives { format: 'jpeg'|'raw', data, width, height,
+ * components, targetWidth, targetHeight, quality }; it resolves to JPEG bytes or null.
+ * A new image is only kept when it is smaller than the old one.
+ * `onProgress` receives the 0-based index and count of images processed.
+ */
+export async function recompressImages(pdf, { dpi, quality, encodeImage, onProgress = () => {} }) {
+  const { context } = pdf;
+  const pageSides = findImagePageSizes(pdf);
+  const largestSide = Math.max(0, ...pageSides.values());
+  const images = context.enumerateIndirectObjects().filter(([, object]) =>
+    object instanceof PDFRawStream && object.dict.get(PDFName.of('Subtype')) === PDFName.of('Image'));
+
+  let replaced = 0;
+  for (let i = 0; i < images.length; i++) {
+    const [ref, stream] = images[i];
+    onProgress({ index: i, count: images.length });
+
+    const image = describeImage(stream);
+    const pageSide = pageSides.get(ref) || largestSide;
+    if (!image || pageSide === 0) continue;
+
+    const maxPixels = Math.ceil((pageSide / 72) * dpi);
+    const scale = Math.min(1, maxPixels / Math.max(image.width, image.height));
+    const targetWidth = Math.max(1, Math.round(image.width * scale));
+    const targetHeight = Math.max(1, Math.round(image.height * scale));
+
+    // An image the browser cannot decode is left as it is rather than failing the whole file
+    const jpeg = await encodeImage({ ...image, targetWidth, targetHeight, quality }).catch(() => null);
+    if (!jpeg || jpeg.length >= stream.contents.length) continue;
+
+    const dict = stream.dict.clone(context);
+    dict.set(PDFName.of('Width'), PDFNumber.of(targetWidth));
+    dict.set(PDFName.of('Height'), PDFNumber.of(targetHeight));
+    dict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+    dict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceRGB'));
+    dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+    dict.delete(PDFName.of('DecodeParms'));
+    dict.delete(PDFName.of('Length'));
+    context.assign(ref, PDFRawStream.of(dict, jpeg));
+    replaced++;
+  }
+
+  onProgress({ index: images.length, count: images.length });
+  return replaced;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PDFDocument,
+  PDFName,
+  PDFRawStream,
+  PDFNumber,
+  pushGraphicsState,
+  popGraphicsState,
+  scale,
+  drawObject,
+} from '@cantoo/pdf-lib';
+import { compressPdf } from './pdfOps.js';
+
+/**
+ * Adds an 8-bit RGB image XObject of `width` x `height` with pseudo-random pixels
+ * to `pdf` and draws it on `page`. Returns its ref.
+ */
+function addRawImage(pdf, page, width, height) {
+  const pixels = new Uint8Array(width * height * 3).map((_, i) => (i * 7919) % 251);
+  const ref = pdf.context.register(pdf.context.flateStream(pixels, {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: width,
+    Height: height,
+    ColorSpace: 'DeviceRGB',
+    BitsPerComponent: 8,
+  }));
+  const name = page.node.newXObject('Im', ref);
+  page.pushOperators(pushGraphicsState(), scale(page.getWidth(), page.getHeight()), drawObject(name), popGraphicsState());
+  return ref;
+}
+
+const imageStreams = pdf => pdf.context.enumerateIndirectObjects()
+  .map(([, object]) => object)
+  .filter(object => object instanceof PDFRawStream && object.dict.get(PDFName.of('Subtype')) === PDFName.of('Image'));
+
+describe('compressPdf', () => {
+  it('drops left-over objects and keeps the pages', async () => {
+    const source = await PDFDocument.create();
+    source.addPage([300, 400]).drawText('One');
+    source.addPage([500, 400]).drawText('Two');
+    source.removePage(1); // Leaves the second page behind as an unused object
+    const bytes = await source.save({ useObjectStreams: false });
+
+    const output = await compressPdf(bytes);
+    const pdf = await PDFDocument.load(output);
+    expect(output.length).toBeLessThan(bytes.length);
+    expect(pdf.getPages().map(page => page.getWidth())).toEqual([300]);
+  });
+
+  it('stores identical images only once', async () => {
+    const source = await PDFDocument.create();
+    addRawImage(source, source.addPage([300, 400]), 40, 30);
+    addRawImage(source, source.addPage([300, 400]), 40, 30);
+
+    const pdf = await PDFDocument.load(await compressPdf(await source.save()));
+    expect(imageStreams(pdf)).toHaveLength(1);
+  });
+
+  it('writes an unencrypted copy of an unlocked file', async () => {
+    const source = await PDFDocument.create();
+    source.addPage().drawText('Secret');
+    source.encrypt({ userPassword: 'open', ownerPassword: 'owner' });
+
+    const output = await compressPdf(await source.save(), { password: 'open' });
+    expect((await PDFDocument.load(output)).getPageCount()).toBe(1);
+  });
+
+  it('downsamples images to the page resolution of the chosen level', async () => {
+    const source = await PDFDocument.create();
+    addRawImage(source, source.addPage([144, 72]), 600, 300); // 2 x 1 inch page
+    const calls = [];
+    const encodeImage = async (image) => {
+      calls.push(image);
+      return new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+    };
+
+    const output = await compressPdf(await source.save(), { level: 'balanced', encodeImage });
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0]).toMatchObject({ format: 'raw', width: 600, height: 300, targetWidth: 300, targetHeight: 150, quality: 0.75 });
+    const [image] = imageStreams(await PDFDocument.load(output));
+    expect(image.dict.get(PDFName.of('Filter'))).toBe(PDFName.of('DCTDecode'));
+    expect(image.dict.get(PDFName.of('Width'))).toEqual(PDFNumber.of(300));
+  });
+
+  it('keeps the original image when re-encoding does not make it smaller', async () => {
+    const source = await PDFDocument.create();
+    addRawImage(source, source.addPage([144, 72]), 20, 10);
+    const encodeImage = async ({ targetWidth }) => new Uint8Array(targetWidth * 1000);
+
+    const output = await compressPdf(await source.save(), { level: 'strong', encodeImage });
+    const [image] = imageStreams(await PDFDocument.load(output));
+    expect(image.dict.get(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+  });
+});
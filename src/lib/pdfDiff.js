@@ -0,0 +1,246 @@
+/**
+ * Comparing two versions of a document: pairing up their pages, diffing the text
+ * of a pair word by word and finding the regions where two renders differ. Pages
+ * are described by their words and a small grayscale fingerprint of their render,
+ * so everything here works on plain data.
+ */
+
+// Larger word diffs are shown as the old text replaced by the new, as the table gets too big
+const MAX_DIFF_CELLS = 4000000;
+
+// Pages this similar (0-1) or more are taken to be versions of each other
+const MATCH_THRESHOLD = 0.5;
+
+// How far from the diagonal, in pages, a page is looked for in the other document
+const ALIGN_BAND = 25;
+
+/**
+ * Splits extracted page text into words.
+ */
+export function tokenize(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Diffs two lists of words and returns runs of [{ type: 'same' | 'removed' | 'added', text }].
+ */
+export function diffWords(before, after) {
+  // Common ends are cheap to match and keep the table small
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start
+    && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+  const a = before.slice(start, before.length - end);
+  const b = after.slice(start, after.length - end);
+  const ops = before.slice(0, start).map(word => ['same', word]);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a.forEach(word => ops.push(['removed', word]));
+    b.forEach(word => ops.push(['added', word]));
+  } else {
+    // lengths[i * (m + 1) + j] is the longest common subsequence of a[i..] and b[j..]
+    const m = b.length;
+    const lengths = new Uint32Array((a.length + 1) * (m + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] = a[i] === b[j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < m) {
+      if (i < a.length && j < m && a[i] === b[j]) {
+        ops.push(['same', a[i++]]);
+        j++;
+      } else if (i < a.length && (j === m || lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1])) {
+        ops.push(['removed', a[i++]]); // Removals first, so a replacement reads old then new
+      } else {
+        ops.push(['added', b[j++]]);
+      }
+    }
+  }
+  before.slice(before.length - end).forEach(word => ops.push(['same', word]));
+
+  // Join consecutive words of the same kind into runs
+  const runs = [];
+  for (const [type, word] of ops) {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      runs.push({ type, text: word });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Shrinks a rendered page ({ width, height, data } with RGBA pixels, like ImageData)
+ * to a `size` x `size` grid of average gray levels.
+ */
+export function fingerprint({ width, height, data }, size = 16) {
+  const sums = new Float64Array(size * size);
+  const counts = new Uint32Array(size * size);
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(size - 1, Math.floor((y * size) / height));
+    for (let x = 0; x < width; x++) {
+      const cell = row * size + Math.min(size - 1, Math.floor((x * size) / width));
+      const p = (y * width + x) * 4;
+      sums[cell] += 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+      counts[cell]++;
+    }
+  }
+  return Uint8Array.from(sums, (sum, cell) => (counts[cell] ? Math.round(sum / counts[cell]) : 255));
+}
+
+/**
+ * How alike two pages ({ words, fingerprint }) are, from 0 to 1. Pages that both
+ * have text are compared by their words, others by their fingerprints.
+ */
+export function pageSimilarity(a, b) {
+  if (a.words.length > 0 && b.words.length > 0) {
+    const counts = new Map();
+    a.words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    let shared = 0;
+    for (const word of b.words) {
+      const count = counts.get(word);
+      if (count) {
+        shared++;
+        counts.set(word, count - 1);
+      }
+    }
+    return (2 * shared) / (a.words.length + b.words.length);
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.fingerprint.length; i++) {
+    difference += Math.abs(a.fingerprint[i] - b.fingerprint[i]);
+  }
+  return 1 - difference / (a.fingerprint.length * 255);
+}
+
+/**
+ * Pairs up the pages of two versions ([{ words, fingerprint }] each), keeping their
+ * order, so that inserted and deleted pages do not throw off the pages after them.
+ * Returns [{ a, b }] with 0-based page indexes; a page without a counterpart has
+ * null on the other side.
+ */
+export function alignPages(pagesA, pagesB) {
+  const n = pagesA.length;
+  const m = pagesB.length;
+  const similarity = (i, j) => {
+    // Only look near the diagonal, so long documents stay quick to align
+    if (Math.abs(i * (m / Math.max(n, 1)) - j) > ALIGN_BAND) return 0;
+    const value = pageSimilarity(pagesA[i], pagesB[j]);
+    return value >= MATCH_THRESHOLD ? value : 0;
+  };
+
+  // scores[i * (m + 1) + j] is the best total similarity of pagesA[i..] against pagesB[j..]
+  const scores = new Float64Array((n + 1) * (m + 1));
+  const matches = new Float64Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      const match = similarity(i, j);
+      matches[i * (m + 1) + j] = match;
+      scores[i * (m + 1) + j] = Math.max(
+        match > 0 ? scores[(i + 1) * (m + 1) + j + 1] + match : 0,
+        scores[(i + 1) * (m + 1) + j],
+        scores[i * (m + 1) + j + 1],
+      );
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    const match = i < n && j < m ? matches[i * (m + 1) + j] : 0;
+    if (match > 0 && scores[i * (m + 1) + j] === scores[(i + 1) * (m + 1) + j + 1] + match) {
+      pairs.push({ a: i++, b: j++ });
+    } else if (j < m && (i === n || scores[i * (m + 1) + j] === scores[i * (m + 1) + j + 1])) {
+      pairs.push({ a: null, b: j++ });
+    } else {
+      pairs.push({ a: i++, b: null });
+    }
+  }
+  // A deleted page next to an inserted one is shown as one changed page
+  return pairs.reduce((merged, pair) => {
+    const last = merged[merged.length - 1];
+    if (last && last.b === null && pair.a === null) {
+      last.b = pair.b;
+    } else {
+      merged.push(pair);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Finds where two renders of a page ({ width, height, data } as for `fingerprint`,
+ * at the same width) differ. Returns boxes of { x, y, width, height } in fractions of
+ * the page, so they can be drawn over a render of any size. Pixels are compared in
+ * `cell` sized squares; gray levels within `tolerance` count as equal, which hides
+ * anti-aliasing noise.
+ */
+export function findChangedRegions(a, b, { cell = 12, tolerance = 48 } = {}) {
+  if (a.width !== b.width || Math.abs(a.height - b.height) > 2) {
+    return [{ x: 0, y: 0, width: 1, height: 1 }]; // A different page size changes the whole page
+  }
+
+  const width = a.width;
+  const height = Math.min(a.height, b.height);
+  const columns = Math.ceil(width / cell);
+  const rows = Math.ceil(height / cell);
+  const changed = new Uint8Array(columns * rows);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const grayA = 0.299 * a.data[p] + 0.587 * a.data[p + 1] + 0.114 * a.data[p + 2];
+      const grayB = 0.299 * b.data[p] + 0.587 * b.data[p + 1] + 0.114 * b.data[p + 2];
+      if (Math.abs(grayA - grayB) > tolerance) {
+        changed[Math.floor(y / cell) * columns + Math.floor(x / cell)] = 1;
+      }
+    }
+  }
+
+  // Group touching cells (diagonals included) and box each group
+  const regions = [];
+  const seen = new Uint8Array(changed.length);
+  for (let start = 0; start < changed.length; start++) {
+    if (!changed[start] || seen[start]) continue;
+    const box = { left: columns, top: rows, right: 0, bottom: 0 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      box.left = Math.min(box.left, column);
+      box.top = Math.min(box.top, row);
+      box.right = Math.max(box.right, column + 1);
+      box.bottom = Math.max(box.bottom, row + 1);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const c = column + dx;
+          const r = row + dy;
+          const next = r * columns + c;
+          if (c >= 0 && c < columns && r >= 0 && r < rows && changed[next] && !seen[next]) {
+            seen[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+    regions.push({
+      x: (box.left * cell) / width,
+      y: (box.top * cell) / height,
+      width: (Math.min(box.right * cell, width) - box.left * cell) / width,
+      height: (Math.min(box.bottom * cell, height) - box.top * cell) / height,
+    });
+  }
+  return regions;
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, diffWords, fingerprint, pageSimilarity, alignPages, findChangedRegions } from './pdfDiff.js';
+
+// A white `width` x `height` render with black boxes ({ x, y, width, height } in pixels)
+function render(width, height, boxes = []) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (const box of boxes) {
+    for (let y = box.y; y < box.y + box.height; y++) {
+      for (let x = box.x; x < box.x + box.width; x++) {
+        data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+function page(text, boxes = []) {
+  return { words: tokenize(text), fingerprint: fingerprint(render(64, 80, boxes)) };
+}
+
+describe('diffWords', () => {
+  it('marks removed and added words between the unchanged ones', () => {
+    const before = tokenize('The buyer pays within 30 days of delivery.');
+    const after = tokenize('The buyer pays within 14 calendar days of delivery.');
+    expect(diffWords(before, after)).toEqual([
+      { type: 'same', text: 'The buyer pays within' },
+      { type: 'removed', text: '30' },
+      { type: 'added', text: '14 calendar' },
+      { type: 'same', text: 'days of delivery.' },
+    ]);
+  });
+
+  it('handles empty and identical texts', () => {
+    expect(diffWords([], tokenize('new text'))).toEqual([{ type: 'added', text: 'new text' }]);
+    expect(diffWords(tokenize('same'), tokenize('same'))).toEqual([{ type: 'same', text: 'same' }]);
+  });
+});
+
+describe('alignPages', () => {
+  const pages = ['alpha one two three', 'bravo four five six', 'charlie seven eight nine', 'delta ten eleven twelve'].map(text => page(text));
+
+  it('pairs pages in order around inserted and deleted ones', () => {
+    const inserted = page('an entirely new annex with other words');
+    expect(alignPages(pages, [pages[0], inserted, pages[1], pages[2], pages[3]])).toEqual([
+      { a: 0, b: 0 }, { a: null, b: 1 }, { a: 1, b: 2 }, { a: 2, b: 3 }, { a: 3, b: 4 },
+    ]);
+    expect(alignPages(pages, [pages[0], pages[2], pages[3]])).toEqual([
+      { a: 0, b: 0 }, { a: 1, b: null }, { a: 2, b: 1 }, { a: 3, b: 2 },
+    ]);
+  });
+
+  it('pairs an edited page with its old version', () => {
+    const edited = page('bravo four five seven');
+    expect(alignPages(pages, [pages[0], edited, pages[2], pages[3]]).map(pair => pair.b)).toEqual([0, 1, 2, 3]);
+  });
+
+  it('compares pages without text by their renders', () => {
+    const scan = page('', [{ x: 0, y: 0, width: 64, height: 40 }]);
+    const other = page('', [{ x: 0, y: 40, width: 64, height: 40 }]);
+    expect(pageSimilarity(scan, page('', [{ x: 0, y: 0, width: 64, height: 38 }]))).toBeGreaterThan(0.9);
+    expect(alignPages([scan], [other, scan])).toEqual([{ a: null, b: 0 }, { a: 0, b: 1 }]);
+  });
+});
+
+describe('findChangedRegions', () => {
+  it('boxes the areas that differ, as fractions of the page', () => {
+    const before = render(120, 120, [{ x: 0, y: 0, width: 24, height: 12 }]);
+    const after = render(120, 120, [{ x: 0, y: 0, width: 24, height: 12 }, { x: 60, y: 96, width: 24, height: 12 }]);
+    expect(findChangedRegions(before, before)).toEqual([]);
+    expect(findChangedRegions(before, after)).toEqual([{ x: 0.5, y: 0.8, width: 0.2, height: 0.1 }]);
+  });
+
+  it('flags the whole page when the page size changed', () => {
+    expect(findChangedRegions(render(100, 100), render(100, 140))).toEqual([{ x: 0, y: 0, width: 1, height: 1 }]);
+  });
+});
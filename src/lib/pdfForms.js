@@ -0,0 +1,201 @@
+/**
+ * AcroForm support: reading and filling form fields, and keeping the fields of
+ * copied pages working in the document they are copied into.
+ *
+ * Fields are described as plain data so they survive postMessage:
+ * [{ name, type, value, options, readOnly, multiline, maxLength }], where `type` is
+ * 'text', 'checkbox', 'radio', 'dropdown' or 'other' (buttons, signatures and
+ * list boxes, which are kept but cannot be filled here).
+ */
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFObjectCopier,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+} from '@cantoo/pdf-lib';
+
+/**
+ * Tells whether `pdf` has an interactive form. Unlike `getForm`, this does not add one.
+ */
+function hasForm(pdf) {
+  return pdf.catalog.has(PDFName.of('AcroForm'));
+}
+
+/**
+ * Describes one field of a pdf-lib form (see the module comment).
+ */
+function describeField(field) {
+  const description = { name: field.getName(), readOnly: field.isReadOnly(), options: [] };
+
+  if (field instanceof PDFTextField) {
+    const maxLength = field.getMaxLength();
+    return {
+      ...description,
+      type: 'text',
+      value: field.getText() || '',
+      multiline: field.isMultiline(),
+      maxLength: maxLength === undefined ? null : maxLength,
+    };
+  }
+  if (field instanceof PDFCheckBox) {
+    return { ...description, type: 'checkbox', value: field.isChecked() };
+  }
+  if (field instanceof PDFRadioGroup) {
+    return { ...description, type: 'radio', value: field.getSelected() || '', options: field.getOptions() };
+  }
+  if (field instanceof PDFDropdown) {
+    return { ...description, type: 'dropdown', value: field.getSelected()[0] || '', options: field.getOptions() };
+  }
+  return { ...description, type: 'other', value: null };
+}
+
+/**
+ * Lists the form fields of a loaded PDF in document order, or [] if it has no form.
+ */
+export function readFormFields(pdf) {
+  return hasForm(pdf) ? pdf.getForm().getFields().map(describeField) : [];
+}
+
+/**
+ * Sets the fields named in `values` ({ [name]: value }, with values shaped as in
+ * `readFormFields`). Unknown, read-only and 'other' fields are left alone.
+ * Their appearances are redrawn when the document is saved.
+ */
+export function fillFormFields(pdf, values) {
+  if (!hasForm(pdf)) {
+    return;
+  }
+
+  const form = pdf.getForm();
+  for (const [name, value] of Object.entries(values)) {
+    const field = form.getFieldMaybe(name);
+    if (!field || field.isReadOnly()) continue;
+
+    if (field instanceof PDFTextField) {
+      field.setText(value || undefined);
+    } else if (field instanceof PDFCheckBox) {
+      if (value) field.check(); else field.uncheck();
+    } else if (field instanceof PDFRadioGroup) {
+      if (value) field.select(value); else field.clear();
+    } else if (field instanceof PDFDropdown) {
+      if (value) field.select(value); else field.clear();
+    }
+  }
+}
+
+/**
+ * Draws every field onto its page and removes the form, so the values become
+ * ordinary page content.
+ */
+export function flattenForm(pdf) {
+  if (hasForm(pdf)) {
+    pdf.getForm().flatten();
+  }
+}
+
+/**
+ * Returns the partial name (/T) of a field dictionary, or null if it has none.
+ */
+function partialName(field) {
+  const name = field.lookup(PDFName.of('T'));
+  return name instanceof PDFString || name instanceof PDFHexString ? name.decodeText() : null;
+}
+
+/**
+ * Drops the widgets of `fieldRef` and its descendants that are not in `widgets`,
+ * e.g. those on pages a split part leaves out. Returns false if none are left.
+ */
+function pruneWidgets(context, fieldRef, widgets) {
+  const field = context.lookup(fieldRef, PDFDict);
+  const kids = field.lookup(PDFName.of('Kids'));
+  if (!(kids instanceof PDFArray)) {
+    return widgets.has(fieldRef); // A terminal field that is its own widget
+  }
+
+  for (let i = kids.size() - 1; i >= 0; i--) {
+    const kid = kids.get(i);
+    if (!(kid instanceof PDFRef) || !pruneWidgets(context, kid, widgets)) kids.remove(i);
+  }
+  return kids.size() > 0;
+}
+
+/**
+ * Registers the form fields on `pages`, freshly copied from `source` into `target`,
+ * with the form of `target`. `copyPages` brings along the widgets and their fields
+ * but not the form that lists them, which leaves them orphaned.
+ *
+ * A top-level field whose name is already in `takenNames` is renamed to "name_2",
+ * "name_3" and so on, as fields with the same name would otherwise share one value.
+ * Names in use afterwards are added to `takenNames`.
+ */
+export function adoptFormFields(target, source, pages, takenNames) {
+  if (!hasForm(source)) {
+    return;
+  }
+
+  const { context } = target;
+  const widgets = new Set();
+  const roots = new Set();
+  for (const page of pages) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+    for (let i = 0; i < annots.size(); i++) {
+      const ref = annots.get(i);
+      const widget = context.lookup(ref);
+      if (!(ref instanceof PDFRef) || !(widget instanceof PDFDict)) continue;
+      if (widget.get(PDFName.of('Subtype')) !== PDFName.of('Widget')) continue;
+
+      widgets.add(ref);
+      let root = ref;
+      let parent = widget.get(PDFName.of('Parent'));
+      while (parent instanceof PDFRef) {
+        root = parent;
+        parent = context.lookup(parent, PDFDict).get(PDFName.of('Parent'));
+      }
+      roots.add(root);
+    }
+  }
+  if (roots.size === 0) {
+    return;
+  }
+
+  const acroForm = target.catalog.getOrCreateAcroForm();
+  for (const ref of roots) {
+    if (!pruneWidgets(context, ref, widgets)) continue;
+
+    const field = context.lookup(ref, PDFDict);
+    const name = partialName(field);
+    if (name !== null) {
+      let unique = name;
+      for (let n = 2; takenNames.has(unique); n++) unique = `${name}_${n}`;
+      if (unique !== name) field.set(PDFName.of('T'), PDFHexString.fromText(unique));
+      takenNames.add(unique);
+    }
+    acroForm.addField(ref);
+  }
+
+  // Field appearances refer to fonts in the form's default resources by name
+  const sourceForm = source.catalog.lookup(PDFName.of('AcroForm'), PDFDict);
+  const copier = PDFObjectCopier.for(source.context, context);
+  const sourceDefaults = sourceForm.lookup(PDFName.of('DR'));
+  const sourceFonts = sourceDefaults instanceof PDFDict ? sourceDefaults.lookup(PDFName.of('Font')) : null;
+  if (sourceFonts instanceof PDFDict) {
+    const defaults = acroForm.dict.lookup(PDFName.of('DR')) || context.obj({});
+    const fonts = defaults.lookup(PDFName.of('Font')) || context.obj({});
+    for (const [key, font] of sourceFonts.entries()) {
+      if (!fonts.has(key)) fonts.set(key, copier.copy(font));
+    }
+    defaults.set(PDFName.of('Font'), fonts);
+    acroForm.dict.set(PDFName.of('DR'), defaults);
+  }
+  if (!acroForm.dict.has(PDFName.of('DA')) && sourceForm.has(PDFName.of('DA'))) {
+    acroForm.dict.set(PDFName.of('DA'), copier.copy(sourceForm.get(PDFName.of('DA'))));
+  }
+}
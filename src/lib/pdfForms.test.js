@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFNumber } from '@cantoo/pdf-lib';
+import { readFormFields } from './pdfForms.js';
+import { inspectPdf, mergePdfs, splitPdf, fillPdf, layoutPdf, validateFormValues } from './pdfOps.js';
+
+/**
+ * Creates a two-page application form: a name, a checkbox and a radio group on the
+ * first page, a dropdown and a nested "address.street" field on the second.
+ */
+async function makeForm(name = '') {
+  const pdf = await PDFDocument.create();
+  const [first, second] = [pdf.addPage([400, 400]), pdf.addPage([400, 400])];
+  const form = pdf.getForm();
+
+  const nameField = form.createTextField('name');
+  nameField.setMaxLength(20);
+  if (name) nameField.setText(name);
+  nameField.addToPage(first, { x: 10, y: 300 });
+  form.createCheckBox('agree').addToPage(first, { x: 10, y: 250 });
+  const color = form.createRadioGroup('color');
+  color.addOptionToPage('red', first, { x: 10, y: 200 });
+  color.addOptionToPage('blue', first, { x: 50, y: 200 });
+  const size = form.createDropdown('size');
+  size.addOptions(['S', 'M', 'L']);
+  size.addToPage(second, { x: 10, y: 300 });
+  form.createTextField('address.street').addToPage(second, { x: 10, y: 200 });
+  return pdf.save();
+}
+
+const fieldNames = async bytes => (await PDFDocument.load(bytes)).getForm().getFields().map(field => field.getName());
+
+describe('forms', () => {
+  it('lists fields with their type, value and options', async () => {
+    const { fields } = await inspectPdf(await makeForm('Ada'));
+    expect(fields.map(({ name, type, value }) => [name, type, value])).toEqual([
+      ['name', 'text', 'Ada'],
+      ['agree', 'checkbox', false],
+      ['color', 'radio', ''],
+      ['size', 'dropdown', ''],
+      ['address.street', 'text', ''],
+    ]);
+    expect(fields[0].maxLength).toBe(20);
+    expect(fields[2].options).toEqual(['red', 'blue']);
+  });
+
+  it('fills fields, or flattens them into the pages', async () => {
+    const values = { name: 'Grace', agree: true, color: 'blue', size: 'L', 'address.street': '1 Main St' };
+    const filled = await PDFDocument.load(await fillPdf(await makeForm(), values));
+    expect(Object.fromEntries(readFormFields(filled).map(({ name, value }) => [name, value]))).toEqual(values);
+
+    const flattened = await PDFDocument.load(await fillPdf(await makeForm(), values, { flatten: true }));
+    expect(readFormFields(flattened)).toEqual([]);
+    expect(flattened.getPage(0).node.Annots().size()).toBe(0);
+  });
+
+  it('validates values against the fields', async () => {
+    const { fields } = await inspectPdf(await makeForm());
+    expect(validateFormValues(fields, { name: 'Ada', color: 'red' })).toBeNull();
+    expect(validateFormValues(fields, { name: 'x'.repeat(21) })).toBe('"name" takes at most 20 characters.');
+    expect(validateFormValues(fields, { name: 'Ωmega' })).toMatch(/Latin letters/);
+    expect(validateFormValues(fields, { size: 'XL' })).toBe('"XL" is not an option of "size".');
+  });
+
+  it('renames clashing fields when merging, keeping each value', async () => {
+    const { bytes: merged } = await mergePdfs([
+      { name: 'a.pdf', bytes: await makeForm('Ada') },
+      { name: 'b.pdf', bytes: await makeForm('Grace') },
+    ]);
+    const pdf = await PDFDocument.load(merged);
+    const form = pdf.getForm();
+
+    expect(await fieldNames(merged)).toEqual([
+      'name', 'agree', 'color', 'size', 'address.street',
+      'name_2', 'agree_2', 'color_2', 'size_2', 'address_2.street',
+    ]);
+    expect(form.getTextField('name').getText()).toBe('Ada');
+    expect(form.getTextField('name_2').getText()).toBe('Grace');
+  });
+
+  it('flattens forms when merging onto new sheets', async () => {
+    const { bytes: merged } = await mergePdfs([{ name: 'a.pdf', bytes: await makeForm('Ada') }], { mode: 'normalize', options: { pageSize: 'A4', fit: 'fit', margin: '0' } });
+    expect(readFormFields(await PDFDocument.load(merged))).toEqual([]);
+  });
+
+  it('warns about forms it cannot read or flatten instead of failing', async () => {
+    const pdf = await PDFDocument.create();
+    pdf.addPage([400, 400]);
+    // A field entry that is not a field dictionary breaks the whole form
+    pdf.getForm();
+    pdf.catalog.lookup(PDFName.of('AcroForm')).set(PDFName.of('Fields'), pdf.context.obj([pdf.context.register(PDFNumber.of(5))]));
+    const broken = await pdf.save({ updateFieldAppearances: false });
+
+    expect(await inspectPdf(broken)).toMatchObject({ fields: [], warnings: [expect.stringMatching(/could not be read/)] });
+    const { warnings } = await mergePdfs([{ name: 'a.pdf', bytes: broken }], { mode: 'normalize', options: { pageSize: 'A4', fit: 'fit', margin: '0' } });
+    expect(warnings).toEqual(['a.pdf: The form could not be flattened, so its fields are left out.']);
+    const layout = { mode: 'resize', pageSize: 'A4', orientation: 'auto', margin: '0' };
+    expect((await layoutPdf(broken, layout, { name: 'a.pdf' })).warnings).toEqual(warnings);
+  });
+
+  it('keeps only the fields of the pages a split part keeps', async () => {
+    const [part] = await splitPdf(await makeForm('Ada'), [{ fileName: 'p2.pdf', pages: [2] }]);
+    expect(await fieldNames(part.bytes)).toEqual(['size', 'address.street']);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Runs a PDF job in a fresh Web Worker and resolves with its result.
+ * `transfer` lists ArrayBuffers in `payload` to hand over without copying; they are
+ * unusable on this side afterwards. Progress events are passed to `onProgress`, and
+ * aborting `signal` terminates the worker and rejects with an AbortError.
+ */
+export function runPdfJob(type, payload, { transfer = [], onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('The job was cancelled.', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('../workers/pdfWorker.js', import.meta.url), { type: 'module' });
+
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', abort);
+    };
+
+    const abort = () => {
+      finish();
+      reject(new DOMException('The job was cancelled.', 'AbortError'));
+    };
+
+    if (signal) signal.addEventListener('abort', abort);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data);
+      } else if (data.type === 'done') {
+        finish();
+        resolve(data.result);
+      } else if (data.type === 'error') {
+        finish();
+        const error = new Error(data.message);
+        error.code = data.code; // e.g. 'PASSWORD_REQUIRED' from PdfPasswordError
+        reject(error);
+      }
+    };
+
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'The PDF worker failed to start.'));
+    };
+
+    worker.postMessage({ type, payload }, transfer);
+  });
+}
+
+/**
+ * Turns a worker progress event into an overall fraction between 0 and 1.
+ */
+export function progressFraction({ file, page }) {
+  const pageFraction = page.count > 0 ? page.index / page.count : 0;
+  return Math.min(1, (file.index + pageFraction) / file.count);
+}
@@ -0,0 +1,222 @@
+import { PageSizes } from '@cantoo/pdf-lib';
+
+export const MM_TO_PT = 72 / 25.4;
+
+/**
+ * Resolves the sheet size used when normalizing merged pages, in points.
+ */
+export function resolveSheetSize({ pageSize, customWidth, customHeight }) {
+  if (pageSize === 'custom') {
+    return [Number(customWidth) * MM_TO_PT, Number(customHeight) * MM_TO_PT];
+  }
+  return PageSizes[pageSize];
+}
+
+/**
+ * Turns a sheet to the given `orientation`: 'portrait', 'landscape', or 'auto' to
+ * match the { width, height } of the `source` placed on it. Without an orientation
+ * the sheet is used as it is.
+ */
+export function orientSheet(sheetSize, orientation, source) {
+  if (!orientation) {
+    return sheetSize;
+  }
+  const landscape = orientation === 'auto' ? source.width > source.height : orientation === 'landscape';
+  const [short, long] = [...sheetSize].sort((a, b) => a - b);
+  return landscape ? [long, short] : [short, long];
+}
+
+/**
+ * Works out where to draw a page of size { width, height } on a sheet of `sheetSize` points.
+ * 'fit' scales the page to fit inside the margins and centers it, 'fill' covers the
+ * area inside the margins (the overflow is clipped), and 'stretch' ignores the aspect ratio.
+ * Returns the drawing box and the clip area, both in sheet coordinates.
+ */
+export function placeOnSheet(source, sheetSize, { fit, margin }) {
+  const [sheetWidth, sheetHeight] = sheetSize;
+  const inset = Number(margin) * MM_TO_PT;
+  const area = {
+    x: inset,
+    y: inset,
+    width: sheetWidth - inset * 2,
+    height: sheetHeight - inset * 2,
+  };
+
+  if (fit === 'stretch') {
+    return { ...area, clipArea: area };
+  }
+
+  const pick = fit === 'fill' ? Math.max : Math.min;
+  const scale = pick(area.width / source.width, area.height / source.height);
+  const width = source.width * scale;
+  const height = source.height * scale;
+
+  return {
+    x: area.x + (area.width - width) / 2,
+    y: area.y + (area.height - height) / 2,
+    width,
+    height,
+    clipArea: area,
+  };
+}
+
+// Distance of stamps and page numbers from the page edge, in points
+export const STAMP_MARGIN = 36;
+
+/**
+ * Works out where to draw a stamp of { width, height } so that, turned by `rotation`
+ * degrees counter-clockwise around its center, it sits at `position` on a page of
+ * `pageSize` points. `position` is 'center' or a side or corner such as 'top',
+ * 'bottom-right'. Returns the { x, y } of the stamp's unrotated lower-left corner,
+ * which is the point pdf-lib rotates around.
+ */
+export function placeStamp(stamp, pageSize, { position, rotation = 0, margin = STAMP_MARGIN }) {
+  const [pageWidth, pageHeight] = pageSize;
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Half the size of the rotated stamp's bounding box
+  const halfWidth = (Math.abs(stamp.width * cos) + Math.abs(stamp.height * sin)) / 2;
+  const halfHeight = (Math.abs(stamp.width * sin) + Math.abs(stamp.height * cos)) / 2;
+
+  let centerX = pageWidth / 2;
+  let centerY = pageHeight / 2;
+  if (position.includes('left')) centerX = margin + halfWidth;
+  if (position.includes('right')) centerX = pageWidth - margin - halfWidth;
+  if (position.includes('top')) centerY = pageHeight - margin - halfHeight;
+  if (position.includes('bottom')) centerY = margin + halfHeight;
+
+  return {
+    x: centerX - ((stamp.width / 2) * cos - (stamp.height / 2) * sin),
+    y: centerY - ((stamp.width / 2) * sin + (stamp.height / 2) * cos),
+  };
+}
+
+/**
+ * Maps a point from how a page looks on screen to its own coordinates, for a page
+ * of `pageSize` (unrotated) points shown turned clockwise by `pageRotation` degrees.
+ */
+export function toPageSpace({ x, y }, pageSize, pageRotation) {
+  const [width, height] = pageSize;
+  switch (((pageRotation % 360) + 360) % 360) {
+    case 90: return { x: width - y, y: x };
+    case 180: return { x: width - x, y: height - y };
+    case 270: return { x: y, y: height - x };
+    default: return { x, y };
+  }
+}
+
+// Grids ([columns, rows]) tried for each number of pages per sheet
+const NUP_GRIDS = {
+  2: [[2, 1], [1, 2]],
+  4: [[2, 2]],
+  9: [[3, 3]],
+};
+
+/**
+ * Plans an N-up sheet for pages of { width, height }: `perSheet` (2, 4 or 9) cells
+ * `gutter` mm apart inside a `margin` (mm) on a sheet of `sheetSize` points turned to
+ * `orientation` ('portrait', 'landscape', or 'auto' for whichever shows the pages
+ * largest). Returns { sheet, cells }: the sheet size and the cells, { x, y, width,
+ * height } in reading order (left to right, top to bottom).
+ */
+export function planNup(source, sheetSize, { perSheet, orientation, margin, gutter }) {
+  const inset = Number(margin) * MM_TO_PT;
+  const gap = Number(gutter) * MM_TO_PT;
+  const [short, long] = [...sheetSize].sort((a, b) => a - b);
+  const sheets = {
+    portrait: [[short, long]],
+    landscape: [[long, short]],
+    auto: [[short, long], [long, short]],
+  }[orientation];
+
+  let best = null;
+  for (const sheet of sheets) {
+    for (const [columns, rows] of NUP_GRIDS[perSheet]) {
+      const width = (sheet[0] - inset * 2 - gap * (columns - 1)) / columns;
+      const height = (sheet[1] - inset * 2 - gap * (rows - 1)) / rows;
+      const scale = Math.min(width / source.width, height / source.height);
+      if (best && scale <= best.scale) continue;
+
+      const cells = [];
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          cells.push({
+            x: inset + column * (width + gap),
+            y: sheet[1] - inset - (row + 1) * height - row * gap,
+            width,
+            height,
+          });
+        }
+      }
+      best = { sheet, cells, scale };
+    }
+  }
+  return { sheet: best.sheet, cells: best.cells };
+}
+
+/**
+ * Scales a page of { width, height } to fit `cell` ({ x, y, width, height }) and
+ * centers it there. Returns the drawing box.
+ */
+export function fitInCell(source, cell) {
+  const scale = Math.min(cell.width / source.width, cell.height / source.height);
+  const width = source.width * scale;
+  const height = source.height * scale;
+  return { x: cell.x + (cell.width - width) / 2, y: cell.y + (cell.height - height) / 2, width, height };
+}
+
+/**
+ * Orders `pageCount` pages for saddle-stitch printing: the sides of the folded
+ * sheets, each [left, right] with 0-based page indexes, front then back of every
+ * sheet. The count is padded to a multiple of 4 with blank pages, given as null.
+ */
+export function bookletOrder(pageCount) {
+  const padded = Math.ceil(pageCount / 4) * 4;
+  const page = index => (index < pageCount ? index : null);
+  const sides = [];
+  for (let sheet = 0; sheet < padded / 4; sheet++) {
+    sides.push([page(padded - 1 - 2 * sheet), page(2 * sheet)]);
+    sides.push([page(2 * sheet + 1), page(padded - 2 - 2 * sheet)]);
+  }
+  return sides;
+}
+
+/**
+ * Finds the content of a page render ({ width, height, data } RGBA pixels, white
+ * background): the box around all pixels darker than `threshold` in any channel, as
+ * fractions of the render measured from its top-left corner. Returns null for a blank page.
+ */
+export function findContentBox({ width, height, data }, { threshold = 245 } = {}) {
+  let left = width;
+  let right = -1;
+  let top = height;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (data[i] < threshold || data[i + 1] < threshold || data[i + 2] < threshold) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+  if (right < 0) {
+    return null;
+  }
+  return { x: left / width, y: top / height, width: (right + 1 - left) / width, height: (bottom + 1 - top) / height };
+}
+
+/**
+ * Maps crop margins { top, right, bottom, left } of how a page looks on screen to
+ * the sides of its own, unrotated coordinates, for a page shown turned clockwise by
+ * `pageRotation` degrees.
+ */
+export function toPageMargins(margins, pageRotation) {
+  const sides = ['top', 'right', 'bottom', 'left'];
+  const turns = (((pageRotation % 360) + 360) % 360) / 90;
+  return Object.fromEntries(sides.map((side, i) => [side, margins[sides[(i + turns) % 4]]]));
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { orientSheet, placeStamp, toPageSpace, planNup, fitInCell, bookletOrder, findContentBox, toPageMargins, MM_TO_PT } from './pdfLayout.js';
+
+const round = ({ x, y }) => ({ x: Math.round(x), y: Math.round(y) });
+
+describe('orientSheet', () => {
+  it('turns sheets to portrait, landscape or the shape of the source', () => {
+    expect(orientSheet([595, 842], 'landscape', { width: 1, height: 2 })).toEqual([842, 595]);
+    expect(orientSheet([842, 595], 'portrait', { width: 2, height: 1 })).toEqual([595, 842]);
+    expect(orientSheet([595, 842], 'auto', { width: 2, height: 1 })).toEqual([842, 595]);
+    expect(orientSheet([842, 595], undefined, { width: 1, height: 2 })).toEqual([842, 595]);
+  });
+});
+
+describe('placeStamp', () => {
+  const stamp = { width: 100, height: 20 };
+
+  it('keeps stamps inside the margin at the chosen position', () => {
+    expect(placeStamp(stamp, [600, 800], { position: 'center' })).toEqual({ x: 250, y: 390 });
+    expect(placeStamp(stamp, [600, 800], { position: 'top-left' })).toEqual({ x: 36, y: 744 });
+    expect(placeStamp(stamp, [600, 800], { position: 'bottom-right', margin: 10 })).toEqual({ x: 490, y: 10 });
+  });
+
+  it('centers rotated stamps on the same point', () => {
+    // Turned by 90°, the box stands on its corner at (310, 350) and reaches up 100pt
+    expect(round(placeStamp(stamp, [600, 800], { position: 'center', rotation: 90 }))).toEqual({ x: 310, y: 350 });
+    expect(round(placeStamp(stamp, [600, 800], { position: 'bottom', rotation: 90 }))).toEqual({ x: 310, y: 36 });
+  });
+});
+
+describe('toPageSpace', () => {
+  it('maps points on a turned page back to its own coordinates', () => {
+    // A 600 x 800 page shown turned clockwise looks 800 wide and 600 high
+    expect(toPageSpace({ x: 0, y: 0 }, [600, 800], 0)).toEqual({ x: 0, y: 0 });
+    expect(toPageSpace({ x: 0, y: 0 }, [600, 800], 90)).toEqual({ x: 600, y: 0 });
+    expect(toPageSpace({ x: 800, y: 600 }, [600, 800], 90)).toEqual({ x: 0, y: 800 });
+    expect(toPageSpace({ x: 0, y: 0 }, [600, 800], 180)).toEqual({ x: 600, y: 800 });
+    expect(toPageSpace({ x: 0, y: 0 }, [600, 800], 270)).toEqual({ x: 0, y: 800 });
+  });
+});
+
+describe('planNup', () => {
+  const a4 = [595, 842];
+  const portraitPage = { width: 595, height: 842 };
+
+  it('puts two portrait pages side by side on a landscape sheet', () => {
+    const { sheet, cells } = planNup(portraitPage, a4, { perSheet: 2, orientation: 'auto', margin: 0, gutter: 0 });
+    expect(sheet).toEqual([842, 595]);
+    expect(cells).toEqual([
+      { x: 0, y: 0, width: 421, height: 595 },
+      { x: 421, y: 0, width: 421, height: 595 },
+    ]);
+  });
+
+  it('fills 4-up and 9-up grids in reading order, with gutters and margins', () => {
+    const { sheet, cells } = planNup(portraitPage, a4, { perSheet: 4, orientation: 'auto', margin: 10, gutter: 5 });
+    expect(sheet).toEqual(a4);
+    const inset = 10 * MM_TO_PT;
+    const gap = 5 * MM_TO_PT;
+    expect(cells[0].x).toBeCloseTo(inset);
+    expect(cells[0].y + cells[0].height).toBeCloseTo(842 - inset);
+    expect(cells[1].x - (cells[0].x + cells[0].width)).toBeCloseTo(gap);
+    expect(cells[2].y).toBeCloseTo(inset);
+    expect(planNup(portraitPage, a4, { perSheet: 9, orientation: 'portrait', margin: 0, gutter: 0 }).cells).toHaveLength(9);
+  });
+
+  it('centers pages in their cells', () => {
+    expect(fitInCell({ width: 100, height: 50 }, { x: 10, y: 10, width: 100, height: 100 })).toEqual({ x: 10, y: 35, width: 100, height: 50 });
+  });
+});
+
+describe('bookletOrder', () => {
+  it('orders pages for folding and stapling in the middle', () => {
+    expect(bookletOrder(8)).toEqual([[7, 0], [1, 6], [5, 2], [3, 4]]);
+  });
+
+  it('pads with blank pages to a multiple of four', () => {
+    expect(bookletOrder(5)).toEqual([[null, 0], [1, null], [null, 2], [3, 4]]);
+    expect(bookletOrder(1)).toEqual([[null, 0], [null, null]]);
+  });
+});
+
+describe('findContentBox', () => {
+  it('boxes the dark pixels of a render', () => {
+    const width = 10;
+    const height = 20;
+    const data = new Uint8ClampedArray(width * height * 4).fill(255);
+    for (const [x, y] of [[2, 4], [7, 15]]) data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    expect(findContentBox({ width, height, data })).toEqual({ x: 0.2, y: 0.2, width: 0.6, height: 0.6 });
+    expect(findContentBox({ width, height, data: new Uint8ClampedArray(width * height * 4).fill(255) })).toBeNull();
+  });
+});
+
+describe('toPageMargins', () => {
+  it('maps margins as shown to the sides of a rotated page', () => {
+    const margins = { top: 1, right: 2, bottom: 3, left: 4 };
+    expect(toPageMargins(margins, 0)).toEqual(margins);
+    expect(toPageMargins(margins, 90)).toEqual({ top: 2, right: 3, bottom: 4, left: 1 });
+    expect(toPageMargins(margins, 180)).toEqual({ top: 3, right: 4, bottom: 1, left: 2 });
+  });
+});
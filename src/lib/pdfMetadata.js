@@ -0,0 +1,103 @@
+/**
+ * Reading, writing and stripping of document metadata: the document information
+ * dictionary (title, author, dates...) and the XMP packet of the catalog.
+ *
+ * Metadata is passed around as plain strings so it survives postMessage:
+ * { title, author, subject, keywords, creator, producer, creationDate,
+ * modificationDate, xmp }, with dates as ISO strings and '' for anything missing.
+ */
+import {
+  PDFName,
+  PDFDict,
+  PDFString,
+  PDFHexString,
+  PDFRawStream,
+  decodePDFRawStream,
+} from '@cantoo/pdf-lib';
+
+// Text fields and their keys in the information dictionary
+const TEXT_FIELDS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  keywords: 'Keywords',
+  creator: 'Creator',
+  producer: 'Producer',
+};
+
+const DATE_FIELDS = {
+  creationDate: 'CreationDate',
+  modificationDate: 'ModDate',
+};
+
+/**
+ * Reads the metadata of a loaded PDF. Values that cannot be decoded read as ''.
+ */
+export function readMetadata(pdf) {
+  const info = pdf.context.lookup(pdf.context.trailerInfo.Info);
+  const lookup = key => {
+    const value = info instanceof PDFDict ? info.lookup(PDFName.of(key)) : undefined;
+    return value instanceof PDFString || value instanceof PDFHexString ? value : null;
+  };
+
+  const metadata = {};
+  for (const [field, key] of Object.entries(TEXT_FIELDS)) {
+    const value = lookup(key);
+    metadata[field] = value ? value.decodeText() : '';
+  }
+  for (const [field, key] of Object.entries(DATE_FIELDS)) {
+    const value = lookup(key);
+    try {
+      metadata[field] = value ? value.decodeDate().toISOString() : '';
+    } catch {
+      metadata[field] = ''; // Not a valid PDF date
+    }
+  }
+
+  const xmp = pdf.catalog.lookup(PDFName.of('Metadata'));
+  metadata.xmp = '';
+  if (xmp instanceof PDFRawStream) {
+    const bytes = xmp.dict.has(PDFName.of('Filter')) ? decodePDFRawStream(xmp).decode() : xmp.contents;
+    metadata.xmp = new TextDecoder().decode(bytes);
+  }
+  return metadata;
+}
+
+/**
+ * Replaces the metadata of `pdf` with `metadata`. Empty fields are left out.
+ */
+export function writeMetadata(pdf, metadata) {
+  const { context, catalog } = pdf;
+  const info = context.obj({});
+
+  for (const [field, key] of Object.entries(TEXT_FIELDS)) {
+    if (metadata[field]) info.set(PDFName.of(key), PDFHexString.fromText(metadata[field]));
+  }
+  for (const [field, key] of Object.entries(DATE_FIELDS)) {
+    const date = metadata[field] ? new Date(metadata[field]) : null;
+    if (date && !Number.isNaN(date.getTime())) info.set(PDFName.of(key), PDFString.fromDate(date));
+  }
+  context.trailerInfo.Info = context.register(info);
+
+  if (metadata.xmp && metadata.xmp.trim()) {
+    const stream = context.stream(new TextEncoder().encode(metadata.xmp), { Type: 'Metadata', Subtype: 'XML' });
+    catalog.set(PDFName.of('Metadata'), context.register(stream));
+  } else {
+    catalog.delete(PDFName.of('Metadata'));
+  }
+}
+
+/**
+ * Removes the information dictionary and every XMP packet, including those attached
+ * to pages, images and fonts. The objects left behind are unreferenced, so they
+ * disappear once unused objects are removed.
+ */
+export function stripMetadata(pdf) {
+  const { context } = pdf;
+  context.trailerInfo.Info = undefined;
+
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    const dict = object instanceof PDFRawStream ? object.dict : object;
+    if (dict instanceof PDFDict) dict.delete(PDFName.of('Metadata'));
+  }
+}
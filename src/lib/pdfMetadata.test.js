@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from '@cantoo/pdf-lib';
+import { readMetadata, writeMetadata } from './pdfMetadata.js';
+import { inspectPdf, mergePdfs, splitPdf, compressPdf } from './pdfOps.js';
+
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><dc:title>Ünïcode</dc:title></x:xmpmeta>';
+
+const metadata = {
+  title: 'Quarterly report',
+  author: 'Dana Ng',
+  subject: 'Q3',
+  keywords: 'finance report',
+  creator: 'Writer',
+  producer: 'Some PDF library',
+  creationDate: '2024-01-02T03:04:05.000Z',
+  modificationDate: '2024-02-03T04:05:06.000Z',
+  xmp: XMP,
+};
+
+/**
+ * Creates a two-page PDF with `metadata`, and an XMP packet on its first page too.
+ */
+async function makePdfWithMetadata() {
+  const pdf = await PDFDocument.create({ updateMetadata: false });
+  pdf.addPage([300, 400]).drawText('One');
+  pdf.addPage([300, 400]).drawText('Two');
+  writeMetadata(pdf, metadata);
+  pdf.getPage(0).node.set(PDFName.of('Metadata'), pdf.context.register(pdf.context.stream(XMP)));
+  return pdf.save();
+}
+
+describe('metadata', () => {
+  it('reads back what was written', async () => {
+    const { pageCount, metadata: read } = await inspectPdf(await makePdfWithMetadata());
+    expect(pageCount).toBe(2);
+    expect(read).toEqual(metadata);
+  });
+
+  it('keeps the source metadata by default, with a new modification date', async () => {
+    const [part] = await splitPdf(await makePdfWithMetadata(), [{ fileName: 'a.pdf', pages: [2] }]);
+    const read = readMetadata(await PDFDocument.load(part.bytes, { updateMetadata: false }));
+
+    expect(read).toMatchObject({ title: 'Quarterly report', producer: 'Some PDF library', xmp: XMP });
+    expect(new Date(read.modificationDate).getTime()).toBeGreaterThan(new Date(metadata.modificationDate).getTime());
+  });
+
+  it('writes edited metadata as given', async () => {
+    const source = await makePdfWithMetadata();
+    const edited = { ...metadata, title: 'Renamed', author: '', xmp: '' };
+    const { bytes: merged } = await mergePdfs([{ name: 'a.pdf', bytes: source }], { metadata: edited });
+
+    expect(readMetadata(await PDFDocument.load(merged, { updateMetadata: false }))).toEqual(edited);
+  });
+
+  it('strips every trace of metadata', async () => {
+    const source = await makePdfWithMetadata();
+    for (const output of [
+      (await mergePdfs([{ name: 'a.pdf', bytes: source }], { metadata: null })).bytes,
+      (await splitPdf(source, [{ fileName: 'a.pdf', pages: [1] }], { metadata: null }))[0].bytes,
+      await compressPdf(source, { metadata: null }),
+    ]) {
+      const pdf = await PDFDocument.load(output, { updateMetadata: false });
+      const withXmp = pdf.context.enumerateIndirectObjects()
+        .filter(([, object]) => (object.dict || object).has && (object.dict || object).has(PDFName.of('Metadata')));
+
+      expect(pdf.context.trailerInfo.Info).toBeUndefined();
+      expect(withXmp).toEqual([]);
+      expect(pdf.getPageCount()).toBeGreaterThan(0);
+    }
+  });
+});
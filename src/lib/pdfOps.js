@@ -0,0 +1,1276 @@
+/**
+ * Framework-independent PDF operations shared by the web app, its worker and the
+ * command line. Everything here works on plain data and Uint8Arrays, so it runs
+ * the same in a browser, a Web Worker or Node.
+ */
+import {
+  PDFDocument,
+  StandardFonts,
+  rgb,
+  degrees,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath,
+} from '@cantoo/pdf-lib';
+import JSZip from 'jszip';
+import {
+  MM_TO_PT,
+  resolveSheetSize,
+  orientSheet,
+  placeOnSheet,
+  placeStamp,
+  toPageSpace,
+  planNup,
+  fitInCell,
+  bookletOrder,
+  toPageMargins,
+} from './pdfLayout.js';
+import { readOutline, remapOutline, writeOutline } from './pdfOutline.js';
+import { readMetadata, writeMetadata, stripMetadata } from './pdfMetadata.js';
+import { readFormFields, fillFormFields, flattenForm, adoptFormFields } from './pdfForms.js';
+import { checkPdfStructure, checkLoadedPdf, describeLoadError } from './pdfRepair.js';
+import { redactPages, rasterizePage } from './pdfRedact.js';
+import {
+  IMAGE_SETTINGS,
+  removeUnusedObjects,
+  deduplicateStreams,
+  compressPlainStreams,
+  recompressImages,
+} from './pdfCompress.js';
+
+// A page reference: a page number, "last", or "last-N" (N pages before the last one)
+const PAGE_REF = '(\\d+|last(?:-\\d+)?)';
+const SINGLE_PAGE = new RegExp(`^${PAGE_REF}$`);
+const PAGE_RANGE = new RegExp(`^${PAGE_REF}?-${PAGE_REF}?$`);
+
+const describePageCount = totalPages => `This PDF has ${totalPages} page${totalPages !== 1 ? 's' : ''}.`;
+
+/**
+ * Resolves one page reference ("7", "last", "last-2") to a page number.
+ */
+function resolvePageRef(ref, totalPages) {
+  if (ref === 'last') {
+    return totalPages;
+  }
+  if (ref.startsWith('last-')) {
+    return totalPages - parseInt(ref.slice(5), 10);
+  }
+  return parseInt(ref, 10);
+}
+
+/**
+ * Resolves one comma-separated entry (without its "!") to page numbers.
+ * Returns { pages } or { error } with a message that quotes the entry.
+ */
+function resolvePageToken(token, totalPages) {
+  // Spaces are allowed around "-" only; "1 2" is not read as page 12
+  const compact = token.trim().toLowerCase().replace(/\s*-\s*/g, '-');
+  if (/\s/.test(compact)) {
+    return { error: `"${token}" has a space between pages. Separate pages with a comma (e.g., 1, 2).` };
+  }
+
+  if (compact === 'odd' || compact === 'even') {
+    const pages = [];
+    for (let page = compact === 'odd' ? 1 : 2; page <= totalPages; page += 2) {
+      pages.push(page);
+    }
+    return { pages };
+  }
+
+  let start;
+  let end;
+  let match = compact.match(SINGLE_PAGE);
+  if (match) {
+    // Single page like "3" or "last-1"
+    start = end = resolvePageRef(match[1], totalPages);
+  } else if (compact !== '-' && (match = compact.match(PAGE_RANGE))) {
+    // Range like "3-5", "10-1" (descending), "5-" (to the end) or "-3" (from the start)
+    start = match[1] ? resolvePageRef(match[1], totalPages) : 1;
+    end = match[2] ? resolvePageRef(match[2], totalPages) : totalPages;
+  } else {
+    return { error: `"${token}" is not a page, a range, "last", "odd" or "even" (e.g., 1, 3-5, 10-, last).` };
+  }
+
+  for (const page of [start, end]) {
+    if (page < 1 || page > totalPages) {
+      const where = compact === String(page) ? '' : ` in "${token}"`;
+      return { error: `Page ${page}${where} is out of range. ${describePageCount(totalPages)}` };
+    }
+  }
+
+  const step = start <= end ? 1 : -1;
+  const pages = [];
+  for (let page = start; page !== end + step; page += step) {
+    pages.push(page);
+  }
+  return { pages };
+}
+
+/**
+ * Resolves a page input string against a document of `totalPages` pages.
+ * Returns { pages } with 1-based page numbers in the order given, or { error }.
+ */
+function resolvePageInput(input, totalPages) {
+  const included = [];
+  const excluded = new Set();
+  let hasIncludes = false;
+
+  for (const rawPart of input.split(',')) {
+    const part = rawPart.trim();
+    if (!part) {
+      return { error: 'Invalid format. Check your input for extra commas.' };
+    }
+
+    // "!7" or "!3-5" removes pages from the selection
+    const isExclusion = part.startsWith('!');
+    const token = isExclusion ? part.slice(1).trim() : part;
+    if (!token) {
+      return { error: '"!" must be followed by the pages to leave out (e.g., !7).' };
+    }
+
+    const result = resolvePageToken(token, totalPages);
+    if (result.error) {
+      return result;
+    }
+
+    if (isExclusion) {
+      result.pages.forEach(page => excluded.add(page));
+    } else {
+      included.push(...result.pages);
+      hasIncludes = true;
+    }
+  }
+
+  // Exclusions on their own apply to the whole document
+  const base = hasIncludes ? included : Array.from({ length: totalPages }, (_, i) => i + 1);
+  const pages = base.filter(page => !excluded.has(page));
+  if (pages.length === 0) {
+    return { error: 'No pages are left after the exclusions.' };
+  }
+  return { pages };
+}
+
+/**
+ * Parses a page input string like "1, 3-5, 10-, last, !7" into an array of page numbers.
+ * Supports open ranges ("5-", "-3"), "last" and "last-N", reversed ranges ("10-1"),
+ * "odd", "even" and exclusions ("!7", "!odd"). Pages come back in the order given,
+ * repeats included (1-based). Returns null if the input is invalid.
+ */
+export function parsePageInput(input, totalPages) {
+  if (!input || !input.trim()) {
+    return [];
+  }
+
+  const { pages } = resolvePageInput(input, totalPages);
+  return pages || null;
+}
+
+/**
+ * Validates the page input string and returns an error message or null if valid.
+ */
+export function validatePageInput(input, totalPages) {
+  // Check for empty input
+  if (!input || !input.trim()) {
+    return 'Please enter the pages you want to extract.';
+  }
+
+  const { error } = resolvePageInput(input, totalPages);
+  return error || null;
+}
+
+/**
+ * Parses a group input string like "1-3; 4-10; 11-" into page groups.
+ * Each group may be prefixed with a name ("intro: 1-3").
+ * Returns an array of { name, input }.
+ */
+export function parseGroupInput(input) {
+  return input
+    .split(';')
+    .map(g => g.trim())
+    .filter(g => g)
+    .map((group) => {
+      const colon = group.indexOf(':');
+      const name = colon === -1 ? '' : group.slice(0, colon).trim();
+      const range = colon === -1 ? group : group.slice(colon + 1).trim();
+      return { name, input: range };
+    });
+}
+
+/**
+ * Validates the group input string and returns an error message or null if valid.
+ */
+export function validateGroupInput(input, totalPages) {
+  if (!input || !input.trim()) {
+    return 'Please enter the page groups you want, separated by semicolons.';
+  }
+
+  const groups = parseGroupInput(input);
+  for (let i = 0; i < groups.length; i++) {
+    const error = validatePageInput(groups[i].input, totalPages);
+    if (error) {
+      return `Group ${groups[i].name || i + 1}: ${error}`;
+    }
+  }
+
+  return null; // Valid
+}
+
+/**
+ * Validates the input for the chosen split mode and returns an error message or null if valid.
+ */
+export function validateSplitInput(mode, { range, chunkSize, totalPages, pages }) {
+  if (mode === 'arrange') {
+    return pages.length === 0 ? 'Every page has been deleted. Use Reset to bring them back.' : null;
+  }
+  if (mode === 'extract') {
+    return validatePageInput(range, totalPages);
+  }
+  if (mode === 'groups') {
+    return validateGroupInput(range, totalPages);
+  }
+  if (mode === 'chunk') {
+    const size = Number(chunkSize);
+    if (!Number.isInteger(size) || size < 1) {
+      return 'Please enter a whole number of pages per file (1 or more).';
+    }
+  }
+  return null; // 'each' needs no input
+}
+
+/**
+ * Turns a string into something safe to use inside a file name.
+ */
+export function toFileSafe(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '-').trim() || 'part';
+}
+
+/**
+ * Builds the list of output files for the chosen split mode.
+ * Returns an array of { fileName, pages, rotations? } with 1-based page numbers,
+ * named after the source file so the ZIP contents sort predictably.
+ */
+export function buildSplitGroups(mode, { range, chunkSize, totalPages, pages, sourceName }) {
+  const baseName = toFileSafe(sourceName.replace(/\.pdf$/i, ''));
+
+  if (mode === 'arrange') {
+    // Export the selection if there is one, otherwise every remaining page, in grid order
+    const chosen = pages.some(p => p.selected) ? pages.filter(p => p.selected) : pages;
+    return [{
+      fileName: `${baseName}-arranged.pdf`,
+      pages: chosen.map(p => p.index + 1),
+      rotations: chosen.map(p => p.rotation),
+    }];
+  }
+
+  if (mode === 'each') {
+    const width = String(totalPages).length;
+    return Array.from({ length: totalPages }, (_, i) => ({
+      fileName: `${baseName}-page-${String(i + 1).padStart(width, '0')}.pdf`,
+      pages: [i + 1],
+    }));
+  }
+
+  if (mode === 'chunk') {
+    const size = Number(chunkSize);
+    const count = Math.ceil(totalPages / size);
+    const width = String(count).length;
+    return Array.from({ length: count }, (_, i) => {
+      const start = i * size + 1;
+      const end = Math.min(start + size - 1, totalPages);
+      return {
+        fileName: `${baseName}-part-${String(i + 1).padStart(width, '0')}.pdf`,
+        pages: Array.from({ length: end - start + 1 }, (_, j) => start + j),
+      };
+    });
+  }
+
+  if (mode === 'groups') {
+    const groups = parseGroupInput(range);
+    const width = String(groups.length).length;
+    return groups.map((group, i) => ({
+      fileName: group.name
+        ? `${baseName}-${toFileSafe(group.name)}.pdf`
+        : `${baseName}-part-${String(i + 1).padStart(width, '0')}.pdf`,
+      pages: parsePageInput(group.input, totalPages),
+    }));
+  }
+
+  return [{ fileName: 'splitted.pdf', pages: parsePageInput(range, totalPages) }];
+}
+
+/**
+ * Validates the resolution for exporting pages as images and returns an error message or null if valid.
+ */
+export function validateImageDpi(dpi) {
+  const value = Number(dpi);
+  if (dpi === '' || !Number.isInteger(value) || value < 36 || value > 600) {
+    return 'Please enter a resolution between 36 and 600 dpi.';
+  }
+  return null; // Valid
+}
+
+/**
+ * Lists the images to export for split `groups` (see `buildSplitGroups`): one per page,
+ * in group order, as [{ fileName, page, rotation }] with `format` ('png' or 'jpeg')
+ * as the extension. A page that comes up again gets a numbered copy.
+ */
+export function buildImageExports(groups, { sourceName, format }) {
+  const baseName = toFileSafe(sourceName.replace(/\.pdf$/i, ''));
+  const extension = format === 'jpeg' ? 'jpg' : 'png';
+  const entries = groups.flatMap(group => group.pages.map((page, i) => ({
+    page,
+    rotation: group.rotations ? group.rotations[i] : 0,
+  })));
+
+  const width = String(Math.max(...entries.map(entry => entry.page))).length;
+  const uses = new Map();
+  return entries.map(({ page, rotation }) => {
+    const use = (uses.get(page) || 0) + 1;
+    uses.set(page, use);
+    const suffix = use > 1 ? `-${use}` : '';
+    return { fileName: `${baseName}-page-${String(page).padStart(width, '0')}${suffix}.${extension}`, page, rotation };
+  });
+}
+
+/**
+ * Validates the sheet options and returns an error message or null if valid.
+ * They are used in 'normalize' mode and for image inputs (`hasImages`).
+ */
+export function validateMergeOptions(mode, options, { hasImages = false } = {}) {
+  if (mode !== 'normalize' && !hasImages) {
+    return null;
+  }
+
+  if (options.pageSize === 'custom') {
+    const width = Number(options.customWidth);
+    const height = Number(options.customHeight);
+    if (!(width > 0) || !(height > 0)) {
+      return 'Please enter a custom page width and height in millimetres.';
+    }
+  }
+
+  const margin = Number(options.margin);
+  if (options.margin === '' || !(margin >= 0)) {
+    return 'Please enter a margin of 0 mm or more.';
+  }
+
+  const [width, height] = resolveSheetSize(options);
+  if (margin * MM_TO_PT * 2 >= Math.min(width, height)) {
+    return 'The margin is too large for this page size.';
+  }
+
+  return null; // Valid
+}
+
+/**
+ * Thrown when a PDF is encrypted and needs a password to open.
+ * `code` is 'PASSWORD_REQUIRED' when none was given, 'PASSWORD_INCORRECT' otherwise.
+ */
+export class PdfPasswordError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PdfPasswordError';
+    this.code = code;
+  }
+}
+
+/**
+ * Loads a PDF, decrypting it locally with `password` if it is encrypted.
+ * Files that only restrict permissions (an empty user password) open without one.
+ * The metadata is left as it is; outputs get theirs when saved (see `savePdf`).
+ * Damaged files are repaired where possible (see `checkPdfStructure`); other load
+ * errors get a message that explains the problem (see `describeLoadError`).
+ */
+export async function loadPdf(bytes, { password = '' } = {}) {
+  try {
+    return await PDFDocument.load(bytes, { password, updateMetadata: false });
+  } catch (error) {
+    if (!/password/i.test(error.message)) {
+      throw new Error(describeLoadError(error));
+    }
+    throw password
+      ? new PdfPasswordError('PASSWORD_INCORRECT', 'The password is incorrect.')
+      : new PdfPasswordError('PASSWORD_REQUIRED', 'This PDF is password-protected.');
+  }
+}
+
+/**
+ * Validates output protection settings and returns an error message or null if valid.
+ * `protection` is { userPassword, ownerPassword, noPrint, noCopy, noModify }.
+ */
+export function validateProtection(protection) {
+  if (!protection) {
+    return null;
+  }
+
+  const restricted = protection.noPrint || protection.noCopy || protection.noModify;
+  if (!protection.userPassword && !protection.ownerPassword) {
+    return 'Please enter a password to open the file, an owner password, or both.';
+  }
+  if (restricted && !protection.ownerPassword) {
+    return 'Please enter an owner password, otherwise anyone who can open the file can lift the restrictions.';
+  }
+  if (protection.userPassword && protection.userPassword === protection.ownerPassword) {
+    return 'The owner password must differ from the password to open the file.';
+  }
+
+  return null; // Valid
+}
+
+/**
+ * Encrypts `pdf` (AES-256) on save according to `protection`, if given.
+ */
+function applyProtection(pdf, protection) {
+  if (!protection) {
+    return;
+  }
+
+  pdf.encrypt({
+    userPassword: protection.userPassword || '',
+    ownerPassword: protection.ownerPassword || protection.userPassword,
+    permissions: {
+      printing: protection.noPrint ? false : 'highResolution',
+      copying: !protection.noCopy,
+      contentAccessibility: true,
+      modifying: !protection.noModify,
+      annotating: !protection.noModify,
+      fillingForms: !protection.noModify,
+      documentAssembly: !protection.noModify,
+    },
+  });
+}
+
+/**
+ * Reads the page count of a PDF.
+ */
+export async function getPageCount(bytes, { password } = {}) {
+  const pdf = await loadPdf(bytes, { password });
+  return pdf.getPageCount();
+}
+
+/**
+ * Reads the page count, metadata (see `readMetadata`) and form fields
+ * (see `readFormFields`) of a PDF, whether it is `encrypted`, the `issues`
+ * found in a damaged file (see `checkPdfStructure`) and `warnings` about parts
+ * that could not be read. Throws if no page can be read.
+ */
+export async function inspectPdf(bytes, { password } = {}) {
+  const pdf = await loadPdf(bytes, { password });
+  if (pdf.getPageCount() === 0) {
+    throw new Error('No pages could be read from this PDF.');
+  }
+
+  const issues = [...checkPdfStructure(bytes), ...checkLoadedPdf(pdf)];
+  const warnings = [];
+  let fields = [];
+  try {
+    fields = readFormFields(pdf);
+  } catch {
+    // A broken form should not keep the rest of the file from being used
+    warnings.push('The form fields could not be read, so they cannot be filled in.');
+  }
+  return {
+    pageCount: pdf.getPageCount(),
+    metadata: readMetadata(pdf),
+    fields,
+    encrypted: pdf.isEncrypted,
+    issues,
+    warnings,
+  };
+}
+
+// Past these totals a job can take minutes, and phones may run out of memory
+const LARGE_INPUT_SIZE = 200 * 1024 * 1024;
+const LARGE_PAGE_COUNT = 2000;
+
+/**
+ * Returns a warning when `files` ([{ size, pageCount }]) add up to more than a
+ * browser handles comfortably, or null.
+ */
+export function checkWorkload(files) {
+  const size = files.reduce((sum, file) => sum + file.size, 0);
+  const pageCount = files.reduce((sum, file) => sum + file.pageCount, 0);
+  if (size <= LARGE_INPUT_SIZE && pageCount <= LARGE_PAGE_COUNT) {
+    return null;
+  }
+
+  const amount = `${Math.round(size / 1024 / 1024)} MB and ${pageCount.toLocaleString('en-US')} pages`;
+  return `${files.length === 1 ? 'This file has' : 'These files add up to'} ${amount}. `
+    + 'Processing may take several minutes, and devices with little memory may run out of it.';
+}
+
+/**
+ * Works out the metadata of an output: `metadata` when given (null strips it all),
+ * otherwise that of its `source` PDF, if any, with the modification date set to now.
+ */
+function outputMetadata(metadata, source) {
+  if (metadata !== undefined) {
+    return metadata;
+  }
+  return { ...(source ? readMetadata(source) : {}), modificationDate: new Date().toISOString() };
+}
+
+/**
+ * Saves a finished document with `metadata` (null strips it, see `outputMetadata`),
+ * without objects nothing refers to any more, and encrypted per `protection`.
+ * Other options are passed on to pdf-lib's `save`.
+ */
+async function savePdf(pdf, { metadata, protection, ...options }) {
+  if (metadata === null) {
+    stripMetadata(pdf);
+  } else {
+    writeMetadata(pdf, metadata);
+  }
+
+  // Embedded pages and images are only written out on flush, so do that first.
+  // This also drops the old encryption dictionary of an unlocked file.
+  await pdf.flush();
+  removeUnusedObjects(pdf);
+  applyProtection(pdf, protection);
+  return pdf.save(options);
+}
+
+/**
+ * Picks the 0-based page indices a merge input contributes: its `pageIndices`,
+ * the pages of its `range` string, or every page, back to front with `reverse`.
+ */
+function selectPageIndices(pdf, { name, pageIndices, range, reverse }) {
+  let indices = pdf.getPageIndices();
+  if (pageIndices) {
+    indices = pageIndices;
+  } else if (range && range.trim()) {
+    const error = validatePageInput(range, pdf.getPageCount());
+    if (error) {
+      throw new Error(`${name}: ${error}`);
+    }
+    indices = parsePageInput(range, pdf.getPageCount()).map(p => p - 1);
+  }
+  return reverse ? [...indices].reverse() : indices;
+}
+
+/**
+ * Orders the pages of merge inputs that contributed `counts` pages each, one after
+ * another, to take one page from each input in turn. Inputs that run out are skipped.
+ * Returns the 0-based positions of the pages in the new order.
+ */
+function interleaveOrder(counts) {
+  const order = [];
+  for (let round = 0; round < Math.max(0, ...counts); round++) {
+    let offset = 0;
+    for (const count of counts) {
+      if (round < count) order.push(offset + round);
+      offset += count;
+    }
+  }
+  return order;
+}
+
+/**
+ * Returns a function mapping a 0-based source page index to its new index when
+ * `pageIndices` are copied starting at `offset`, or undefined if it was left out.
+ * A page that is used twice maps to its first copy.
+ */
+function pageIndexMapper(pageIndices, offset = 0) {
+  const positions = new Map();
+  pageIndices.forEach((sourceIndex, i) => {
+    if (!positions.has(sourceIndex)) positions.set(sourceIndex, offset + i);
+  });
+  return sourceIndex => positions.get(sourceIndex);
+}
+
+/**
+ * Draws the form fields of a loaded PDF onto its pages, as embedded pages lose
+ * their fields. Returns a warning for the file `name` when the form could not be
+ * flattened and its fields are left out, or null.
+ */
+function flattenBeforeEmbedding(pdf, name) {
+  try {
+    flattenForm(pdf);
+    return null;
+  } catch {
+    return `${name}: The form could not be flattened, so its fields are left out.`;
+  }
+}
+
+/**
+ * Tells the kind of image in `bytes` from its signature: 'png', 'jpeg', 'webp', or null.
+ */
+export function detectImageType(bytes) {
+  const startsWith = (signature, at = 0) => signature.every((byte, i) => bytes[at + i] === byte);
+  if (startsWith([0x89, 0x50, 0x4e, 0x47])) return 'png';
+  if (startsWith([0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return 'webp';
+  return null;
+}
+
+/**
+ * Draws onto `page` with `draw()`, clipped to `clipArea`.
+ */
+function drawClipped(page, clipArea, draw) {
+  page.pushOperators(
+    pushGraphicsState(),
+    rectangle(clipArea.x, clipArea.y, clipArea.width, clipArea.height),
+    clip(),
+    endPath(),
+  );
+  draw();
+  page.pushOperators(popGraphicsState());
+}
+
+/**
+ * Merges `inputs` ([{ name, bytes, password?, pageIndices?, range?, reverse? }]) into one PDF.
+ * Returns { bytes, warnings }: the new PDF and what had to be left out of it.
+ * Each input contributes its `pageIndices` (0-based), the pages of its `range` string
+ * (see `parsePageInput`), or every page, in reverse order with `reverse`. With `order`
+ * 'append' the inputs follow one another; 'interleave' takes one page from each in
+ * turn, as for the front and back sides of a scan (see `interleaveOrder`).
+ * In 'preserve' mode pages are copied as they are; in 'normalize' mode each page is
+ * drawn onto a new sheet as described by `options`.
+ * PNG and JPEG inputs become one page each, always placed on a sheet as in 'normalize'
+ * mode; WebP images have to be converted to PNG beforehand.
+ * `onProgress` receives { file, page } with 0-based `index` and `count` for each.
+ * The result gets one top-level bookmark per input, named after it, with the input's
+ * own bookmarks nested underneath, and the metadata of the first PDF input unless
+ * `metadata` is given (see `outputMetadata`). `protection` (see `validateProtection`)
+ * password-protects the result.
+ * Form fields stay fillable in 'preserve' mode, renamed where their names clash with
+ * those of an earlier input (see `adoptFormFields`); 'normalize' mode flattens them.
+ */
+export async function mergePdfs(inputs, { mode = 'preserve', order = 'append', options, metadata, protection, onProgress = () => {} } = {}) {
+  const mergedPdf = await PDFDocument.create({ updateMetadata: false });
+  let firstPdf = null;
+  const imageTypes = inputs.map(input => detectImageType(input.bytes));
+  const sheetSize = mode === 'normalize' || imageTypes.some(Boolean) ? resolveSheetSize(options) : null;
+  const outline = [];
+  const fieldNames = new Set();
+  const pageCounts = []; // pages contributed by each input
+  const warnings = [];
+
+  for (let fileIndex = 0; fileIndex < inputs.length; fileIndex++) {
+    const { name, bytes, password } = inputs[fileIndex];
+    const file = { index: fileIndex, count: inputs.length, name };
+    onProgress({ file, page: { index: 0, count: 1 } });
+
+    const imageType = imageTypes[fileIndex];
+    if (imageType) {
+      if (imageType === 'webp') {
+        throw new Error(`${name}: WebP images have to be converted to PNG first.`);
+      }
+      const image = imageType === 'png' ? await mergedPdf.embedPng(bytes) : await mergedPdf.embedJpg(bytes);
+      const imageSheet = orientSheet(sheetSize, options.orientation, image);
+      const page = mergedPdf.addPage(imageSheet);
+      const { clipArea, ...box } = placeOnSheet(image, imageSheet, options);
+      drawClipped(page, clipArea, () => page.drawImage(image, box));
+
+      outline.push({ title: name.replace(/\.\w+$/, ''), pageIndex: mergedPdf.getPageCount() - 1, view: ['Fit'], children: [] });
+      pageCounts.push(1);
+      onProgress({ file, page: { index: 1, count: 1 } });
+      continue;
+    }
+
+    const pdf = await loadPdf(bytes, { password });
+    const pageIndices = selectPageIndices(pdf, inputs[fileIndex]);
+    firstPdf = firstPdf || pdf;
+    pageCounts.push(pageIndices.length);
+
+    // One bookmark per input, with its own outline remapped to the merged page numbers
+    const offset = mergedPdf.getPageCount();
+    outline.push({
+      title: name.replace(/\.pdf$/i, ''),
+      pageIndex: offset,
+      view: ['Fit'],
+      children: remapOutline(readOutline(pdf), pageIndexMapper(pageIndices, offset)),
+    });
+
+    if (mode === 'preserve') {
+      // Copy pages as they are, keeping their size, text, links and annotations
+      const copiedPages = await mergedPdf.copyPages(pdf, pageIndices);
+      copiedPages.forEach((page, i) => {
+        mergedPdf.addPage(page);
+        onProgress({ file, page: { index: i + 1, count: copiedPages.length } });
+      });
+      adoptFormFields(mergedPdf, pdf, copiedPages, fieldNames);
+      continue;
+    }
+
+    const warning = flattenBeforeEmbedding(pdf, name);
+    if (warning) warnings.push(warning);
+
+    for (let i = 0; i < pageIndices.length; i++) {
+      const sourcePage = pdf.getPage(pageIndices[i]);
+
+      // Add a new sheet; a blank source page (no content stream) cannot be embedded
+      const pageSheet = orientSheet(sheetSize, options.orientation, sourcePage.getSize());
+      const page = mergedPdf.addPage(pageSheet);
+      if (sourcePage.node.Contents()) {
+        const [embeddedPage] = await mergedPdf.embedPages([sourcePage]);
+        const { clipArea, ...box } = placeOnSheet(embeddedPage.scale(1), pageSheet, options);
+
+        // Draw the embedded page, clipped to the area inside the margins
+        drawClipped(page, clipArea, () => page.drawPage(embeddedPage, box));
+      }
+
+      onProgress({ file, page: { index: i + 1, count: pageIndices.length } });
+    }
+  }
+
+  if (order === 'interleave') {
+    // Take the pages out and put them back in turn; the bookmarks follow them
+    const newOrder = interleaveOrder(pageCounts);
+    const pages = mergedPdf.getPages();
+    for (let i = pages.length - 1; i >= 0; i--) {
+      mergedPdf.removePage(i);
+    }
+    newOrder.forEach((position) => {
+      // removePage also drops the page object, so put it back before adding the page again
+      mergedPdf.context.assign(pages[position].ref, pages[position].node);
+      mergedPdf.addPage(pages[position]);
+    });
+    writeOutline(mergedPdf, remapOutline(outline, pageIndexMapper(newOrder)));
+  } else {
+    writeOutline(mergedPdf, outline);
+  }
+  const output = await savePdf(mergedPdf, { metadata: outputMetadata(metadata, firstPdf), protection });
+  return { bytes: output, warnings };
+}
+
+/**
+ * Splits one PDF into `groups` ([{ fileName, pages, rotations? }], 1-based pages),
+ * as built by `buildSplitGroups`. Returns [{ fileName, bytes }] in group order.
+ * `onProgress` receives { file, page } like `mergePdfs`, with one "file" per group.
+ * Bookmarks that point at pages a part keeps are carried over to it, and so is the
+ * metadata unless `metadata` is given (see `outputMetadata`). Form fields on the
+ * pages of a part stay fillable.
+ * `password` opens an encrypted source; `protection` password-protects every part.
+ */
+export async function splitPdf(bytes, groups, { password, metadata, protection, onProgress = () => {} } = {}) {
+  const pdf = await loadPdf(bytes, { password });
+  const sourceOutline = readOutline(pdf);
+  const partMetadata = outputMetadata(metadata, pdf);
+  const outputs = [];
+
+  for (let groupIndex = 0; groupIndex < groups.length; groupIndex++) {
+    const group = groups[groupIndex];
+    const file = { index: groupIndex, count: groups.length, name: group.fileName };
+
+    // Create a new PDF with only the pages of this group
+    const newPdf = await PDFDocument.create({ updateMetadata: false });
+
+    // Convert 1-based user input to 0-based indices for pdf-lib
+    const copiedPages = await newPdf.copyPages(pdf, group.pages.map(p => p - 1));
+    copiedPages.forEach((page, i) => {
+      // Apply rotations chosen in the thumbnail grid on top of the page's own rotation
+      const rotation = group.rotations ? group.rotations[i] : 0;
+      if (rotation) {
+        page.setRotation(degrees((page.getRotation().angle + rotation) % 360));
+      }
+      newPdf.addPage(page);
+      onProgress({ file, page: { index: i + 1, count: copiedPages.length } });
+    });
+    adoptFormFields(newPdf, pdf, copiedPages, new Set());
+
+    writeOutline(newPdf, remapOutline(sourceOutline, pageIndexMapper(group.pages.map(p => p - 1))));
+    outputs.push({ fileName: group.fileName, bytes: await savePdf(newPdf, { metadata: partMetadata, protection }) });
+  }
+
+  return outputs;
+}
+
+/**
+ * Rewrites a PDF to make it smaller and returns the new bytes. Every level drops
+ * unused objects, merges identical streams, compresses plain streams and packs
+ * objects into object streams; 'balanced' and 'strong' also downsample and
+ * re-encode images (see `IMAGE_SETTINGS`) with `encodeImage`, if given
+ * (see `recompressImages`). `onProgress` receives { file, page } like `mergePdfs`,
+ * with `page` counting images. `password`, `metadata` and `protection` work as in `splitPdf`.
+ */
+export async function compressPdf(bytes, { name = 'document.pdf', level = 'lossless', encodeImage, password, metadata, protection, onProgress = () => {} } = {}) {
+  if (level !== 'lossless' && !IMAGE_SETTINGS[level]) {
+    throw new Error(`Unknown compression level "${level}".`);
+  }
+
+  const file = { index: 0, count: 1, name };
+  onProgress({ file, page: { index: 0, count: 1 } });
+  const pdf = await loadPdf(bytes, { password });
+  const newMetadata = outputMetadata(metadata, pdf);
+
+  if (IMAGE_SETTINGS[level] && encodeImage) {
+    await recompressImages(pdf, {
+      ...IMAGE_SETTINGS[level],
+      encodeImage,
+      onProgress: page => onProgress({ file, page }),
+    });
+  }
+
+  deduplicateStreams(pdf);
+  removeUnusedObjects(pdf);
+  compressPlainStreams(pdf);
+
+  const output = await savePdf(pdf, {
+    metadata: newMetadata,
+    protection,
+    useObjectStreams: true,
+    updateFieldAppearances: false,
+  });
+  onProgress({ file, page: { index: 1, count: 1 } });
+  return output;
+}
+
+// Characters the standard PDF fonts can draw (WinAnsi encoding)
+const WIN_ANSI = /^[\x20-\x7e\xa0-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]*$/;
+
+/**
+ * Fills in a page-number template: {n} is the running number (counting stamped pages
+ * from `n`), {page} the page's own number and {total} the page count. Zeros after a
+ * colon pad the number, so `ACME-{n:0000}` gives ACME-0042.
+ */
+export function formatStampText(template, { n, page, total }) {
+  const values = { n, page, total };
+  return template.replace(/\{(n|page|total)(?::(0+))?\}/g, (_, key, zeros) =>
+    String(values[key]).padStart(zeros ? zeros.length : 0, '0'));
+}
+
+/**
+ * Validates stamp settings and returns an error message or null if valid. `stamp` is
+ * { range, watermark: 'none'|'text'|'image', text, fontSize, color, opacity, rotation,
+ * position, imageScale, numbering, template, start, placement, align, numberSize }.
+ * `hasImage` tells whether an image was chosen for an image watermark.
+ */
+export function validateStamp(stamp, totalPages, { hasImage = false } = {}) {
+  if (stamp.watermark === 'none' && !stamp.numbering) {
+    return 'Please add a watermark, page numbers, or both.';
+  }
+  if (stamp.range.trim() && totalPages > 0) {
+    const error = validatePageInput(stamp.range, totalPages);
+    if (error) return error;
+  }
+
+  if (stamp.watermark === 'text') {
+    if (!stamp.text.trim()) return 'Please enter the watermark text.';
+    if (!WIN_ANSI.test(stamp.text)) return 'The watermark text can only use Latin letters, digits and punctuation.';
+    if (!(Number(stamp.fontSize) > 0)) return 'Please enter a watermark font size above 0.';
+    if (!/^#[0-9a-f]{6}$/i.test(stamp.color)) return 'Please pick a watermark colour.';
+  }
+  if (stamp.watermark === 'image') {
+    if (!hasImage) return 'Please choose an image or PDF for the watermark.';
+    const scale = Number(stamp.imageScale);
+    if (!(scale > 0 && scale <= 100)) return 'Please enter an image width between 1 and 100% of the page.';
+  }
+  if (stamp.watermark !== 'none') {
+    const opacity = Number(stamp.opacity);
+    if (stamp.opacity === '' || !(opacity >= 0 && opacity <= 100)) return 'Please enter an opacity between 0 and 100%.';
+    if (stamp.rotation === '' || !Number.isFinite(Number(stamp.rotation))) return 'Please enter a rotation in degrees.';
+  }
+
+  if (stamp.numbering) {
+    if (!stamp.template.trim()) return 'Please enter a page number template, e.g. Page {page} of {total}.';
+    if (!WIN_ANSI.test(stamp.template)) return 'The page number template can only use Latin letters, digits and punctuation.';
+    if (!/^\d+$/.test(stamp.start)) return 'Please enter a whole starting number (0 or more).';
+    if (!(Number(stamp.numberSize) > 0)) return 'Please enter a page number font size above 0.';
+  }
+
+  return null; // Valid
+}
+
+/**
+ * Embeds the artwork for an image watermark: a PNG or JPEG image, or the first page
+ * of a PDF. Returns { width, height, draw(page, options) }.
+ */
+async function embedStampArtwork(pdf, bytes) {
+  const type = detectImageType(bytes);
+  if (type === 'png' || type === 'jpeg') {
+    const image = type === 'png' ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+    return { width: image.width, height: image.height, draw: (page, options) => page.drawImage(image, options) };
+  }
+  const [embeddedPage] = await pdf.embedPdf(bytes, [0]);
+  return { width: embeddedPage.width, height: embeddedPage.height, draw: (page, options) => page.drawPage(embeddedPage, options) };
+}
+
+/**
+ * Stamps the pages of `stamp.range` (all pages when empty) with a text or image
+ * watermark and/or page numbers, as described by `stamp` (see `validateStamp`), and
+ * returns the new bytes. `image` holds the PNG, JPEG or PDF bytes of an image watermark.
+ * Stamps are placed as the page is seen, inside its CropBox, so they come out upright
+ * on rotated pages and stay visible on cropped ones. `onProgress`, `password`,
+ * `metadata` and `protection` work as in `compressPdf`.
+ */
+export async function stampPdf(bytes, stamp, { name = 'document.pdf', image, password, metadata, protection, onProgress = () => {} } = {}) {
+  const pdf = await loadPdf(bytes, { password });
+  const totalPages = pdf.getPageCount();
+  const error = validateStamp(stamp, totalPages, { hasImage: Boolean(image) });
+  if (error) {
+    throw new Error(error);
+  }
+
+  const pageNumbers = stamp.range.trim()
+    ? [...new Set(parsePageInput(stamp.range, totalPages))].sort((a, b) => a - b)
+    : pdf.getPageIndices().map(i => i + 1);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const artwork = stamp.watermark === 'image' ? await embedStampArtwork(pdf, image) : null;
+  const [red, green, blue] = (stamp.color || '#000000').slice(1).match(/../g).map(hex => parseInt(hex, 16) / 255);
+  const file = { index: 0, count: 1, name };
+
+  pageNumbers.forEach((pageNumber, i) => {
+    const page = pdf.getPage(pageNumber - 1);
+    // Only the CropBox of a page is shown, so stamps go inside it
+    const { x: left, y: bottom, width, height } = page.getCropBox();
+    const pageRotation = page.getRotation().angle;
+    const shownSize = pageRotation % 180 === 0 ? [width, height] : [height, width];
+
+    // Place a box as the page is shown, then map it back to the page's own coordinates
+    const place = (box, position, rotation) => {
+      const corner = toPageSpace(placeStamp(box, shownSize, { position, rotation }), [width, height], pageRotation);
+      return { x: left + corner.x, y: bottom + corner.y, rotate: degrees(rotation + pageRotation) };
+    };
+
+    if (stamp.watermark === 'text') {
+      const size = Number(stamp.fontSize);
+      const box = { width: font.widthOfTextAtSize(stamp.text, size), height: font.heightAtSize(size, { descender: false }) };
+      page.drawText(stamp.text, {
+        ...place(box, stamp.position, Number(stamp.rotation)),
+        font,
+        size,
+        color: rgb(red, green, blue),
+        opacity: Number(stamp.opacity) / 100,
+      });
+    } else if (artwork) {
+      const scale = (shownSize[0] * Number(stamp.imageScale)) / 100 / artwork.width;
+      const box = { width: artwork.width * scale, height: artwork.height * scale };
+      artwork.draw(page, { ...place(box, stamp.position, Number(stamp.rotation)), ...box, opacity: Number(stamp.opacity) / 100 });
+    }
+
+    if (stamp.numbering) {
+      const text = formatStampText(stamp.template, { n: Number(stamp.start) + i, page: pageNumber, total: totalPages });
+      const size = Number(stamp.numberSize);
+      const box = { width: font.widthOfTextAtSize(text, size), height: font.heightAtSize(size, { descender: false }) };
+      const edge = stamp.placement === 'header' ? 'top' : 'bottom';
+      page.drawText(text, { ...place(box, stamp.align === 'center' ? edge : `${edge}-${stamp.align}`, 0), font, size });
+    }
+
+    onProgress({ file, page: { index: i + 1, count: pageNumbers.length } });
+  });
+
+  return savePdf(pdf, { metadata: outputMetadata(metadata, pdf), protection, updateFieldAppearances: false });
+}
+
+/**
+ * Validates form `values` ({ [name]: value }) against the `fields` of a PDF
+ * (see `readFormFields`) and returns an error message or null if valid.
+ */
+export function validateFormValues(fields, values) {
+  for (const field of fields) {
+    const value = values[field.name];
+    if (value === undefined || field.readOnly) continue;
+
+    if (field.type === 'text') {
+      if (!WIN_ANSI.test(value.replace(/\r?\n/g, ''))) {
+        return `"${field.name}" can only use Latin letters, digits and punctuation.`;
+      }
+      if (field.maxLength !== null && value.length > field.maxLength) {
+        return `"${field.name}" takes at most ${field.maxLength} characters.`;
+      }
+    } else if ((field.type === 'radio' || field.type === 'dropdown') && value && !field.options.includes(value)) {
+      return `"${value}" is not an option of "${field.name}".`;
+    }
+  }
+  return null; // Valid
+}
+
+/**
+ * Fills the form of a PDF with `values` (see `validateFormValues`) and returns the
+ * new bytes. With `flatten` the fields are drawn onto the pages and the form removed,
+ * so the result can no longer be edited. `onProgress`, `password`, `metadata` and
+ * `protection` work as in `compressPdf`.
+ */
+export async function fillPdf(bytes, values, { name = 'document.pdf', flatten = false, password, metadata, protection, onProgress = () => {} } = {}) {
+  const file = { index: 0, count: 1, name };
+  onProgress({ file, page: { index: 0, count: 1 } });
+  const pdf = await loadPdf(bytes, { password });
+  const error = validateFormValues(readFormFields(pdf), values);
+  if (error) {
+    throw new Error(error);
+  }
+
+  fillFormFields(pdf, values);
+  if (flatten) {
+    flattenForm(pdf);
+  }
+
+  const output = await savePdf(pdf, { metadata: outputMetadata(metadata, pdf), protection });
+  onProgress({ file, page: { index: 1, count: 1 } });
+  return output;
+}
+
+const LAYOUT_SUFFIXES = { nup: 'up', booklet: 'booklet', crop: 'cropped', resize: 'resized' };
+
+/**
+ * Validates layout settings and returns an error message or null if valid. `layout` is
+ * { mode: 'nup'|'booklet'|'crop'|'resize', perSheet, pageSize, customWidth,
+ * customHeight, orientation, margin, gutter, cropMode: 'auto'|'manual', crop: { top,
+ * right, bottom, left }, sameCrop }, with sizes in millimetres. N-up, booklet and
+ * resize use the sheet settings like `validateMergeOptions`; auto-cropping keeps
+ * `margin` around the content it finds.
+ */
+export function validateLayout(layout) {
+  if (!LAYOUT_SUFFIXES[layout.mode]) {
+    return `Unknown layout "${layout.mode}".`;
+  }
+
+  const margin = Number(layout.margin);
+  if (layout.mode === 'crop') {
+    if (layout.cropMode === 'auto') {
+      return layout.margin === '' || !(margin >= 0) ? 'Please enter a margin of 0 mm or more to keep around the content.' : null;
+    }
+    const sides = ['top', 'right', 'bottom', 'left'].map(side => layout.crop[side]);
+    if (sides.some(value => value === '' || !(Number(value) >= 0))) {
+      return 'Please enter 0 mm or more to crop from each side.';
+    }
+    return sides.some(value => Number(value) > 0) ? null : 'Please enter how much to crop from at least one side.';
+  }
+
+  const sheetError = validateMergeOptions('normalize', layout);
+  if (sheetError || layout.mode === 'resize') {
+    return sheetError;
+  }
+
+  if (layout.mode === 'nup' && ![2, 4, 9].includes(Number(layout.perSheet))) {
+    return 'Please choose 2, 4 or 9 pages per sheet.';
+  }
+  const gutter = Number(layout.gutter);
+  if (layout.gutter === '' || !(gutter >= 0)) {
+    return 'Please enter a gutter of 0 mm or more.';
+  }
+  const [width, height] = resolveSheetSize(layout);
+  const columns = layout.mode === 'nup' && Number(layout.perSheet) === 9 ? 3 : 2;
+  if ((margin * 2 + gutter * (columns - 1)) * MM_TO_PT >= Math.min(width, height)) {
+    return 'The margin and gutter are too large for this page size.';
+  }
+
+  return null; // Valid
+}
+
+/**
+ * The size of the visible part of a page (its CropBox) as it is shown, turned by
+ * its rotation.
+ */
+function shownSize(page) {
+  const { width, height } = page.getCropBox();
+  return page.getRotation().angle % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+/**
+ * Draws an embedded page into `box` on `sheet` upright, as it is shown, turning it
+ * back by the clockwise `rotation` of the page it came from.
+ */
+function drawUpright(sheet, embeddedPage, box, rotation) {
+  const turned = rotation % 180 !== 0;
+  const size = { width: turned ? box.height : box.width, height: turned ? box.width : box.height };
+  // Turned clockwise around its lower-left corner the page ends up below or left of it
+  const offsets = { 0: [0, 0], 90: [0, box.height], 180: [box.width, box.height], 270: [box.width, 0] };
+  const [dx, dy] = offsets[rotation] || [0, 0];
+  sheet.drawPage(embeddedPage, { x: box.x + dx, y: box.y + dy, ...size, rotate: degrees(-rotation) });
+}
+
+/**
+ * Crops the pages of a loaded PDF in place: by `layout.crop` (mm from each side of
+ * the page as shown) in 'manual' mode, or to `contentBoxes` in 'auto' mode. Those are
+ * the content of each page (see `findContentBox`) of its unrotated render, or null
+ * for blank pages, which are left alone; with `layout.sameCrop` every page is cropped
+ * to the box around all of them.
+ */
+function cropPages(pdf, layout, contentBoxes, onProgress) {
+  const pages = pdf.getPages();
+  const found = (contentBoxes || []).filter(Boolean);
+  const union = found.length > 0 ? found.reduce((a, b) => {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return { x, y, width: Math.max(a.x + a.width, b.x + b.width) - x, height: Math.max(a.y + a.height, b.y + b.height) - y };
+  }) : null;
+
+  pages.forEach((page, i) => {
+    const box = page.getCropBox();
+    let next;
+    if (layout.cropMode === 'auto') {
+      const content = layout.sameCrop ? union : contentBoxes && contentBoxes[i];
+      if (content) {
+        const pad = Number(layout.margin) * MM_TO_PT;
+        const left = Math.max(box.x, box.x + content.x * box.width - pad);
+        const top = Math.min(box.y + box.height, box.y + (1 - content.y) * box.height + pad);
+        const right = Math.min(box.x + box.width, box.x + (content.x + content.width) * box.width + pad);
+        const bottom = Math.max(box.y, box.y + (1 - content.y - content.height) * box.height - pad);
+        next = { x: left, y: bottom, width: right - left, height: top - bottom };
+      }
+    } else {
+      const margins = toPageMargins(layout.crop, page.getRotation().angle);
+      const [top, right, bottom, left] = ['top', 'right', 'bottom', 'left'].map(side => Number(margins[side]) * MM_TO_PT);
+      next = { x: box.x + left, y: box.y + bottom, width: box.width - left - right, height: box.height - top - bottom };
+      if (!(next.width > 0 && next.height > 0)) {
+        throw new Error(`Cropping that much leaves nothing of page ${i + 1}.`);
+      }
+    }
+    if (next) {
+      page.setCropBox(next.x, next.y, next.width, next.height);
+    }
+    onProgress({ index: i + 1, count: pages.length });
+  });
+}
+
+/**
+ * Lays out a PDF for printing as described by `layout` (see `validateLayout`) and
+ * returns { bytes, warnings }, the new PDF and what had to be left out of it:
+ * - 'nup' puts `perSheet` pages on each sheet, in reading order;
+ * - 'booklet' puts two pages side by side on each side of folded sheets, ordered
+ *   for saddle stitching (see `bookletOrder`) and padded with blank pages;
+ * - 'crop' trims the margins of every page, keeping links and form fields;
+ * - 'resize' scales every page to fit the chosen paper size.
+ * Pages keep how they are shown, turned by their rotation and cut to their CropBox.
+ * Sheets are planned for the first page; other pages are fitted into the same cells.
+ * Crop takes `contentBoxes` in 'auto' mode (see `cropPages`). `onProgress`,
+ * `password`, `metadata` and `protection` work as in `compressPdf`.
+ */
+export async function layoutPdf(bytes, layout, { name = 'document.pdf', contentBoxes, password, metadata, protection, onProgress = () => {} } = {}) {
+  const error = validateLayout(layout);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const pdf = await loadPdf(bytes, { password });
+  const file = { index: 0, count: 1, name };
+  const newMetadata = outputMetadata(metadata, pdf);
+
+  if (layout.mode === 'crop') {
+    cropPages(pdf, layout, contentBoxes, page => onProgress({ file, page }));
+    return { bytes: await savePdf(pdf, { metadata: newMetadata, protection }), warnings: [] };
+  }
+
+  const flattenWarning = flattenBeforeEmbedding(pdf, name);
+  const warnings = flattenWarning ? [flattenWarning] : [];
+
+  const newPdf = await PDFDocument.create({ updateMetadata: false });
+  const sourcePages = pdf.getPages();
+  const sheetSize = resolveSheetSize(layout);
+  const draw = async (sheet, pageIndex, cell) => {
+    const sourcePage = sourcePages[pageIndex];
+    // A blank source page (no content stream) cannot be embedded
+    if (!sourcePage.node.Contents()) return;
+    // Embed only the visible part of the page, so cropped margins stay hidden
+    const { x, y, width, height } = sourcePage.getCropBox();
+    const [embeddedPage] = await newPdf.embedPages([sourcePage], [{ left: x, bottom: y, right: x + width, top: y + height }]);
+    drawUpright(sheet, embeddedPage, fitInCell(shownSize(sourcePage), cell), sourcePage.getRotation().angle % 360);
+  };
+
+  if (layout.mode === 'resize') {
+    for (const [i, sourcePage] of sourcePages.entries()) {
+      const size = shownSize(sourcePage);
+      const sheetDims = orientSheet(sheetSize, layout.orientation, size);
+      const sheet = newPdf.addPage(sheetDims);
+      const { clipArea } = placeOnSheet(size, sheetDims, { fit: 'fit', margin: layout.margin });
+      await draw(sheet, i, clipArea);
+      onProgress({ file, page: { index: i + 1, count: sourcePages.length } });
+    }
+    // Pages stay in order, so the bookmarks still point at the right ones
+    writeOutline(newPdf, readOutline(pdf));
+    return { bytes: await savePdf(newPdf, { metadata: newMetadata, protection }), warnings };
+  }
+
+  const perSheet = layout.mode === 'booklet' ? 2 : Number(layout.perSheet);
+  const plan = planNup(shownSize(sourcePages[0]), sheetSize, { ...layout, perSheet });
+  const sheets = layout.mode === 'booklet'
+    ? bookletOrder(sourcePages.length)
+    : Array.from({ length: Math.ceil(sourcePages.length / perSheet) }, (_, i) =>
+      sourcePages.slice(i * perSheet, (i + 1) * perSheet).map((_page, j) => i * perSheet + j));
+
+  for (const [i, pageIndices] of sheets.entries()) {
+    const sheet = newPdf.addPage(plan.sheet);
+    for (const [j, pageIndex] of pageIndices.entries()) {
+      if (pageIndex !== null) await draw(sheet, pageIndex, plan.cells[j]);
+    }
+    onProgress({ file, page: { index: i + 1, count: sheets.length } });
+  }
+  return { bytes: await savePdf(newPdf, { metadata: newMetadata, protection }), warnings };
+}
+
+/**
+ * The file name for a PDF laid out by `layoutPdf`, e.g. "handout-4up.pdf".
+ */
+export function layoutFileName(sourceName, layout) {
+  const suffix = layout.mode === 'nup' ? `${layout.perSheet}up` : LAYOUT_SUFFIXES[layout.mode];
+  return `${toFileSafe(sourceName.replace(/\.pdf$/i, ''))}-${suffix}.pdf`;
+}
+
+/**
+ * Validates redaction `areas` ([{ page, x, y, width, height }], see ./pdfRedact.js)
+ * for a PDF of `totalPages` pages and returns an error message or null if valid.
+ */
+export function validateRedaction(areas, totalPages) {
+  if (!Array.isArray(areas) || areas.length === 0) {
+    return 'Please mark at least one area to redact, or search for text to redact.';
+  }
+  for (const area of areas) {
+    if (!Number.isInteger(area.page) || area.page < 1 || area.page > totalPages) {
+      return `A redaction area is on page ${area.page}, but ${describePageCount(totalPages)}`;
+    }
+    if (![area.x, area.y, area.width, area.height].every(Number.isFinite) || !(area.width > 0 && area.height > 0)) {
+      return `A redaction area on page ${area.page} has no size.`;
+    }
+  }
+  return null; // Valid
+}
+
+/**
+ * Removes the text, images, annotations and form fields under `areas` (see
+ * `validateRedaction`), covers the areas with black boxes and resolves to
+ * { bytes, summary, pages }: `summary` counts what was removed (see `redactPages`)
+ * and `pages` lists the redacted pages as { page, rotation }. Images are kept without
+ * `removeImages` (see `redactPages`). `onProgress`, `password`, `metadata` and
+ * `protection` work as in `compressPdf`.
+ */
+export async function redactPdf(bytes, areas, { name = 'document.pdf', removeImages = true, password, metadata, protection, onProgress = () => {} } = {}) {
+  const pdf = await loadPdf(bytes, { password });
+  const error = validateRedaction(areas, pdf.getPageCount());
+  if (error) {
+    throw new Error(error);
+  }
+
+  const file = { index: 0, count: 1, name };
+  const summary = redactPages(pdf, areas, { removeImages, onProgress: page => onProgress({ file, page }) });
+  const pages = [...new Set(areas.map(area => area.page))]
+    .sort((a, b) => a - b)
+    .map(page => ({ page, rotation: pdf.getPage(page - 1).getRotation().angle }));
+
+  const output = await savePdf(pdf, { metadata: outputMetadata(metadata, pdf), protection, updateFieldAppearances: false });
+  return { bytes: output, summary, pages };
+}
+
+/**
+ * Replaces pages of a PDF with pictures of themselves, so nothing on them can be
+ * selected or extracted any more. `images` are [{ page, bytes }] with a 1-based page
+ * number and a JPEG of the page as shown; returns the new bytes. `onProgress`,
+ * `password`, `metadata` and `protection` work as in `compressPdf`.
+ */
+export async function rasterizePdfPages(bytes, images, { name = 'document.pdf', password, metadata, protection, onProgress = () => {} } = {}) {
+  const pdf = await loadPdf(bytes, { password });
+  const file = { index: 0, count: 1, name };
+
+  for (const [index, { page, bytes: jpeg }] of images.entries()) {
+    if (!Number.isInteger(page) || page < 1 || page > pdf.getPageCount()) {
+      throw new Error(`Page ${page} does not exist. ${describePageCount(pdf.getPageCount())}`);
+    }
+    rasterizePage(pdf, page - 1, await pdf.embedJpg(jpeg));
+    onProgress({ file, page: { index: index + 1, count: images.length } });
+  }
+
+  return savePdf(pdf, { metadata: outputMetadata(metadata, pdf), protection, updateFieldAppearances: false });
+}
+
+/**
+ * Bundles [{ fileName, bytes }] into a ZIP archive and returns its bytes.
+ * `onProgress` receives the percentage written so far.
+ */
+export async function zipFiles(files, { onProgress = () => {} } = {}) {
+  const zip = new JSZip();
+  files.forEach(file => zip.file(file.fileName, file.bytes));
+  return zip.generateAsync({ type: 'uint8array' }, metadata => onProgress(metadata.percent));
+}
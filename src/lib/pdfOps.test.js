@@ -0,0 +1,568 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PageSizes, degrees } from '@cantoo/pdf-lib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import JSZip from 'jszip';
+import {
+  parsePageInput,
+  validatePageInput,
+  parseGroupInput,
+  validateGroupInput,
+  validateSplitInput,
+  validateMergeOptions,
+  validateProtection,
+  validateImageDpi,
+  buildSplitGroups,
+  buildImageExports,
+  detectImageType,
+  formatStampText,
+  validateStamp,
+  stampPdf,
+  loadPdf,
+  getPageCount,
+  mergePdfs,
+  splitPdf,
+  zipFiles,
+  validateLayout,
+  layoutPdf,
+  layoutFileName,
+} from './pdfOps.js';
+import { WIDE_PNG } from './testFixtures.js';
+
+/**
+ * Creates a PDF whose pages have the given [width, height] sizes, each labelled
+ * with its page number.
+ */
+async function makePdf(sizes) {
+  const pdf = await PDFDocument.create();
+  sizes.forEach((size, i) => {
+    pdf.addPage(size).drawText(`Page ${i + 1}`, { x: 10, y: 10 });
+  });
+  return pdf.save();
+}
+
+// Page sizes whose widths count up from `base`, so page order can be checked from sizes
+const numbered = (count, base = 300) => Array.from({ length: count }, (_, i) => [base + i, 400]);
+
+async function pageSizes(bytes) {
+  const pdf = await PDFDocument.load(bytes);
+  return pdf.getPages().map(page => {
+    const { width, height } = page.getSize();
+    return [Math.round(width), Math.round(height)];
+  });
+}
+
+describe('parsePageInput', () => {
+  it('returns an empty list for empty input', () => {
+    expect(parsePageInput('', 5)).toEqual([]);
+    expect(parsePageInput('   ', 5)).toEqual([]);
+    expect(parsePageInput(undefined, 5)).toEqual([]);
+  });
+
+  it('parses single pages and ranges', () => {
+    expect(parsePageInput('1, 3-5, 10', 10)).toEqual([1, 3, 4, 5, 10]);
+    expect(parsePageInput(' 2 - 4 ', 10)).toEqual([2, 3, 4]);
+  });
+
+  it('keeps the order given, repeats included', () => {
+    expect(parsePageInput('5, 1-3, 2', 5)).toEqual([5, 1, 2, 3, 2]);
+    expect(parsePageInput('1, 1', 5)).toEqual([1, 1]);
+  });
+
+  it('supports open-ended ranges', () => {
+    expect(parsePageInput('4-', 6)).toEqual([4, 5, 6]);
+    expect(parsePageInput('-3', 6)).toEqual([1, 2, 3]);
+  });
+
+  it('supports last and last-N', () => {
+    expect(parsePageInput('last', 6)).toEqual([6]);
+    expect(parsePageInput('last-2', 6)).toEqual([4]);
+    expect(parsePageInput('last-2-last', 6)).toEqual([4, 5, 6]);
+    expect(parsePageInput('LAST - 1', 6)).toEqual([5]);
+  });
+
+  it('reverses descending ranges', () => {
+    expect(parsePageInput('5-1', 6)).toEqual([5, 4, 3, 2, 1]);
+    expect(parsePageInput('last-3', 3)).toBeNull();
+  });
+
+  it('selects odd and even pages', () => {
+    expect(parsePageInput('odd', 6)).toEqual([1, 3, 5]);
+    expect(parsePageInput('even', 5)).toEqual([2, 4]);
+  });
+
+  it('applies exclusions to the whole selection', () => {
+    expect(parsePageInput('1-8, !7', 10)).toEqual([1, 2, 3, 4, 5, 6, 8]);
+    expect(parsePageInput('!2-3, 1-4', 10)).toEqual([1, 4]);
+    expect(parsePageInput('!odd', 5)).toEqual([2, 4]);
+  });
+
+  it('returns null for invalid input', () => {
+    expect(parsePageInput('a', 5)).toBeNull();
+    expect(parsePageInput('1-b', 5)).toBeNull();
+    expect(parsePageInput('9', 5)).toBeNull();
+  });
+});
+
+describe('validatePageInput', () => {
+  it('accepts pages within range', () => {
+    expect(validatePageInput('1-3, 5', 5)).toBeNull();
+    expect(validatePageInput('last-1-1, even, !2', 5)).toBeNull();
+  });
+
+  it('asks for input when empty', () => {
+    expect(validatePageInput('', 5)).toBe('Please enter the pages you want to extract.');
+  });
+
+  it('quotes the entry that could not be read', () => {
+    expect(validatePageInput('1, 2;3', 5)).toBe('"2;3" is not a page, a range, "last", "odd" or "even" (e.g., 1, 3-5, 10-, last).');
+    expect(validatePageInput('1, --2', 5)).toMatch(/^"--2" is not a page/);
+    expect(validatePageInput('1, -', 5)).toMatch(/^"-" is not a page/);
+  });
+
+  it('allows spaces around dashes but not between pages', () => {
+    expect(parsePageInput('1 - 3', 20)).toEqual([1, 2, 3]);
+    expect(parsePageInput('1 2', 20)).toBeNull();
+    expect(validatePageInput('1 2', 20)).toBe('"1 2" has a space between pages. Separate pages with a comma (e.g., 1, 2).');
+  });
+
+  it('rejects stray commas and empty exclusions', () => {
+    expect(validatePageInput('1,,2', 5)).toBe('Invalid format. Check your input for extra commas.');
+    expect(validatePageInput('1,', 5)).toBe('Invalid format. Check your input for extra commas.');
+    expect(validatePageInput('1, !', 5)).toMatch(/must be followed/);
+  });
+
+  it('reports the page and entry that are out of range', () => {
+    expect(validatePageInput('0', 5)).toBe('Page 0 is out of range. This PDF has 5 pages.');
+    expect(validatePageInput('1, 6-7', 1)).toBe('Page 6 in "6-7" is out of range. This PDF has 1 page.');
+    expect(validatePageInput('last-9', 5)).toBe('Page -4 in "last-9" is out of range. This PDF has 5 pages.');
+  });
+
+  it('rejects selections that exclude every page', () => {
+    expect(validatePageInput('1-2, !1-2', 5)).toBe('No pages are left after the exclusions.');
+  });
+});
+
+describe('page groups', () => {
+  it('splits groups and keeps group names', () => {
+    expect(parseGroupInput('1-3; intro: 4-10; 11-')).toEqual([
+      { name: '', input: '1-3' },
+      { name: 'intro', input: '4-10' },
+      { name: '', input: '11-' },
+    ]);
+  });
+
+  it('points at the group that is invalid', () => {
+    expect(validateGroupInput('1-2; body: 9', 5)).toBe('Group body: Page 9 is out of range. This PDF has 5 pages.');
+    expect(validateGroupInput('1-2; 3-x', 5)).toMatch(/^Group 2: /);
+  });
+
+  it('validates each split mode', () => {
+    expect(validateSplitInput('each', { totalPages: 3 })).toBeNull();
+    expect(validateSplitInput('chunk', { chunkSize: '0', totalPages: 3 })).toMatch(/whole number/);
+    expect(validateSplitInput('chunk', { chunkSize: '2', totalPages: 3 })).toBeNull();
+    expect(validateSplitInput('arrange', { pages: [], totalPages: 3 })).toMatch(/deleted/);
+  });
+});
+
+describe('buildSplitGroups', () => {
+  it('names one file per page after the source', () => {
+    const groups = buildSplitGroups('each', { totalPages: 10, sourceName: 'Scan batch.pdf' });
+    expect(groups).toHaveLength(10);
+    expect(groups[0]).toEqual({ fileName: 'Scan-batch-page-01.pdf', pages: [1] });
+    expect(groups[9].fileName).toBe('Scan-batch-page-10.pdf');
+  });
+
+  it('chunks every N pages with a shorter last part', () => {
+    const groups = buildSplitGroups('chunk', { chunkSize: '4', totalPages: 10, sourceName: 'a.pdf' });
+    expect(groups.map(g => g.pages)).toEqual([[1, 2, 3, 4], [5, 6, 7, 8], [9, 10]]);
+    expect(groups.map(g => g.fileName)).toEqual(['a-part-1.pdf', 'a-part-2.pdf', 'a-part-3.pdf']);
+  });
+
+  it('uses group names when given', () => {
+    const groups = buildSplitGroups('groups', { range: 'cover: 1; 2-', totalPages: 3, sourceName: 'a.pdf' });
+    expect(groups).toEqual([
+      { fileName: 'a-cover.pdf', pages: [1] },
+      { fileName: 'a-part-2.pdf', pages: [2, 3] },
+    ]);
+  });
+
+  it('exports the grid selection in grid order with rotations', () => {
+    const pages = [
+      { index: 2, rotation: 90, selected: true },
+      { index: 0, rotation: 0, selected: false },
+      { index: 1, rotation: 0, selected: true },
+    ];
+    expect(buildSplitGroups('arrange', { pages, totalPages: 3, sourceName: 'a.pdf' })).toEqual([
+      { fileName: 'a-arranged.pdf', pages: [3, 2], rotations: [90, 0] },
+    ]);
+  });
+});
+
+describe('validateMergeOptions', () => {
+  const options = { pageSize: 'A4', customWidth: '210', customHeight: '297', fit: 'fit', margin: '0' };
+
+  it('accepts any options when pages are preserved', () => {
+    expect(validateMergeOptions('preserve', { ...options, margin: '' })).toBeNull();
+  });
+
+  it('checks custom sizes and margins', () => {
+    expect(validateMergeOptions('normalize', options)).toBeNull();
+    expect(validateMergeOptions('normalize', { ...options, pageSize: 'custom', customWidth: '0' })).toMatch(/custom page width/);
+    expect(validateMergeOptions('normalize', { ...options, margin: '-1' })).toMatch(/margin of 0 mm/);
+    expect(validateMergeOptions('normalize', { ...options, margin: '110' })).toMatch(/too large/);
+  });
+});
+
+describe('mergePdfs', () => {
+  it('copies pages in file order and keeps their sizes', async () => {
+    const a = await makePdf(numbered(2, 300));
+    const b = await makePdf([PageSizes.Letter, [842, 595]]);
+
+    const { bytes: merged } = await mergePdfs([{ name: 'a.pdf', bytes: a }, { name: 'b.pdf', bytes: b }]);
+
+    expect(merged).toBeInstanceOf(Uint8Array);
+    expect(await pageSizes(merged)).toEqual([[300, 400], [301, 400], [612, 792], [842, 595]]);
+  });
+
+  it('takes only the requested pages of each file, in the given order', async () => {
+    const a = await makePdf(numbered(5));
+    const { bytes: merged } = await mergePdfs([{ name: 'a.pdf', bytes: a, pageIndices: [4, 1] }]);
+    expect(await pageSizes(merged)).toEqual([[304, 400], [301, 400]]);
+  });
+
+  it('resolves per-file page ranges against each document', async () => {
+    const a = await makePdf(numbered(5));
+    const { bytes: merged } = await mergePdfs([{ name: 'a.pdf', bytes: a, range: 'last-1-, !5, 1' }]);
+    expect(await pageSizes(merged)).toEqual([[303, 400], [300, 400]]);
+
+    await expect(mergePdfs([{ name: 'a.pdf', bytes: a, range: '9' }]))
+      .rejects.toThrow('a.pdf: Page 9 is out of range. This PDF has 5 pages.');
+  });
+
+  it('interleaves the pages of each file in turn, reversing those asked for', async () => {
+    const fronts = await makePdf(numbered(3, 300));
+    const backs = await makePdf(numbered(2, 500));
+
+    const { bytes: merged } = await mergePdfs([
+      { name: 'fronts.pdf', bytes: fronts },
+      { name: 'backs.pdf', bytes: backs, reverse: true },
+    ], { order: 'interleave' });
+    expect(await pageSizes(merged)).toEqual([[300, 400], [501, 400], [301, 400], [500, 400], [302, 400]]);
+  });
+
+  it('normalizes every page onto sheets of the chosen size', async () => {
+    const a = await makePdf([[800, 400], PageSizes.Letter]);
+    const { bytes: merged } = await mergePdfs([{ name: 'a.pdf', bytes: a }], {
+      mode: 'normalize',
+      options: { pageSize: 'A4', fit: 'fill', margin: '10' },
+    });
+    expect(await pageSizes(merged)).toEqual([[595, 842], [595, 842]]);
+  });
+
+  it('turns sheets to the chosen orientation', async () => {
+    const a = await makePdf([[800, 400], PageSizes.Letter]);
+    const options = { pageSize: 'A4', fit: 'fit', margin: '0' };
+
+    const { bytes: landscape } = await mergePdfs([{ name: 'a.pdf', bytes: a }], { mode: 'normalize', options: { ...options, orientation: 'landscape' } });
+    expect(await pageSizes(landscape)).toEqual([[842, 595], [842, 595]]);
+
+    const { bytes: auto } = await mergePdfs([{ name: 'a.pdf', bytes: a }], { mode: 'normalize', options: { ...options, orientation: 'auto' } });
+    expect(await pageSizes(auto)).toEqual([[842, 595], [595, 842]]);
+  });
+
+  it('places images on sheets between copied PDF pages', async () => {
+    const a = await makePdf(numbered(1));
+    const options = { pageSize: 'Letter', orientation: 'auto', fit: 'fit', margin: '10' };
+    const { bytes: merged } = await mergePdfs([
+      { name: 'photo.png', bytes: WIDE_PNG },
+      { name: 'a.pdf', bytes: a },
+    ], { options });
+
+    expect(await pageSizes(merged)).toEqual([[792, 612], [300, 400]]);
+    await expect(mergePdfs([{ name: 'x.webp', bytes: new TextEncoder().encode('RIFF0000WEBPVP8 ') }], { options }))
+      .rejects.toThrow('x.webp: WebP images have to be converted to PNG first.');
+  });
+
+  it('reports progress per file and page', async () => {
+    const a = await makePdf(numbered(2));
+    const events = [];
+    await mergePdfs([{ name: 'a.pdf', bytes: a }, { name: 'b.pdf', bytes: a }], { onProgress: e => events.push(e) });
+    const last = events[events.length - 1];
+    expect(last.file).toEqual({ index: 1, count: 2, name: 'b.pdf' });
+    expect(last.page).toEqual({ index: 2, count: 2 });
+  });
+});
+
+describe('images', () => {
+  it('recognizes image types from their signature', () => {
+    expect(detectImageType(WIDE_PNG)).toBe('png');
+    expect(detectImageType(new Uint8Array([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpeg');
+    expect(detectImageType(new TextEncoder().encode('RIFF0000WEBPVP8 '))).toBe('webp');
+    expect(detectImageType(new TextEncoder().encode('%PDF-1.7'))).toBeNull();
+  });
+
+  it('validates the export resolution', () => {
+    expect(validateImageDpi('150')).toBeNull();
+    expect(validateImageDpi('')).toMatch(/between 36 and 600/);
+    expect(validateImageDpi('1200')).toMatch(/between 36 and 600/);
+    expect(validateImageDpi('72.5')).toMatch(/between 36 and 600/);
+  });
+
+  it('lists one image per exported page, numbering repeats', () => {
+    const groups = [{ fileName: 'splitted.pdf', pages: [12, 3, 3] }];
+    expect(buildImageExports(groups, { sourceName: 'Scan.pdf', format: 'jpeg' })).toEqual([
+      { fileName: 'Scan-page-12.jpg', page: 12, rotation: 0 },
+      { fileName: 'Scan-page-03.jpg', page: 3, rotation: 0 },
+      { fileName: 'Scan-page-03-2.jpg', page: 3, rotation: 0 },
+    ]);
+
+    const arranged = [{ fileName: 'a.pdf', pages: [2], rotations: [90] }];
+    expect(buildImageExports(arranged, { sourceName: 'a.pdf', format: 'png' }))
+      .toEqual([{ fileName: 'a-page-2.png', page: 2, rotation: 90 }]);
+  });
+});
+
+describe('splitPdf', () => {
+  it('writes one PDF per group with the right pages and rotations', async () => {
+    const source = await makePdf(numbered(6));
+    const groups = buildSplitGroups('chunk', { chunkSize: '4', totalPages: 6, sourceName: 'src.pdf' });
+    groups[1].rotations = [0, 90];
+
+    const outputs = await splitPdf(source, groups);
+
+    expect(outputs.map(o => o.fileName)).toEqual(['src-part-1.pdf', 'src-part-2.pdf']);
+    expect(await pageSizes(outputs[0].bytes)).toEqual([[300, 400], [301, 400], [302, 400], [303, 400]]);
+    expect(await getPageCount(outputs[1].bytes)).toBe(2);
+
+    const second = await PDFDocument.load(outputs[1].bytes);
+    expect(second.getPage(1).getRotation().angle).toBe(90);
+  });
+
+  it('bundles outputs into a ZIP archive', async () => {
+    const source = await makePdf(numbered(3));
+    const outputs = await splitPdf(source, buildSplitGroups('each', { totalPages: 3, sourceName: 'src.pdf' }));
+
+    const zip = await JSZip.loadAsync(await zipFiles(outputs));
+    expect(Object.keys(zip.files)).toEqual(['src-page-1.pdf', 'src-page-2.pdf', 'src-page-3.pdf']);
+    expect(await getPageCount(await zip.file('src-page-3.pdf').async('uint8array'))).toBe(1);
+  });
+});
+
+describe('stamps', () => {
+  const stamp = {
+    range: '',
+    watermark: 'text',
+    text: 'DRAFT',
+    fontSize: '40',
+    color: '#ff0000',
+    opacity: '30',
+    rotation: '45',
+    position: 'center',
+    imageScale: '40',
+    numbering: false,
+    template: 'ACME-{n:0000}',
+    start: '7',
+    placement: 'footer',
+    align: 'right',
+    numberSize: '10',
+  };
+
+  // A page drawn on by stampPdf gets one more content stream than it had
+  const contentCounts = async (bytes) => (await PDFDocument.load(bytes)).getPages()
+    .map(page => page.node.normalizedEntries().Contents.size());
+  const stampedPages = async (bytes, source) => {
+    const before = await contentCounts(source);
+    return (await contentCounts(bytes)).map((count, i) => (count > before[i] ? i + 1 : null)).filter(Boolean);
+  };
+
+  it('fills in page number templates', () => {
+    expect(formatStampText('ACME-{n:0000}', { n: 42, page: 3, total: 9 })).toBe('ACME-0042');
+    expect(formatStampText('Page {page} of {total} ({n})', { n: 1, page: 3, total: 9 })).toBe('Page 3 of 9 (1)');
+    expect(formatStampText('{x} {n:0}', { n: 12, page: 1, total: 1 })).toBe('{x} 12');
+  });
+
+  it('validates stamp settings', () => {
+    expect(validateStamp(stamp, 5)).toBeNull();
+    expect(validateStamp({ ...stamp, watermark: 'none' }, 5)).toBe('Please add a watermark, page numbers, or both.');
+    expect(validateStamp({ ...stamp, range: '9' }, 5)).toBe('Page 9 is out of range. This PDF has 5 pages.');
+    expect(validateStamp({ ...stamp, text: 'Привет' }, 5)).toMatch(/Latin letters/);
+    expect(validateStamp({ ...stamp, opacity: '150' }, 5)).toMatch(/opacity/);
+    expect(validateStamp({ ...stamp, watermark: 'image' }, 5)).toMatch(/choose an image/);
+    expect(validateStamp({ ...stamp, watermark: 'image' }, 5, { hasImage: true })).toBeNull();
+    expect(validateStamp({ ...stamp, numbering: true, start: '-1' }, 5)).toMatch(/starting number/);
+  });
+
+  it('stamps only the pages in the range', async () => {
+    const source = await makePdf(numbered(5));
+    const stamped = await stampPdf(source, { ...stamp, range: 'even, last', numbering: true });
+    expect(await stampedPages(stamped, source)).toEqual([2, 4, 5]);
+    expect(await pageSizes(stamped)).toEqual(await pageSizes(source));
+  });
+
+  it('uses an image or the first page of a PDF as the watermark', async () => {
+    const source = await makePdf(numbered(2));
+    const withImage = await stampPdf(source, { ...stamp, watermark: 'image' }, { image: WIDE_PNG });
+    expect(await stampedPages(withImage, source)).toEqual([1, 2]);
+
+    const withPdf = await stampPdf(source, { ...stamp, watermark: 'image', range: '2' }, { image: await makePdf([[100, 50]]) });
+    expect(await stampedPages(withPdf, source)).toEqual([2]);
+  });
+
+  it('places stamps inside the CropBox of cropped pages', async () => {
+    const pdf = await PDFDocument.load(await makePdf([[300, 400]]));
+    pdf.getPage(0).setCropBox(113, 113, 73, 173);
+    const stamped = await stampPdf(await pdf.save(), {
+      ...stamp,
+      fontSize: '10',
+      rotation: '0',
+      numbering: true,
+      template: 'P{n}',
+      start: '1',
+    });
+
+    const doc = await getDocument({ data: stamped.slice(0), verbosity: 0 }).promise;
+    const { items } = await (await doc.getPage(1)).getTextContent();
+    await doc.destroy();
+    ['DRAFT', 'P1'].forEach(text => {
+      const { transform: [, , , , x, y], width } = items.find(item => item.str === text);
+      expect(x).toBeGreaterThanOrEqual(113);
+      expect(x + width).toBeLessThanOrEqual(113 + 73);
+      expect(y).toBeGreaterThanOrEqual(113);
+      expect(y).toBeLessThanOrEqual(113 + 173);
+    });
+  });
+
+  it('writes an unencrypted copy of an unlocked file', async () => {
+    const source = await makePdf(numbered(1));
+    const [locked] = await splitPdf(source, [{ fileName: 'locked.pdf', pages: [1] }], { protection: { userPassword: 'open' } });
+
+    const stamped = await stampPdf(locked.bytes, stamp, { password: 'open' });
+    expect(await getPageCount(stamped)).toBe(1);
+  });
+});
+
+describe('encrypted PDFs', () => {
+  const protection = { userPassword: 'open-me', ownerPassword: 'owner', noPrint: true, noCopy: true, noModify: false };
+
+  it('asks for a password, rejects a wrong one and opens with the right one', async () => {
+    const source = await makePdf(numbered(2));
+    const [locked] = await splitPdf(source, [{ fileName: 'locked.pdf', pages: [1, 2] }], { protection });
+
+    await expect(loadPdf(locked.bytes)).rejects.toMatchObject({ code: 'PASSWORD_REQUIRED' });
+    await expect(loadPdf(locked.bytes, { password: 'nope' })).rejects.toMatchObject({ code: 'PASSWORD_INCORRECT' });
+    expect(await getPageCount(locked.bytes, { password: 'open-me' })).toBe(2);
+  });
+
+  it('merges encrypted inputs once they are unlocked', async () => {
+    const source = await makePdf(numbered(3));
+    const [locked] = await splitPdf(source, [{ fileName: 'locked.pdf', pages: [1, 2, 3] }], { protection });
+
+    const { bytes: merged } = await mergePdfs([{ name: 'locked.pdf', bytes: locked.bytes, password: 'owner', range: '3, 1' }]);
+    expect(await pageSizes(merged)).toEqual([[302, 400], [300, 400]]);
+  });
+
+  it('opens files that only restrict permissions without a password', async () => {
+    const source = await makePdf(numbered(1));
+    const { bytes: merged } = await mergePdfs([{ name: 'a.pdf', bytes: source }], {
+      protection: { ownerPassword: 'owner', noPrint: true },
+    });
+    expect(await getPageCount(merged)).toBe(1);
+  });
+
+  it('validates protection settings', () => {
+    expect(validateProtection(null)).toBeNull();
+    expect(validateProtection(protection)).toBeNull();
+    expect(validateProtection({ noPrint: true })).toMatch(/Please enter a password/);
+    expect(validateProtection({ userPassword: 'a', noCopy: true })).toMatch(/owner password/);
+    expect(validateProtection({ userPassword: 'a', ownerPassword: 'a' })).toMatch(/must differ/);
+  });
+});
+
+describe('layouts', () => {
+  const sheet = { pageSize: 'A4', customWidth: '', customHeight: '', orientation: 'auto', margin: '0', gutter: '0' };
+  const crop = { top: '0', right: '0', bottom: '0', left: '0' };
+
+  it('validates layout settings', () => {
+    expect(validateLayout({ ...sheet, mode: 'nup', perSheet: 4 })).toBeNull();
+    expect(validateLayout({ ...sheet, mode: 'nup', perSheet: 3 })).toMatch(/2, 4 or 9/);
+    expect(validateLayout({ ...sheet, mode: 'booklet', margin: '100', gutter: '20' })).toMatch(/too large/);
+    expect(validateLayout({ ...sheet, mode: 'resize', pageSize: 'custom' })).toMatch(/custom page width/);
+    expect(validateLayout({ ...sheet, mode: 'crop', cropMode: 'manual', crop })).toMatch(/at least one side/);
+    expect(validateLayout({ ...sheet, mode: 'crop', cropMode: 'auto', margin: '' })).toMatch(/margin/);
+    expect(layoutFileName('Handout.pdf', { mode: 'nup', perSheet: 4 })).toBe('Handout-4up.pdf');
+  });
+
+  it('puts several pages on each sheet', async () => {
+    const source = await makePdf(numbered(5, 595).map(() => [595, 842]));
+    const { bytes: output } = await layoutPdf(source, { ...sheet, mode: 'nup', perSheet: 2 });
+    expect(await pageSizes(output)).toEqual([[842, 595], [842, 595], [842, 595]]);
+    expect(await getPageCount((await layoutPdf(source, { ...sheet, mode: 'nup', perSheet: 4 })).bytes)).toBe(2);
+  });
+
+  it('imposes booklets on whole folded sheets', async () => {
+    const source = await makePdf(numbered(6, 595).map(() => [595, 842]));
+    const { bytes: output } = await layoutPdf(source, { ...sheet, mode: 'booklet' });
+    // Six pages are padded to eight: two sheets, printed on both sides
+    expect(await pageSizes(output)).toEqual(Array(4).fill([842, 595]));
+  });
+
+  it('resizes pages to the paper size and keeps rotated pages as they are shown', async () => {
+    const pdf = await PDFDocument.create();
+    pdf.addPage([300, 400]).drawText('Upright', { x: 10, y: 10 });
+    const turned = pdf.addPage([300, 400]);
+    turned.drawText('Turned', { x: 10, y: 10 });
+    turned.setRotation(degrees(90));
+
+    const { bytes: output } = await layoutPdf(await pdf.save(), { ...sheet, mode: 'resize', pageSize: 'Letter' });
+    expect(await pageSizes(output)).toEqual([[612, 792], [792, 612]]);
+
+    const doc = await getDocument({ data: output.slice(0), verbosity: 0 }).promise;
+    const { items } = await (await doc.getPage(2)).getTextContent();
+    await doc.destroy();
+    // The page was shown turned clockwise, so its text runs down the new sheet
+    const [a, b] = items.find(item => item.str === 'Turned').transform;
+    expect(Math.round(a)).toBe(0);
+    expect(b).toBeLessThan(0);
+  });
+
+  it('crops margins by hand or to the content found', async () => {
+    const source = await makePdf([[300, 400], [300, 400]]);
+    const { bytes: cropped, warnings } = await layoutPdf(source, {
+      ...sheet,
+      mode: 'crop',
+      cropMode: 'manual',
+      crop: { ...crop, top: '10', left: '5' },
+    });
+    expect(warnings).toEqual([]);
+    const manual = await PDFDocument.load(cropped);
+    const box = manual.getPage(0).getCropBox();
+    expect([box.x, box.y, box.width, box.height].map(Math.round)).toEqual([14, 0, 286, 372]);
+
+    const contentBoxes = [{ x: 0.1, y: 0.5, width: 0.5, height: 0.25 }, null];
+    const auto = await PDFDocument.load((await layoutPdf(source, { ...sheet, mode: 'crop', cropMode: 'auto', sameCrop: false }, { contentBoxes })).bytes);
+    const found = auto.getPage(0).getCropBox();
+    expect([found.x, found.y, found.width, found.height]).toEqual([30, 100, 150, 100]);
+    expect(auto.getPage(1).getCropBox()).toMatchObject({ width: 300, height: 400 });
+
+    await expect(layoutPdf(source, { ...sheet, mode: 'crop', cropMode: 'manual', crop: { ...crop, top: '200' } }))
+      .rejects.toThrow(/leaves nothing of page 1/);
+  });
+
+  it('lays out only the part of each page that its CropBox shows', async () => {
+    const source = await makePdf([[300, 400], [300, 400]]);
+    const margins = { top: '40', right: '40', bottom: '40', left: '40' };
+    const { bytes: cropped } = await layoutPdf(source, { ...sheet, mode: 'crop', cropMode: 'manual', crop: margins });
+    const { bytes: output } = await layoutPdf(cropped, { ...sheet, mode: 'nup', perSheet: 2 });
+
+    const forms = (await PDFDocument.load(output)).context.enumerateIndirectObjects()
+      .map(([, object]) => object)
+      .filter(object => object.dict && object.dict.get(PDFName.of('Subtype')) === PDFName.of('Form'));
+    expect(forms).toHaveLength(2);
+    forms.forEach(form => {
+      const bbox = form.dict.lookup(PDFName.of('BBox')).asArray().map(n => Math.round(n.asNumber()));
+      expect(bbox).toEqual([113, 113, 187, 287]);
+    });
+    // Narrow cropped pages show largest side by side on an upright sheet; whole pages would not
+    expect(await pageSizes(output)).toEqual([[595, 842]]);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Reading and writing of document outlines (bookmarks). pdf-lib has no outline API,
+ * so this works on the low-level outline dictionaries described in ISO 32000 §12.3.3.
+ *
+ * An outline is a tree of { title, pageIndex, view, children } where `pageIndex` is the
+ * 0-based page the bookmark opens (or null for a plain heading) and `view` is how the
+ * page is shown, e.g. ['XYZ', 72, 720, null] or ['Fit'].
+ */
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFNumber,
+  PDFNull,
+} from '@cantoo/pdf-lib';
+
+// Guards against cyclic or absurdly deep outlines in damaged files
+const MAX_DEPTH = 32;
+const MAX_ITEMS = 10000;
+
+const decodeText = value => (value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : '');
+
+/**
+ * Looks up `name` in a name tree (e.g. the /Dests tree of the /Names dictionary).
+ */
+function lookupNameTree(node, name, depth = 0) {
+  if (!(node instanceof PDFDict) || depth > MAX_DEPTH) {
+    return undefined;
+  }
+
+  const names = node.lookup(PDFName.of('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      if (decodeText(names.lookup(i)) === name) {
+        return names.lookup(i + 1);
+      }
+    }
+  }
+
+  const kids = node.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = lookupNameTree(kids.lookup(i), name, depth + 1);
+      if (found !== undefined) return found;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolves an explicit or named destination to a destination array.
+ */
+function resolveDestination(pdf, dest) {
+  if (dest instanceof PDFName || dest instanceof PDFString || dest instanceof PDFHexString) {
+    const name = dest.decodeText();
+    const catalog = pdf.catalog;
+
+    // PDF 1.1 style /Dests dictionary, then the PDF 1.2+ name tree
+    const dests = catalog.lookup(PDFName.of('Dests'));
+    let target = dests instanceof PDFDict ? dests.lookup(PDFName.of(name)) : undefined;
+    if (target === undefined) {
+      const names = catalog.lookup(PDFName.of('Names'));
+      if (names instanceof PDFDict) {
+        target = lookupNameTree(names.lookup(PDFName.of('Dests')), name);
+      }
+    }
+    if (target instanceof PDFDict) {
+      target = target.lookup(PDFName.of('D'));
+    }
+    return target instanceof PDFArray ? target : undefined;
+  }
+  return dest instanceof PDFArray ? dest : undefined;
+}
+
+/**
+ * Turns a destination array into { pageIndex, view }, or null if it points nowhere we know.
+ */
+function parseDestination(dest, pageIndexByRef) {
+  if (!dest || dest.size() === 0) {
+    return null;
+  }
+
+  const pageRef = dest.get(0);
+  const pageIndex = pageRef instanceof PDFRef ? pageIndexByRef.get(pageRef.toString()) : undefined;
+  if (pageIndex === undefined) {
+    return null;
+  }
+
+  const view = [];
+  for (let i = 1; i < dest.size(); i++) {
+    const value = dest.lookup(i);
+    if (value instanceof PDFName) view.push(value.decodeText());
+    else if (value instanceof PDFNumber) view.push(value.asNumber());
+    else view.push(null);
+  }
+  return { pageIndex, view: view.length > 0 ? view : ['Fit'] };
+}
+
+/**
+ * Reads the outline of a loaded PDF. Returns [] when it has none.
+ */
+export function readOutline(pdf) {
+  const outlines = pdf.catalog.lookup(PDFName.of('Outlines'));
+  if (!(outlines instanceof PDFDict)) {
+    return [];
+  }
+
+  const pageIndexByRef = new Map(pdf.getPages().map((page, i) => [page.ref.toString(), i]));
+  const seen = new Set();
+
+  const readItems = (parent, depth) => {
+    const items = [];
+    let item = parent.lookup(PDFName.of('First'));
+    while (item instanceof PDFDict && depth < MAX_DEPTH && seen.size < MAX_ITEMS && !seen.has(item)) {
+      seen.add(item);
+
+      let dest = item.lookup(PDFName.of('Dest'));
+      const action = item.lookup(PDFName.of('A'));
+      if (!dest && action instanceof PDFDict && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+        dest = action.lookup(PDFName.of('D'));
+      }
+      const target = parseDestination(resolveDestination(pdf, dest), pageIndexByRef);
+
+      items.push({
+        title: decodeText(item.lookup(PDFName.of('Title'))),
+        pageIndex: target ? target.pageIndex : null,
+        view: target ? target.view : null,
+        children: readItems(item, depth + 1),
+      });
+      item = item.lookup(PDFName.of('Next'));
+    }
+    return items;
+  };
+
+  return readItems(outlines, 0);
+}
+
+/**
+ * Maps every bookmark to a new page with `mapPageIndex(sourceIndex)`, which returns the
+ * new index or undefined if the page is gone. Bookmarks to pages that are gone are dropped
+ * and their surviving children move up to take their place.
+ */
+export function remapOutline(items, mapPageIndex) {
+  const result = [];
+  for (const item of items) {
+    const children = remapOutline(item.children, mapPageIndex);
+    const pageIndex = item.pageIndex === null ? undefined : mapPageIndex(item.pageIndex);
+
+    if (pageIndex !== undefined) {
+      result.push({ ...item, pageIndex, children });
+    } else if (item.pageIndex === null && children.length > 0) {
+      result.push({ ...item, children }); // A heading without a page of its own
+    } else {
+      result.push(...children);
+    }
+  }
+  return result;
+}
+
+/**
+ * Replaces the outline of `pdf` with `items`. Bookmarks start collapsed, and the
+ * document opens with the bookmarks panel showing.
+ */
+export function writeOutline(pdf, items) {
+  const { context, catalog } = pdf;
+  if (items.length === 0) {
+    catalog.delete(PDFName.of('Outlines'));
+    return;
+  }
+
+  const pages = pdf.getPages();
+  const rootRef = context.nextRef();
+
+  const writeItems = (list, parentRef) => {
+    const refs = list.map(() => context.nextRef());
+    list.forEach((item, i) => {
+      const dict = context.obj({
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef,
+      });
+      if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i < list.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+
+      if (item.pageIndex !== null && pages[item.pageIndex]) {
+        const [type, ...args] = item.view || ['Fit'];
+        const dest = context.obj([pages[item.pageIndex].ref, PDFName.of(type)]);
+        args.forEach(arg => dest.push(arg === null ? PDFNull : PDFNumber.of(arg)));
+        dict.set(PDFName.of('Dest'), dest);
+      }
+
+      if (item.children.length > 0) {
+        const childRefs = writeItems(item.children, refs[i]);
+        dict.set(PDFName.of('First'), childRefs[0]);
+        dict.set(PDFName.of('Last'), childRefs[childRefs.length - 1]);
+        dict.set(PDFName.of('Count'), PDFNumber.of(-item.children.length)); // Negative: collapsed
+      }
+
+      context.assign(refs[i], dict);
+    });
+    return refs;
+  };
+
+  const topRefs = writeItems(items, rootRef);
+  context.assign(rootRef, context.obj({
+    Type: 'Outlines',
+    First: topRefs[0],
+    Last: topRefs[topRefs.length - 1],
+    Count: topRefs.length,
+  }));
+  catalog.set(PDFName.of('Outlines'), rootRef);
+  catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
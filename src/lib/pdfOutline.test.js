@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFString } from '@cantoo/pdf-lib';
+import { readOutline, remapOutline, writeOutline } from './pdfOutline.js';
+import { mergePdfs, splitPdf } from './pdfOps.js';
+
+const bookmark = (title, pageIndex, children = []) => ({ title, pageIndex, view: ['Fit'], children });
+
+/**
+ * Creates a PDF with `pageCount` pages and the given outline.
+ */
+async function makePdfWithOutline(pageCount, outline) {
+  const pdf = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdf.addPage([300, 400]).drawText(`Page ${i + 1}`, { x: 10, y: 10 });
+  }
+  writeOutline(pdf, outline);
+  return pdf.save();
+}
+
+const titlesAndPages = items => items.map(item => [item.title, item.pageIndex, titlesAndPages(item.children)]);
+
+describe('outline round trip', () => {
+  it('reads back what was written, including views and nesting', async () => {
+    const bytes = await makePdfWithOutline(4, [
+      bookmark('Intro', 0),
+      { title: 'Part Ünïcode', pageIndex: 1, view: ['XYZ', 0, 400, null], children: [bookmark('Detail', 3)] },
+    ]);
+
+    const outline = readOutline(await PDFDocument.load(bytes));
+    expect(titlesAndPages(outline)).toEqual([['Intro', 0, []], ['Part Ünïcode', 1, [['Detail', 3, []]]]]);
+    expect(outline[1].view).toEqual(['XYZ', 0, 400, null]);
+  });
+
+  it('resolves named destinations', async () => {
+    const pdf = await PDFDocument.load(await makePdfWithOutline(3, [bookmark('Named', 0)]));
+    const dests = pdf.context.obj({ chapter: [pdf.getPage(2).ref, 'Fit'] });
+    pdf.catalog.set(PDFName.of('Dests'), dests);
+    const first = pdf.catalog.lookup(PDFName.of('Outlines')).lookup(PDFName.of('First'));
+    first.set(PDFName.of('Dest'), PDFString.of('chapter'));
+
+    expect(readOutline(pdf)[0].pageIndex).toBe(2);
+  });
+});
+
+describe('remapOutline', () => {
+  it('drops bookmarks to removed pages and promotes their children', () => {
+    const outline = [bookmark('A', 0, [bookmark('A1', 1), bookmark('A2', 2)]), bookmark('B', 3)];
+    const kept = new Map([[1, 0], [3, 1]]);
+
+    expect(titlesAndPages(remapOutline(outline, i => kept.get(i)))).toEqual([['A1', 0, []], ['B', 1, []]]);
+  });
+});
+
+describe('bookmarks in merge and split', () => {
+  it('nests each source outline under a bookmark named after the file', async () => {
+    const a = await makePdfWithOutline(2, [bookmark('A second', 1)]);
+    const b = await makePdfWithOutline(3, [bookmark('B first', 0), bookmark('B last', 2)]);
+
+    const { bytes: merged } = await mergePdfs([
+      { name: 'Invoice A.pdf', bytes: a },
+      { name: 'b.pdf', bytes: b, range: '3, 1' },
+    ]);
+
+    expect(titlesAndPages(readOutline(await PDFDocument.load(merged)))).toEqual([
+      ['Invoice A', 0, [['A second', 1, []]]],
+      ['b', 2, [['B first', 3, []], ['B last', 2, []]]],
+    ]);
+  });
+
+  it('moves bookmarks along with interleaved pages', async () => {
+    const fronts = await makePdfWithOutline(2, [bookmark('Back page', 1)]);
+    const backs = await makePdfWithOutline(2, [bookmark('Cover', 0)]);
+
+    const { bytes: merged } = await mergePdfs([
+      { name: 'fronts.pdf', bytes: fronts },
+      { name: 'backs.pdf', bytes: backs },
+    ], { order: 'interleave' });
+
+    expect(titlesAndPages(readOutline(await PDFDocument.load(merged)))).toEqual([
+      ['fronts', 0, [['Back page', 2, []]]],
+      ['backs', 1, [['Cover', 1, []]]],
+    ]);
+  });
+
+  it('keeps only bookmarks to pages each part keeps', async () => {
+    const source = await makePdfWithOutline(4, [bookmark('One', 0), bookmark('Three', 2, [bookmark('Four', 3)])]);
+
+    const [first, second] = await splitPdf(source, [
+      { fileName: 'a.pdf', pages: [1, 2] },
+      { fileName: 'b.pdf', pages: [4, 3] },
+    ]);
+
+    expect(titlesAndPages(readOutline(await PDFDocument.load(first.bytes)))).toEqual([['One', 0, []]]);
+    expect(titlesAndPages(readOutline(await PDFDocument.load(second.bytes)))).toEqual([['Three', 1, [['Four', 0, []]]]]);
+  });
+});
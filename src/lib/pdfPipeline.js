@@ -0,0 +1,188 @@
+/**
+ * Multi-step pipelines: the input files are combined into one document, then steps
+ * are applied one after another, each to the result of the one before. Steps are
+ * plain data, so a pipeline can be saved as a JSON recipe and run on other files.
+ *
+ * Steps (user-entered values are strings, as in the forms they come from):
+ * { type: 'remove', range }, { type: 'rotate', range, angle },
+ * { type: 'number', template, start, placement, align, size } and
+ * { type: 'compress', level }.
+ */
+import {
+  parsePageInput,
+  validatePageInput,
+  validateStamp,
+  getPageCount,
+  detectImageType,
+  mergePdfs,
+  splitPdf,
+  stampPdf,
+  compressPdf,
+} from './pdfOps.js';
+
+export const RECIPE_VERSION = 1;
+
+// Every step type with its default settings, which are also the fields a recipe keeps
+export const STEP_DEFAULTS = {
+  remove: { type: 'remove', range: '' },
+  rotate: { type: 'rotate', range: '', angle: 90 },
+  number: { type: 'number', template: 'Page {page} of {total}', start: '1', placement: 'footer', align: 'center', size: '10' },
+  compress: { type: 'compress', level: 'balanced' },
+};
+
+const COMPRESS_LEVELS = ['lossless', 'balanced', 'strong'];
+
+/**
+ * Turns a 'number' step into stamp settings (see `validateStamp`).
+ */
+function numberStamp(step) {
+  return {
+    range: '',
+    watermark: 'none',
+    numbering: true,
+    template: step.template,
+    start: step.start,
+    placement: step.placement,
+    align: step.align,
+    numberSize: step.size,
+  };
+}
+
+/**
+ * Validates a step against the document it would be applied to and returns an
+ * error message or null if valid.
+ */
+export function validateStep(step, pageCount) {
+  switch (step.type) {
+    case 'remove': {
+      if (!step.range.trim()) return 'Please enter the pages to remove.';
+      const error = validatePageInput(step.range, pageCount);
+      if (error) return error;
+      if (new Set(parsePageInput(step.range, pageCount)).size >= pageCount) return 'Removing these pages would leave none.';
+      return null;
+    }
+    case 'rotate':
+      if (![90, 180, 270].includes(step.angle)) return 'Please pick a rotation of 90, 180 or 270 degrees.';
+      return step.range.trim() ? validatePageInput(step.range, pageCount) : null;
+    case 'number':
+      return validateStamp(numberStamp(step), pageCount);
+    case 'compress':
+      return COMPRESS_LEVELS.includes(step.level) ? null : `Unknown compression level "${step.level}".`;
+    default:
+      return `Unknown step "${step.type}".`;
+  }
+}
+
+/**
+ * Describes a step in a few words, for the history list.
+ */
+export function describeStep(step) {
+  switch (step.type) {
+    case 'remove':
+      return `Remove pages ${step.range}`;
+    case 'rotate':
+      return `Rotate ${step.range.trim() ? `pages ${step.range}` : 'all pages'} by ${step.angle}°`;
+    case 'number':
+      return `Add page numbers "${step.template}"`;
+    default:
+      return `Compress (${step.level})`;
+  }
+}
+
+/**
+ * Combines the inputs of a pipeline ([{ name, bytes, password?, range? }], as for
+ * `mergePdfs`) into its starting document and returns its bytes. A single PDF is
+ * taken as it is, limited to its `range` and unlocked; anything else is merged in
+ * 'preserve' mode, with images placed on sheets as described by `options`.
+ */
+export async function combineInputs(inputs, { options, onProgress } = {}) {
+  if (inputs.length !== 1 || detectImageType(inputs[0].bytes)) {
+    // Pages are copied as they are, so nothing is left out that would need a warning
+    const merged = await mergePdfs(inputs, { options, onProgress });
+    return merged.bytes;
+  }
+
+  const { name, bytes, password, range } = inputs[0];
+  const pageCount = await getPageCount(bytes, { password });
+  if (range && range.trim()) {
+    const error = validatePageInput(range, pageCount);
+    if (error) {
+      throw new Error(`${name}: ${error}`);
+    }
+  }
+  const pages = range && range.trim()
+    ? parsePageInput(range, pageCount)
+    : Array.from({ length: pageCount }, (_, i) => i + 1);
+  const [output] = await splitPdf(bytes, [{ fileName: name, pages }], { password, onProgress });
+  return output.bytes;
+}
+
+/**
+ * Applies one step to a document and returns the new bytes. `encodeImage` is used
+ * by 'compress' steps (see `compressPdf`); `onProgress` works as in `mergePdfs`.
+ */
+export async function runStep(bytes, step, { name = 'document.pdf', encodeImage, onProgress } = {}) {
+  const pageCount = await getPageCount(bytes);
+  const error = validateStep(step, pageCount);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const allPages = Array.from({ length: pageCount }, (_, i) => i + 1);
+  switch (step.type) {
+    case 'remove': {
+      const removed = new Set(parsePageInput(step.range, pageCount));
+      const [output] = await splitPdf(bytes, [{ fileName: name, pages: allPages.filter(p => !removed.has(p)) }], { onProgress });
+      return output.bytes;
+    }
+    case 'rotate': {
+      const rotated = new Set(step.range.trim() ? parsePageInput(step.range, pageCount) : allPages);
+      const rotations = allPages.map(p => (rotated.has(p) ? step.angle : 0));
+      const [output] = await splitPdf(bytes, [{ fileName: name, pages: allPages, rotations }], { onProgress });
+      return output.bytes;
+    }
+    case 'number':
+      return stampPdf(bytes, numberStamp(step), { name, onProgress });
+    default:
+      return compressPdf(bytes, { name, level: step.level, encodeImage, onProgress });
+  }
+}
+
+/**
+ * Creates a recipe, ready for `JSON.stringify`, from a list of steps.
+ */
+export function createRecipe(steps) {
+  return { app: 'pdfsnap', version: RECIPE_VERSION, steps };
+}
+
+/**
+ * Reads the steps from the JSON text of a recipe. Missing settings get their
+ * defaults and unknown ones are dropped; values are checked when a step runs.
+ */
+export function parseRecipe(text) {
+  let recipe;
+  try {
+    recipe = JSON.parse(text);
+  } catch {
+    throw new Error('The recipe is not valid JSON.');
+  }
+  if (!recipe || recipe.app !== 'pdfsnap' || !Array.isArray(recipe.steps)) {
+    throw new Error('This is not a PDFSnap recipe.');
+  }
+  if (!(recipe.version <= RECIPE_VERSION)) {
+    throw new Error('This recipe was made by a newer version of PDFSnap.');
+  }
+
+  return recipe.steps.map((raw, index) => {
+    const defaults = raw && STEP_DEFAULTS[raw.type];
+    if (!defaults) {
+      throw new Error(`Step ${index + 1} of the recipe has an unknown type.`);
+    }
+    const step = {};
+    for (const [key, fallback] of Object.entries(defaults)) {
+      const value = raw[key] === undefined ? fallback : raw[key];
+      step[key] = typeof fallback === 'number' ? Number(value) : String(value);
+    }
+    return step;
+  });
+}
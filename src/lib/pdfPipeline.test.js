@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument } from '@cantoo/pdf-lib';
+import {
+  STEP_DEFAULTS,
+  validateStep,
+  describeStep,
+  combineInputs,
+  runStep,
+  createRecipe,
+  parseRecipe,
+} from './pdfPipeline.js';
+
+async function makePdf(pageCount, width = 300) {
+  const pdf = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    pdf.addPage([width, 400]).drawText(`Page ${i + 1}`);
+  }
+  return pdf.save();
+}
+
+describe('pipelines', () => {
+  it('validates steps against the current document', () => {
+    expect(validateStep({ ...STEP_DEFAULTS.remove, range: '2-3' }, 5)).toBeNull();
+    expect(validateStep(STEP_DEFAULTS.remove, 5)).toBe('Please enter the pages to remove.');
+    expect(validateStep({ ...STEP_DEFAULTS.remove, range: '1-last' }, 5)).toBe('Removing these pages would leave none.');
+    expect(validateStep({ ...STEP_DEFAULTS.rotate, range: '9' }, 5)).toMatch(/out of range/);
+    expect(validateStep({ ...STEP_DEFAULTS.rotate, angle: 45 }, 5)).toMatch(/90, 180 or 270/);
+    expect(validateStep(STEP_DEFAULTS.number, 5)).toBeNull();
+    expect(validateStep({ ...STEP_DEFAULTS.compress, level: 'extreme' }, 5)).toBe('Unknown compression level "extreme".');
+  });
+
+  it('describes steps', () => {
+    expect(describeStep({ ...STEP_DEFAULTS.remove, range: '2, 4' })).toBe('Remove pages 2, 4');
+    expect(describeStep(STEP_DEFAULTS.rotate)).toBe('Rotate all pages by 90°');
+  });
+
+  it('merges, removes, rotates, numbers and compresses in turn', async () => {
+    let bytes = await combineInputs([
+      { name: 'a.pdf', bytes: await makePdf(3, 300) },
+      { name: 'b.pdf', bytes: await makePdf(2, 500) },
+    ]);
+    bytes = await runStep(bytes, { ...STEP_DEFAULTS.remove, range: '2' });
+    bytes = await runStep(bytes, { ...STEP_DEFAULTS.rotate, range: 'last', angle: 180 });
+    bytes = await runStep(bytes, STEP_DEFAULTS.number);
+    bytes = await runStep(bytes, { ...STEP_DEFAULTS.compress, level: 'lossless' });
+
+    const pdf = await PDFDocument.load(bytes);
+    expect(pdf.getPages().map(page => page.getWidth())).toEqual([300, 300, 500, 500]);
+    expect(pdf.getPages().map(page => page.getRotation().angle)).toEqual([0, 0, 0, 180]);
+  });
+
+  it('takes a single PDF as it is, limited to its range', async () => {
+    const bytes = await combineInputs([{ name: 'a.pdf', bytes: await makePdf(4), range: '2-3' }]);
+    expect((await PDFDocument.load(bytes)).getPageCount()).toBe(2);
+  });
+
+  it('saves steps as a recipe and reads them back', () => {
+    const steps = [{ ...STEP_DEFAULTS.remove, range: '1' }, { ...STEP_DEFAULTS.rotate, angle: 270 }];
+    expect(parseRecipe(JSON.stringify(createRecipe(steps)))).toEqual(steps);
+
+    // Missing settings get their defaults, unknown ones are dropped
+    expect(parseRecipe('{"app":"pdfsnap","version":1,"steps":[{"type":"rotate","angle":"180","extra":1}]}'))
+      .toEqual([{ ...STEP_DEFAULTS.rotate, angle: 180 }]);
+  });
+
+  it('rejects files that are not recipes', () => {
+    expect(() => parseRecipe('not json')).toThrow('The recipe is not valid JSON.');
+    expect(() => parseRecipe('{"steps":[]}')).toThrow('This is not a PDFSnap recipe.');
+    expect(() => parseRecipe('{"app":"pdfsnap","version":2,"steps":[]}')).toThrow('newer version');
+    expect(() => parseRecipe('{"app":"pdfsnap","version":1,"steps":[{"type":"shred"}]}'))
+      .toThrow('Step 1 of the recipe has an unknown type.');
+  });
+});
@@ -0,0 +1,710 @@
+/**
+ * True redaction: what lies under a redaction area is taken out of the document,
+ * not just covered up. Text is cut from the content streams glyph by glyph, images
+ * that reach into an area are dropped, form XObjects are redacted in turn, and
+ * annotations and form fields over an area are deleted. Black boxes then mark the
+ * areas. Pages can also be replaced by a picture of themselves (`rasterizePage`).
+ *
+ * Areas are { page, x, y, width, height }: a 1-based page number and a rectangle in
+ * PDF user space, the unrotated coordinates the page content is drawn in.
+ */
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRawStream,
+  PDFNumber,
+  StandardFonts,
+  StandardFontEmbedder,
+  decodePDFRawStream,
+} from '@cantoo/pdf-lib';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Glyphs are taken to span this much of the font size below and above the baseline
+const GLYPH_BOTTOM = -0.2;
+const GLYPH_TOP = 0.8;
+
+// Form XObjects can nest, and broken files can make them loop
+const MAX_FORM_DEPTH = 8;
+
+// Common names of fonts that viewers replace with one of the standard 14
+const STANDARD_FONT_ALIASES = {
+  Arial: StandardFonts.Helvetica,
+  ArialMT: StandardFonts.Helvetica,
+  'Arial,Bold': StandardFonts.HelveticaBold,
+  'Arial-BoldMT': StandardFonts.HelveticaBold,
+  TimesNewRoman: StandardFonts.TimesRoman,
+  TimesNewRomanPSMT: StandardFonts.TimesRoman,
+  'TimesNewRoman,Bold': StandardFonts.TimesRomanBold,
+  'TimesNewRomanPS-BoldMT': StandardFonts.TimesRomanBold,
+  CourierNew: StandardFonts.Courier,
+  CourierNewPSMT: StandardFonts.Courier,
+};
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(c => c.charCodeAt(0)));
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const ESCAPES = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+
+/**
+ * Splits a content stream into operations: [{ operator, operands, start, end }],
+ * where `start` and `end` delimit the operation's source bytes. Operands are numbers,
+ * strings (Uint8Array), names ({ name }), arrays, dictionaries ({ dict }) and
+ * keywords ({ keyword }). Inline images become one 'BI' operation.
+ */
+export function parseContent(bytes) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < bytes.length) {
+      if (WHITESPACE.has(bytes[pos])) {
+        pos++;
+      } else if (bytes[pos] === 37) { // % comment
+        while (pos < bytes.length && bytes[pos] !== 10 && bytes[pos] !== 13) pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readRegular = () => {
+    const from = pos;
+    while (pos < bytes.length && !WHITESPACE.has(bytes[pos]) && !DELIMITERS.has(bytes[pos])) pos++;
+    return String.fromCharCode(...bytes.subarray(from, pos));
+  };
+
+  const readLiteralString = () => {
+    const out = [];
+    let depth = 1;
+    pos++; // (
+    while (pos < bytes.length) {
+      const byte = bytes[pos++];
+      if (byte === 92) { // backslash
+        const next = bytes[pos++];
+        const letter = String.fromCharCode(next);
+        if (ESCAPES[letter] !== undefined) {
+          out.push(ESCAPES[letter]);
+        } else if (next >= 48 && next <= 55) { // octal, up to three digits
+          let value = next - 48;
+          for (let i = 0; i < 2 && bytes[pos] >= 48 && bytes[pos] <= 55; i++) value = value * 8 + bytes[pos++] - 48;
+          out.push(value & 0xff);
+        } else if (next === 13) { // line continuation
+          if (bytes[pos] === 10) pos++;
+        } else if (next !== 10) {
+          out.push(next);
+        }
+      } else if (byte === 40) {
+        depth++;
+        out.push(byte);
+      } else if (byte === 41) {
+        if (--depth === 0) break;
+        out.push(byte);
+      } else {
+        out.push(byte);
+      }
+    }
+    return Uint8Array.from(out);
+  };
+
+  const readHexString = () => {
+    pos++; // <
+    let digits = '';
+    while (pos < bytes.length && bytes[pos] !== 62) {
+      if (!WHITESPACE.has(bytes[pos])) digits += String.fromCharCode(bytes[pos]);
+      pos++;
+    }
+    pos++; // >
+    if (digits.length % 2) digits += '0';
+    return Uint8Array.from(digits.match(/../g) || [], pair => parseInt(pair, 16));
+  };
+
+  // Reads one token: a value, an operator ({ operator }) or a closing bracket ({ close })
+  const readToken = () => {
+    skipSpace();
+    if (pos >= bytes.length) return null;
+    const byte = bytes[pos];
+    if (byte === 47) { // /name
+      pos++;
+      return { name: readRegular().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
+    }
+    if (byte === 40) return readLiteralString();
+    if (byte === 60) {
+      if (bytes[pos + 1] === 60) {
+        pos += 2;
+        const dict = new Map();
+        for (let key = readToken(); key && !key.close; key = readToken()) {
+          dict.set(key.name, readToken());
+        }
+        return { dict };
+      }
+      return readHexString();
+    }
+    if (byte === 91) {
+      pos++;
+      const array = [];
+      for (let value = readToken(); value && !value.close; value = readToken()) array.push(value);
+      return array;
+    }
+    if (byte === 93 || byte === 62) {
+      pos += byte === 62 && bytes[pos + 1] === 62 ? 2 : 1;
+      return { close: true };
+    }
+    if (byte === 123 || byte === 125 || byte === 41) {
+      pos++;
+      return { keyword: String.fromCharCode(byte) };
+    }
+    const word = readRegular();
+    if (NUMBER.test(word)) return Number(word);
+    if (word === 'true' || word === 'false' || word === 'null') return { keyword: word };
+    return { operator: word };
+  };
+
+  const ops = [];
+  let operands = [];
+  let start = null;
+  while (pos < bytes.length) {
+    skipSpace();
+    const tokenStart = pos;
+    const token = readToken();
+    if (token === null) break;
+    if (start === null) start = tokenStart;
+
+    if (token.operator === undefined) {
+      if (!token.close) operands.push(token);
+      continue;
+    }
+
+    const op = { operator: token.operator, operands, start, end: pos };
+    if (token.operator === 'BI') {
+      // Inline image: parameters up to ID, then binary data up to an EI between whitespace
+      const params = new Map();
+      for (let key = readToken(); key && key.operator !== 'ID'; key = readToken()) {
+        params.set(key.name, readToken());
+      }
+      pos++; // The single whitespace after ID
+      while (pos < bytes.length && !(WHITESPACE.has(bytes[pos - 1]) && bytes[pos] === 69 && bytes[pos + 1] === 73
+        && (pos + 2 >= bytes.length || WHITESPACE.has(bytes[pos + 2])))) pos++;
+      pos = Math.min(bytes.length, pos + 2);
+      op.operands = [{ dict: params }];
+      op.end = pos;
+    }
+    ops.push(op);
+    operands = [];
+    start = null;
+  }
+  return ops;
+}
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[1] * n[2],
+  m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2],
+  m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4],
+  m[4] * n[1] + m[5] * n[3] + n[5],
+];
+
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+// The axis-aligned bounds of a rectangle after transforming it by `m`
+function bounds(m, x0, y0, x1, y1) {
+  const corners = [apply(m, x0, y0), apply(m, x1, y0), apply(m, x0, y1), apply(m, x1, y1)];
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return { left: Math.min(...xs), bottom: Math.min(...ys), right: Math.max(...xs), top: Math.max(...ys) };
+}
+
+const insideAny = (areas, [x, y]) => areas.some(area =>
+  x >= area.x && x <= area.x + area.width && y >= area.y && y <= area.y + area.height);
+
+const overlapsAny = (areas, box) => areas.some(area =>
+  box.left < area.x + area.width && box.right > area.x && box.bottom < area.y + area.height && box.top > area.y);
+
+const numbersOf = (array, count) => {
+  if (!(array instanceof PDFArray) || array.size() < count) return null;
+  const values = array.asArray().slice(0, count).map(value => (value instanceof PDFNumber ? value.asNumber() : NaN));
+  return values.every(Number.isFinite) ? values : null;
+};
+
+const toBytes = text => Uint8Array.from(text, c => c.charCodeAt(0));
+
+const formatNumber = n => String(Math.round(n * 1000) / 1000);
+
+const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Joins byte arrays into one, each followed by a line break
+function joinLines(parts) {
+  const joined = new Uint8Array(parts.reduce((sum, part) => sum + part.length + 1, 0));
+  let offset = 0;
+  for (const part of parts) {
+    joined.set(part, offset);
+    joined[offset + part.length] = 10;
+    offset += part.length + 1;
+  }
+  return joined;
+}
+
+/**
+ * Returns the decoded data of a stream.
+ */
+function streamBytes(stream) {
+  if (stream instanceof PDFRawStream) {
+    return stream.dict.has(PDFName.of('Filter')) ? decodePDFRawStream(stream).decode() : stream.contents;
+  }
+  return stream.getUnencodedContents();
+}
+
+/**
+ * Widths of the glyphs of a standard 14 font (or a common stand-in for one) by code,
+ * for simple fonts that leave out their /Widths.
+ */
+function standardWidths(baseFont) {
+  const name = baseFont.replace(/^[A-Z]{6}\+/, ''); // Subset prefix
+  const standard = Object.values(StandardFonts).includes(name) ? name : STANDARD_FONT_ALIASES[name];
+  if (!standard) return null;
+
+  const embedder = StandardFontEmbedder.for(standard);
+  const widths = new Map();
+  for (const [code, glyphName] of Object.values(embedder.encoding.unicodeMappings)) {
+    widths.set(code, embedder.widthOfGlyph(glyphName));
+  }
+  return widths;
+}
+
+/**
+ * Reads what redaction needs to know about a font: how its strings split into glyph
+ * codes and how wide each glyph is, in thousandths of the font size.
+ */
+function loadFont(context, dict) {
+  const lookup = key => dict.lookup(PDFName.of(key));
+  const subtype = lookup('Subtype');
+
+  if (subtype === PDFName.of('Type0')) {
+    // Composite fonts: two-byte codes (as with Identity-H), widths in the descendant's /W
+    const descendants = lookup('DescendantFonts');
+    const descendant = descendants instanceof PDFArray ? context.lookupMaybe(descendants.get(0), PDFDict) : undefined;
+    const widths = new Map();
+    let defaultWidth = 1000;
+    if (descendant) {
+      const dw = descendant.lookup(PDFName.of('DW'));
+      if (dw instanceof PDFNumber) defaultWidth = dw.asNumber();
+      const w = descendant.lookup(PDFName.of('W'));
+      const items = w instanceof PDFArray ? w.asArray().map(item => context.lookup(item)) : [];
+      for (let i = 0; i < items.length;) {
+        const first = items[i] instanceof PDFNumber ? items[i].asNumber() : 0;
+        if (items[i + 1] instanceof PDFArray) {
+          items[i + 1].asArray().forEach((value, offset) => {
+            const width = context.lookup(value);
+            if (width instanceof PDFNumber) widths.set(first + offset, width.asNumber());
+          });
+          i += 2;
+        } else {
+          const last = items[i + 1] instanceof PDFNumber ? items[i + 1].asNumber() : first;
+          const width = items[i + 2] instanceof PDFNumber ? items[i + 2].asNumber() : defaultWidth;
+          for (let code = first; code <= last && code - first < 65536; code++) widths.set(code, width);
+          i += 3;
+        }
+      }
+    }
+    return {
+      codeLength: 2,
+      width: code => (widths.has(code) ? widths.get(code) : defaultWidth),
+    };
+  }
+
+  const firstChar = lookup('FirstChar');
+  const first = firstChar instanceof PDFNumber ? firstChar.asNumber() : 0;
+  const widthArray = lookup('Widths');
+  const widths = widthArray instanceof PDFArray ? widthArray.asArray().map(value => {
+    const width = context.lookup(value);
+    return width instanceof PDFNumber ? width.asNumber() : 0;
+  }) : null;
+  const descriptor = lookup('FontDescriptor');
+  const missing = descriptor instanceof PDFDict && descriptor.lookup(PDFName.of('MissingWidth')) instanceof PDFNumber
+    ? descriptor.lookup(PDFName.of('MissingWidth')).asNumber()
+    : 500;
+
+  // Type 3 glyphs are measured in their own glyph space
+  const fontMatrix = numbersOf(lookup('FontMatrix'), 6);
+  const scale = subtype === PDFName.of('Type3') && fontMatrix ? fontMatrix[0] * 1000 : 1;
+
+  const baseFont = lookup('BaseFont');
+  const standard = !widths && baseFont instanceof PDFName ? standardWidths(baseFont.decodeText()) : null;
+  return {
+    codeLength: 1,
+    width: (code) => {
+      if (widths && code >= first && code < first + widths.length) return widths[code - first] * scale;
+      if (standard && standard.has(code)) return standard.get(code);
+      return missing * scale;
+    },
+  };
+}
+
+/**
+ * Removes what lies under `areas` from a content stream drawn with `resources` and
+ * the transformation `ctm`. Returns null when nothing had to change, or { bytes,
+ * resources } with the new content and, when form XObjects were redacted, the new
+ * resources to draw it with (else null). `state` holds the font cache, the counts
+ * and whether to remove images.
+ */
+function redactContent(context, bytes, resources, ctm, areas, state, depth) {
+  const ops = parseContent(bytes);
+  const pieces = [];
+  const stack = [];
+  let gs = { ctm, font: null, fontSize: 0, charSpace: 0, wordSpace: 0, scale: 1, leading: 0, rise: 0 };
+  let tm = IDENTITY;
+  let tlm = IDENTITY;
+  let changed = false;
+  let ownResources = null; // Copies of `resources` and its XObjects, made on the first redacted form
+
+  const moveLine = (tx, ty) => {
+    tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  };
+
+  const lookupResource = (category, name) => {
+    const dict = resources && context.lookupMaybe(resources.get(PDFName.of(category)), PDFDict);
+    return dict && name ? dict.lookup(PDFName.of(name)) : undefined;
+  };
+
+  const resolveFont = (name) => {
+    const dict = lookupResource('Font', name);
+    if (!(dict instanceof PDFDict)) return null;
+    if (!state.fonts.has(dict)) state.fonts.set(dict, loadFont(context, dict));
+    return state.fonts.get(dict);
+  };
+
+  // Shows strings and TJ adjustments, returning the elements of a TJ array without
+  // the glyphs whose centre lies in an area, and how many were taken out
+  const showText = (elements) => {
+    const { font, fontSize, charSpace, wordSpace, scale, rise } = gs;
+    const codeLength = font ? font.codeLength : 1;
+    const kept = [];
+    let run = [];
+    let removed = 0;
+    const flushRun = () => {
+      if (run.length > 0) kept.push(Uint8Array.from(run));
+      run = [];
+    };
+    const pushAdjustment = (n) => {
+      flushRun();
+      if (typeof kept[kept.length - 1] === 'number') {
+        kept[kept.length - 1] += n;
+      } else {
+        kept.push(n);
+      }
+    };
+
+    for (const element of elements) {
+      if (typeof element === 'number') {
+        tm = multiply([1, 0, 0, 1, (-element / 1000) * fontSize * scale, 0], tm);
+        pushAdjustment(element);
+        continue;
+      }
+      if (!(element instanceof Uint8Array)) continue;
+
+      for (let i = 0; i + codeLength <= element.length; i += codeLength) {
+        const glyph = element.subarray(i, i + codeLength);
+        const code = codeLength === 2 ? (glyph[0] << 8) | glyph[1] : glyph[0];
+        const w0 = (font ? font.width(code) : 500) / 1000;
+        // Word spacing applies to the single-byte code 32 only
+        const spacing = charSpace + (codeLength === 1 && code === 32 ? wordSpace : 0);
+        const trm = multiply([fontSize * scale, 0, 0, fontSize, 0, rise], multiply(tm, gs.ctm));
+        const center = apply(trm, w0 / 2, (GLYPH_BOTTOM + GLYPH_TOP) / 2);
+
+        if (fontSize !== 0 && insideAny(areas, center)) {
+          // Keep the glyphs after it where they were, with an adjustment as wide as this one
+          pushAdjustment(-(w0 * 1000 + (spacing * 1000) / fontSize));
+          removed++;
+        } else {
+          run.push(...glyph);
+        }
+        tm = multiply([1, 0, 0, 1, (w0 * fontSize + spacing) * scale, 0], tm);
+      }
+    }
+    flushRun();
+    return { kept, removed };
+  };
+
+  for (const op of ops) {
+    const { operator, operands } = op;
+    const n = index => (typeof operands[index] === 'number' ? operands[index] : 0);
+    let replacement = null; // New source for the operation; '' drops it
+
+    switch (operator) {
+      case 'q':
+        stack.push({ ...gs });
+        break;
+      case 'Q':
+        if (stack.length > 0) gs = stack.pop();
+        break;
+      case 'cm':
+        if (operands.length === 6) gs.ctm = multiply(operands.map((_, i) => n(i)), gs.ctm);
+        break;
+      case 'BT':
+        tm = IDENTITY;
+        tlm = IDENTITY;
+        break;
+      case 'Tf':
+        gs.font = resolveFont(operands[0] && operands[0].name);
+        gs.fontSize = n(1);
+        break;
+      case 'Tc':
+        gs.charSpace = n(0);
+        break;
+      case 'Tw':
+        gs.wordSpace = n(0);
+        break;
+      case 'Tz':
+        gs.scale = n(0) / 100;
+        break;
+      case 'TL':
+        gs.leading = n(0);
+        break;
+      case 'Ts':
+        gs.rise = n(0);
+        break;
+      case 'Td':
+        moveLine(n(0), n(1));
+        break;
+      case 'TD':
+        gs.leading = -n(1);
+        moveLine(n(0), n(1));
+        break;
+      case 'Tm':
+        tlm = operands.length === 6 ? operands.map((_, i) => n(i)) : IDENTITY;
+        tm = tlm;
+        break;
+      case 'T*':
+        moveLine(0, -gs.leading);
+        break;
+      case 'Tj':
+      case 'TJ':
+      case "'":
+      case '"': {
+        let prefix = '';
+        if (operator === "'") {
+          moveLine(0, -gs.leading);
+          prefix = 'T*\n';
+        } else if (operator === '"') {
+          gs.wordSpace = n(0);
+          gs.charSpace = n(1);
+          moveLine(0, -gs.leading);
+          prefix = `${formatNumber(n(0))} Tw\n${formatNumber(n(1))} Tc\nT*\n`;
+        }
+        const last = operands[operands.length - 1];
+        const elements = operator === 'TJ' ? (Array.isArray(last) ? last : []) : [last];
+        const { kept, removed } = showText(elements);
+        if (removed > 0) {
+          state.counts.glyphs += removed;
+          const array = kept.map(element => (typeof element === 'number' ? formatNumber(element) : `<${toHex(element)}>`));
+          replacement = `${prefix}[${array.join(' ')}] TJ`;
+        }
+        break;
+      }
+      case 'Do': {
+        const name = operands[0] && operands[0].name;
+        const xObject = lookupResource('XObject', name);
+        if (!xObject || !xObject.dict) break;
+        const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+
+        if (subtype === PDFName.of('Image')) {
+          if (state.removeImages && overlapsAny(areas, bounds(gs.ctm, 0, 0, 1, 1))) {
+            replacement = '';
+            state.counts.images++;
+          }
+        } else if (subtype === PDFName.of('Form') && depth < MAX_FORM_DEPTH) {
+          const formRef = redactForm(context, xObject, resources, gs.ctm, areas, state, depth + 1);
+          if (formRef) {
+            if (!ownResources) {
+              ownResources = resources ? resources.clone(context) : context.obj({});
+              const xObjects = context.lookupMaybe(ownResources.get(PDFName.of('XObject')), PDFDict);
+              ownResources.set(PDFName.of('XObject'), xObjects ? xObjects.clone(context) : context.obj({}));
+            }
+            const xObjects = ownResources.get(PDFName.of('XObject'));
+            let newName = `${name}_redacted`;
+            for (let i = 2; xObjects.has(PDFName.of(newName)); i++) newName = `${name}_redacted${i}`;
+            xObjects.set(PDFName.of(newName), formRef);
+            replacement = `${PDFName.of(newName).toString()} Do`;
+          }
+        }
+        break;
+      }
+      case 'BI':
+        if (state.removeImages && overlapsAny(areas, bounds(gs.ctm, 0, 0, 1, 1))) {
+          replacement = '';
+          state.counts.images++;
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (replacement !== null) {
+      changed = true;
+      pieces.push(toBytes(replacement));
+    } else {
+      pieces.push(bytes.subarray(op.start, op.end));
+    }
+  }
+
+  if (!changed) return null;
+
+  return { bytes: joinLines(pieces), resources: ownResources };
+}
+
+/**
+ * Redacts a form XObject drawn with `ctm`. Forms can be shared between pages, so a
+ * redacted copy is made; returns its reference, or null when nothing had to change.
+ */
+function redactForm(context, form, parentResources, ctm, areas, state, depth) {
+  const matrix = numbersOf(form.dict.lookup(PDFName.of('Matrix')), 6) || IDENTITY;
+  const formCtm = multiply(matrix, ctm);
+  const bbox = numbersOf(form.dict.lookup(PDFName.of('BBox')), 4);
+  if (bbox && !overlapsAny(areas, bounds(formCtm, ...bbox))) return null;
+
+  const resources = context.lookupMaybe(form.dict.get(PDFName.of('Resources')), PDFDict) || parentResources;
+  const result = redactContent(context, streamBytes(form), resources, formCtm, areas, state, depth);
+  if (!result) return null;
+
+  const copy = context.flateStream(result.bytes);
+  const skipped = ['Length', 'Filter', 'DecodeParms'].map(key => PDFName.of(key));
+  for (const [key, value] of form.dict.entries()) {
+    if (!skipped.includes(key)) copy.dict.set(key, value);
+  }
+  if (result.resources) copy.dict.set(PDFName.of('Resources'), result.resources);
+  return context.register(copy);
+}
+
+/**
+ * Deletes form fields with a widget on `page` over one of `areas` (or anywhere on
+ * the page without `areas`), together with their values. Returns the number deleted.
+ */
+function removeFields(pdf, page, areas) {
+  if (!pdf.catalog.getAcroForm()) return 0;
+
+  const form = pdf.getForm();
+  let removed = 0;
+  for (const field of form.getFields()) {
+    const onPage = field.acroField.getWidgets().some((widget) => {
+      const ref = pdf.context.getObjectRef(widget.dict);
+      const annots = page.node.Annots();
+      const rect = widget.getRectangle();
+      return annots && annots.asArray().includes(ref)
+        && (!areas || overlapsAny(areas, { left: rect.x, bottom: rect.y, right: rect.x + rect.width, top: rect.y + rect.height }));
+    });
+    if (onPage) {
+      form.removeField(field);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Deletes the annotations of `page` over one of `areas` (or all of them without
+ * `areas`), with the pop-ups that belong to them. Returns the number deleted.
+ */
+function removeAnnotations(pdf, page, areas) {
+  const annots = page.node.Annots();
+  if (!annots) return 0;
+
+  const entries = annots.asArray().map(ref => ({ ref, dict: pdf.context.lookupMaybe(ref, PDFDict) }));
+  const removed = new Set(entries
+    .filter(({ dict }) => {
+      if (!areas) return true;
+      const rect = dict && numbersOf(dict.lookup(PDFName.of('Rect')), 4);
+      return rect && overlapsAny(areas, {
+        left: Math.min(rect[0], rect[2]),
+        bottom: Math.min(rect[1], rect[3]),
+        right: Math.max(rect[0], rect[2]),
+        top: Math.max(rect[1], rect[3]),
+      });
+    })
+    .map(({ ref }) => ref));
+  entries.forEach(({ ref, dict }) => {
+    if (dict && removed.has(dict.get(PDFName.of('Parent')))) removed.add(ref);
+  });
+
+  const kept = entries.filter(({ ref }) => !removed.has(ref)).map(({ ref }) => ref);
+  page.node.set(PDFName.of('Annots'), pdf.context.obj(kept));
+  return removed.size;
+}
+
+/**
+ * Returns the decoded content of a page, all its content streams joined.
+ */
+function pageContent(pdf, page) {
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(ref => pdf.context.lookup(ref))
+    : [contents].filter(Boolean);
+  return joinLines(streams.map(streamBytes));
+}
+
+/**
+ * Removes what lies under `areas` from the pages of a loaded document and marks the
+ * areas with black boxes. Data that could repeat the removed text, the structure
+ * tree of tagged PDFs and page thumbnails, is dropped too. Without `removeImages`
+ * images are kept, for pages that are rasterized afterwards (see `rasterizePage`) and
+ * so only lose the parts of images under the boxes. `onProgress` receives the
+ * { index, count } of pages done. Returns how much was removed: { glyphs, images,
+ * annotations, fields }.
+ */
+export function redactPages(pdf, areas, { removeImages = true, onProgress = () => {} } = {}) {
+  const { context } = pdf;
+  const state = { fonts: new Map(), removeImages, counts: { glyphs: 0, images: 0, annotations: 0, fields: 0 } };
+  const pageNumbers = [...new Set(areas.map(area => area.page))].sort((a, b) => a - b);
+
+  pageNumbers.forEach((pageNumber, index) => {
+    const page = pdf.getPage(pageNumber - 1);
+    const pageAreas = areas.filter(area => area.page === pageNumber);
+
+    state.counts.fields += removeFields(pdf, page, pageAreas);
+    state.counts.annotations += removeAnnotations(pdf, page, pageAreas);
+
+    const resources = page.node.Resources();
+    const result = redactContent(context, pageContent(pdf, page), resources, IDENTITY, pageAreas, state, 0);
+    if (result && result.resources) {
+      page.node.set(PDFName.of('Resources'), result.resources);
+    }
+
+    // The original content is wrapped in q/Q so the boxes are drawn in plain page space
+    const boxes = pageAreas
+      .map(area => `${[area.x, area.y, area.width, area.height].map(formatNumber).join(' ')} re f`)
+      .join('\n');
+    const content = result ? result.bytes : pageContent(pdf, page);
+    const wrapped = joinLines([toBytes('q'), content, toBytes(`Q\nq 0 g\n${boxes}\nQ`)]);
+    page.node.set(PDFName.of('Contents'), context.register(context.flateStream(wrapped)));
+    page.node.delete(PDFName.of('Thumb'));
+    page.node.delete(PDFName.of('PieceInfo'));
+
+    onProgress({ index: index + 1, count: pageNumbers.length });
+  });
+
+  if (pageNumbers.length > 0) {
+    pdf.catalog.delete(PDFName.of('StructTreeRoot'));
+    pdf.catalog.delete(PDFName.of('MarkInfo'));
+  }
+  return state.counts;
+}
+
+/**
+ * Replaces everything on a page (0-based `pageIndex`) with `image`, an embedded
+ * picture of the page's visible area, so nothing on it remains as text or vectors.
+ * Its annotations and form fields are deleted.
+ */
+export function rasterizePage(pdf, pageIndex, image) {
+  const page = pdf.getPage(pageIndex);
+  const { x, y, width, height } = page.getCropBox();
+
+  removeFields(pdf, page, null);
+  removeAnnotations(pdf, page, null);
+
+  const content = `q ${[width, 0, 0, height, x, y].map(formatNumber).join(' ')} cm /Raster Do Q`;
+  page.node.set(PDFName.of('Contents'), pdf.context.register(pdf.context.flateStream(content)));
+  page.node.set(PDFName.of('Resources'), pdf.context.obj({ XObject: { Raster: image.ref } }));
+  page.node.delete(PDFName.of('Thumb'));
+  page.node.delete(PDFName.of('PieceInfo'));
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, StandardFonts, PDFName, PDFHexString, decodePDFRawStream } from '@cantoo/pdf-lib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { parseContent, rasterizePage } from './pdfRedact.js';
+import { redactPdf, rasterizePdfPages, validateRedaction } from './pdfOps.js';
+import { WIDE_PNG } from './testFixtures.js';
+
+// A 1 x 1 pixel white JPEG
+const WHITE_JPEG = Uint8Array.from(atob('/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA='), c => c.charCodeAt(0));
+
+const EMAIL_LINE = 'Contact: jane.doe@example.com today';
+
+/**
+ * Creates a one-page PDF with a line holding an email address and a line below it.
+ * Returns the bytes and the redaction area of the email address.
+ */
+async function makeLetter() {
+  const pdf = await PDFDocument.create();
+  const page = pdf.addPage([400, 400]);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  page.drawText(EMAIL_LINE, { x: 20, y: 300, size: 12, font });
+  page.drawText('Kind regards', { x: 20, y: 200, size: 12, font });
+  const area = {
+    page: 1,
+    x: 20 + font.widthOfTextAtSize('Contact: ', 12),
+    y: 297,
+    width: font.widthOfTextAtSize('jane.doe@example.com', 12),
+    height: 12,
+  };
+  return { bytes: await pdf.save(), area };
+}
+
+// The text pdf.js extracts from the first page, as [text, x] per item
+async function extractText(bytes) {
+  const doc = await getDocument({ data: bytes.slice(0), verbosity: 0 }).promise;
+  try {
+    const { items } = await (await doc.getPage(1)).getTextContent();
+    return items.filter(item => item.str.trim()).map(item => [item.str, Math.round(item.transform[4])]);
+  } finally {
+    await doc.destroy();
+  }
+}
+
+describe('parseContent', () => {
+  it('splits content into operations with their operands and source', () => {
+    const source = '1 0 0 1 20 30 cm BT /F1 12 Tf (a\\(b\\)) Tj [<0041> -250 (c)] TJ ET';
+    const ops = parseContent(new TextEncoder().encode(source));
+    expect(ops.map(op => op.operator)).toEqual(['cm', 'BT', 'Tf', 'Tj', 'TJ', 'ET']);
+    expect(ops[2].operands).toEqual([{ name: 'F1' }, 12]);
+    expect(new TextDecoder().decode(ops[3].operands[0])).toBe('a(b)');
+    expect(ops[4].operands[0]).toEqual([Uint8Array.of(0, 0x41), -250, Uint8Array.of(99)]);
+    expect(source.slice(ops[0].start, ops[0].end)).toBe('1 0 0 1 20 30 cm');
+  });
+
+  it('reads inline images as one operation', () => {
+    const ops = parseContent(new TextEncoder().encode('q BI /W 1 /H 1 /BPC 8 /CS /G ID xEIx EI Q'));
+    expect(ops.map(op => op.operator)).toEqual(['q', 'BI', 'Q']);
+    expect(ops[1].operands[0].dict.get('W')).toBe(1);
+  });
+});
+
+describe('redactPdf', () => {
+  it('removes the text under an area and keeps the rest where it was', async () => {
+    const { bytes, area } = await makeLetter();
+    const { bytes: redacted, summary, pages } = await redactPdf(bytes, [area]);
+
+    expect(summary).toEqual({ glyphs: 20, images: 0, annotations: 0, fields: 0 });
+    expect(pages).toEqual([{ page: 1, rotation: 0 }]);
+    const text = await extractText(redacted);
+    expect(text.map(([str]) => str).join(' ')).not.toContain('@');
+    expect(text).toContainEqual(['Kind regards', 20]);
+    expect(text.find(([str]) => str.includes('today'))[1]).toBeCloseTo(area.x + area.width, -1);
+
+    // Nothing of the old content stream is left in the file
+    expect(new TextDecoder('latin1').decode(redacted)).not.toContain('jane');
+  });
+
+  it('removes images that reach into an area and keeps the others', async () => {
+    const pdf = await PDFDocument.create();
+    const page = pdf.addPage([400, 400]);
+    const image = await pdf.embedPng(WIDE_PNG);
+    page.drawImage(image, { x: 10, y: 10, width: 100, height: 50 });
+    page.drawImage(image, { x: 200, y: 200, width: 100, height: 50 });
+
+    const { bytes, summary } = await redactPdf(await pdf.save(), [{ page: 1, x: 90, y: 40, width: 30, height: 30 }]);
+    expect(summary.images).toBe(1);
+    const content = (await PDFDocument.load(bytes)).getPage(0).node.Contents();
+    const text = new TextDecoder().decode(decodePDFRawStream(content).decode());
+    expect(text.match(/ Do/g)).toHaveLength(1);
+
+    // Pages that are rasterized afterwards keep their images
+    const kept = await redactPdf(await pdf.save(), [{ page: 1, x: 90, y: 40, width: 30, height: 30 }], { removeImages: false });
+    expect(kept.summary.images).toBe(0);
+  });
+
+  it('removes the form fields and annotations over an area', async () => {
+    const pdf = await PDFDocument.create();
+    const page = pdf.addPage([400, 400]);
+    const form = pdf.getForm();
+    const secret = form.createTextField('secret');
+    secret.setText('1234-5678');
+    secret.addToPage(page, { x: 10, y: 300, width: 100, height: 20 });
+    form.createTextField('other').addToPage(page, { x: 10, y: 100, width: 100, height: 20 });
+    page.node.addAnnot(pdf.context.register(pdf.context.obj({
+      Type: 'Annot', Subtype: 'Text', Rect: [50, 305, 60, 315], Contents: pdf.context.obj('Note'),
+    })));
+
+    const { bytes, summary } = await redactPdf(await pdf.save(), [{ page: 1, x: 0, y: 290, width: 200, height: 40 }]);
+    expect(summary).toMatchObject({ fields: 1, annotations: 1 });
+    const result = await PDFDocument.load(bytes);
+    expect(result.getForm().getFields().map(field => field.getName())).toEqual(['other']);
+    expect(result.getPage(0).node.Annots().size()).toBe(1);
+    expect(new TextDecoder('latin1').decode(bytes)).not.toContain('1234-5678');
+  });
+
+  it('redacts text drawn by form XObjects', async () => {
+    const { bytes: letter, area } = await makeLetter();
+    const pdf = await PDFDocument.create();
+    const [embedded] = await pdf.embedPdf(letter, [0]);
+    pdf.addPage([400, 400]).drawPage(embedded, { x: 0, y: 0 });
+
+    const { bytes, summary } = await redactPdf(await pdf.save(), [area]);
+    expect(summary.glyphs).toBe(20);
+    const text = (await extractText(bytes)).map(([str]) => str).join(' ');
+    expect(text).not.toContain('@');
+    expect(text).toContain('Kind regards');
+  });
+
+  it('validates the areas', async () => {
+    expect(validateRedaction([], 2)).toMatch(/at least one area/);
+    expect(validateRedaction([{ page: 3, x: 0, y: 0, width: 10, height: 10 }], 2)).toMatch(/page 3/);
+    expect(validateRedaction([{ page: 1, x: 0, y: 0, width: 0, height: 10 }], 2)).toMatch(/no size/);
+    const { bytes } = await makeLetter();
+    await expect(redactPdf(bytes, [])).rejects.toThrow(/at least one area/);
+  });
+});
+
+describe('rasterizePage', () => {
+  it('replaces a page with an image of it', async () => {
+    const { bytes } = await makeLetter();
+    const pdf = await PDFDocument.load(bytes);
+    rasterizePage(pdf, 0, await pdf.embedJpg(WHITE_JPEG));
+    expect(pdf.getPage(0).node.Resources().lookup(PDFName.of('Font'))).toBeUndefined();
+
+    const rasterized = await rasterizePdfPages(bytes, [{ page: 1, bytes: WHITE_JPEG }]);
+    expect(await extractText(rasterized)).toEqual([]);
+    await expect(rasterizePdfPages(bytes, [{ page: 2, bytes: WHITE_JPEG }])).rejects.toThrow(/Page 2/);
+  });
+
+  it('deletes the form fields on the page with their values', async () => {
+    const pdf = await PDFDocument.create();
+    const page = pdf.addPage([400, 400]);
+    const field = pdf.getForm().createTextField('ssn');
+    field.setText('123-45-6789');
+    field.addToPage(page, { x: 20, y: 300, width: 200, height: 20 });
+
+    const rasterized = await PDFDocument.load(await rasterizePdfPages(await pdf.save(), [{ page: 1, bytes: WHITE_JPEG }]));
+    expect(rasterized.getForm().getFields()).toEqual([]);
+    // Object streams are compressed, so look for the value in the objects themselves
+    const value = ['123-45-6789', PDFHexString.fromText('123-45-6789').toString().slice(1, -1)];
+    const objects = rasterized.context.enumerateIndirectObjects().map(([, object]) => String(object));
+    expect(objects.some(object => value.some(form => object.includes(form)))).toBe(false);
+  });
+});
@@ -0,0 +1,165 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { findContentBox } from './pdfLayout';
+
+// The pdf.js worker is bundled with the app, so rendering never touches the network.
+pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+
+/**
+ * Opens a PDF for rendering with the bundled pdf.js build, decrypting it with `password`
+ * if needed. The bytes are copied because pdf.js takes ownership of the buffer it is given.
+ */
+export async function openForRendering(bytes, password) {
+  return pdfjsLib.getDocument({
+    data: bytes.slice(0),
+    password,
+    isEvalSupported: false,
+  }).promise;
+}
+
+/**
+ * Renders one page (1-based) of an opened document to a JPEG object URL,
+ * `width` pixels wide. The caller is responsible for revoking the URL.
+ */
+export async function renderPageThumbnail(pdf, pageNumber, width = 160) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  page.cleanup();
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+  return URL.createObjectURL(blob);
+}
+
+/**
+ * Renders one page (1-based) of an opened document at `dpi` as PNG or JPEG bytes
+ * (`format` 'png' or 'jpeg'), turned by an extra clockwise `rotation` in degrees.
+ */
+export async function renderPageImage(pdf, pageNumber, { dpi, format, rotation = 0 }) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: dpi / 72, rotation: (page.rotate + rotation) % 360 });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const context = canvas.getContext('2d');
+
+  // JPEG has no transparency, so give pages without a background a white one
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, `image/${format}`, 0.92));
+  canvas.width = 0; // Release the bitmap memory right away
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Renders one page (1-based) of an opened document onto a white canvas, `width`
+ * pixels wide, and returns the canvas. `rotation` replaces the page's own rotation
+ * (0 renders it unturned).
+ */
+export async function renderPageCanvas(pdf, pageNumber, width, { rotation } = {}) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1, rotation }).width, rotation });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+  return canvas;
+}
+
+/**
+ * Renders one page (1-based) of an opened document as it is shown, `width` pixels
+ * wide, for marking areas on it. Returns { url, width, height, toPdfPoint,
+ * toViewPoint }: a JPEG object URL the caller revokes, the render's size, and
+ * converters between its pixels and the page's PDF user space.
+ */
+export async function renderPageView(pdf, pageNumber, width) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+  canvas.width = 0;
+  return {
+    url: URL.createObjectURL(blob),
+    width: viewport.width,
+    height: viewport.height,
+    toPdfPoint: (x, y) => viewport.convertToPdfPoint(x, y),
+    toViewPoint: (x, y) => viewport.convertToViewportPoint(x, y),
+  };
+}
+
+/**
+ * Returns the text of one page (1-based) of an opened document, or '' for pages
+ * without extractable text, such as scans.
+ */
+export async function extractPageText(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  const { items } = await page.getTextContent();
+  page.cleanup();
+  return items.map(item => (item.hasEOL ? `${item.str}\n` : item.str)).join(' ');
+}
+
+/**
+ * Renders `exports` ([{ fileName, page, rotation }], see `buildImageExports`) of a PDF
+ * to images and returns [{ fileName, bytes }]. Stops with an AbortError when `signal`
+ * is aborted; `onProgress` receives the 0-based index and count of pages rendered.
+ */
+export async function renderPageImages(bytes, password, exports, { dpi, format, signal, onProgress = () => {} }) {
+  const pdf = await openForRendering(bytes, password);
+  try {
+    const outputs = [];
+    for (let i = 0; i < exports.length; i++) {
+      signal.throwIfAborted();
+      const { fileName, page, rotation } = exports[i];
+      outputs.push({ fileName, bytes: await renderPageImage(pdf, page, { dpi, format, rotation }) });
+      onProgress({ index: i + 1, count: exports.length });
+    }
+    return outputs;
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * Finds the content of every page of a PDF (see `findContentBox`) on renders
+ * `width` pixels wide, unturned by the pages' rotation, for cropping them. Returns
+ * one box or null per page; `signal` and `onProgress` work as in `renderPageImages`.
+ */
+export async function detectContentBoxes(bytes, password, { width = 300, signal, onProgress = () => {} }) {
+  const pdf = await openForRendering(bytes, password);
+  try {
+    const boxes = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      signal.throwIfAborted();
+      const canvas = await renderPageCanvas(pdf, pageNumber, width, { rotation: 0 });
+      boxes.push(findContentBox(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)));
+      canvas.width = 0;
+      onProgress({ index: pageNumber, count: pdf.numPages });
+    }
+    return boxes;
+  } finally {
+    pdf.destroy();
+  }
+}
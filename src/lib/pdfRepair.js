@@ -0,0 +1,98 @@
+/**
+ * Checks for damaged PDFs. pdf-lib reads a file object by object rather than through
+ * its cross-reference table, so it opens most damaged files anyway, and everything
+ * saved from them gets a fresh structure. These checks tell which files needed that,
+ * so they can be reported as repaired, and explain the ones that cannot be opened.
+ */
+import { PDFName, PDFNumber, PDFInvalidObject } from '@cantoo/pdf-lib';
+
+const latin1 = new TextDecoder('latin1');
+
+// Readers look for the end-of-file marker and startxref within the last 1 KB
+const TAIL_SIZE = 1024;
+
+/**
+ * Tells whether a cross-reference table ("xref") or stream ("12 0 obj") starts at `offset`.
+ */
+function isCrossReferenceAt(bytes, offset) {
+  if (!(offset >= 0 && offset < bytes.length)) {
+    return false;
+  }
+  const text = latin1.decode(bytes.subarray(offset, offset + 32)).trimStart();
+  return text.startsWith('xref') || /^\d+\s+\d+\s+obj\b/.test(text);
+}
+
+/**
+ * Looks for damage in the file structure of a PDF that pdf-lib works around when
+ * loading it. Returns a list of what was wrong, or [] for a sound file.
+ */
+export function checkPdfStructure(bytes) {
+  const issues = [];
+  const head = latin1.decode(bytes.subarray(0, TAIL_SIZE));
+  const tail = latin1.decode(bytes.subarray(Math.max(0, bytes.length - TAIL_SIZE)));
+
+  if (head.indexOf('%PDF-') > 0) {
+    issues.push('Unexpected data before the PDF header was skipped.');
+  }
+  if (!tail.includes('%%EOF')) {
+    issues.push('The end-of-file marker (%%EOF) was missing.');
+  }
+  const startxref = tail.match(/startxref\s+(\d+)(?![\s\S]*startxref)/);
+  if (!startxref || !isCrossReferenceAt(bytes, Number(startxref[1]))) {
+    issues.push('The cross-reference table was missing or damaged and has been rebuilt.');
+  }
+  return issues;
+}
+
+/**
+ * Looks for parts of a loaded PDF that could not be read. Returns a list of what was
+ * lost, or [] if everything was read.
+ */
+export function checkLoadedPdf(pdf) {
+  const issues = [];
+  const invalid = pdf.context.enumerateIndirectObjects().filter(([, object]) => object instanceof PDFInvalidObject);
+  if (invalid.length > 0) {
+    issues.push(`${invalid.length} damaged object${invalid.length !== 1 ? 's were' : ' was'} left out.`);
+  }
+
+  // The page tree says how many pages there should be
+  const count = pdf.catalog.Pages().lookupMaybe(PDFName.of('Count'), PDFNumber);
+  const expected = count ? count.asNumber() : pdf.getPageCount();
+  const missing = expected - pdf.getPageCount();
+  if (missing > 0) {
+    issues.push(`${missing} of ${expected} pages could not be recovered.`);
+  }
+  return issues;
+}
+
+/**
+ * Turns an error from loading a PDF into a message for the user.
+ */
+export function describeLoadError(error) {
+  if (/No PDF header found/i.test(error.message)) {
+    return 'This is not a PDF file, or its beginning is missing.';
+  }
+  return `The file is too damaged to open (${error.message}).`;
+}
+
+/**
+ * Writes a plain-text report of the checked files, [{ name, size, status, pageCount,
+ * issues, error }] with `status` 'valid', 'encrypted', 'repaired' or 'failed'.
+ */
+export function formatFileReport(files, { date = new Date() } = {}) {
+  const lines = [`PDF file report, ${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`, ''];
+
+  for (const file of files) {
+    const size = `${(file.size / 1024 / 1024).toFixed(2)} MB`;
+    if (file.status === 'failed') {
+      lines.push(`${file.name} (${size}): failed. ${file.error}`);
+      continue;
+    }
+    const pages = `${file.pageCount} page${file.pageCount !== 1 ? 's' : ''}`;
+    lines.push(`${file.name} (${size}, ${pages}): ${file.status}`);
+    file.issues.forEach(issue => lines.push(`  - ${issue}`));
+  }
+
+  lines.push('', 'Repairs are made in the files saved from here; your original files are left unchanged.');
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument } from '@cantoo/pdf-lib';
+import { formatFileReport } from './pdfRepair.js';
+import { inspectPdf, mergePdfs, checkWorkload } from './pdfOps.js';
+
+const latin1 = new TextDecoder('latin1');
+const toBytes = text => Uint8Array.from(text, c => c.charCodeAt(0));
+
+/**
+ * Creates a three-page PDF with a classic cross-reference table, as text.
+ */
+async function makePdfText() {
+  const pdf = await PDFDocument.create();
+  for (let i = 1; i <= 3; i++) {
+    pdf.addPage([300, 400]).drawText(`Page ${i}`);
+  }
+  return latin1.decode(await pdf.save({ useObjectStreams: false }));
+}
+
+describe('damaged files', () => {
+  it('finds nothing wrong with a sound file', async () => {
+    const { issues, encrypted } = await inspectPdf(toBytes(await makePdfText()));
+    expect(issues).toEqual([]);
+    expect(encrypted).toBe(false);
+  });
+
+  it('repairs a missing end marker, a broken cross-reference table and leading junk', async () => {
+    const text = await makePdfText();
+
+    expect((await inspectPdf(toBytes(text.replace(/%%EOF\s*$/, '')))).issues)
+      .toEqual(['The end-of-file marker (%%EOF) was missing.']);
+    expect((await inspectPdf(toBytes(text.replace(/startxref\s+\d+/, 'startxref\n99999')))).issues)
+      .toEqual(['The cross-reference table was missing or damaged and has been rebuilt.']);
+    expect((await inspectPdf(toBytes(`junk\n${text}`))).issues)
+      .toContain('Unexpected data before the PDF header was skipped.');
+  });
+
+  it('reports pages lost from a truncated file, and saves a sound copy', async () => {
+    const text = await makePdfText();
+    const truncated = toBytes(text.slice(0, Math.floor(text.length * 0.6)));
+
+    const { pageCount, issues } = await inspectPdf(truncated);
+    expect(pageCount).toBe(2);
+    expect(issues).toContain('1 of 3 pages could not be recovered.');
+
+    const { bytes: merged } = await mergePdfs([{ name: 'truncated.pdf', bytes: truncated }]);
+    expect((await inspectPdf(merged)).issues).toEqual([]);
+  });
+
+  it('explains files that cannot be opened', async () => {
+    await expect(inspectPdf(toBytes('hello world'))).rejects.toThrow('This is not a PDF file, or its beginning is missing.');
+  });
+});
+
+describe('file report', () => {
+  it('lists each file with its status and what was fixed', () => {
+    const report = formatFileReport([
+      { name: 'a.pdf', size: 1024 * 1024, status: 'repaired', pageCount: 2, issues: ['The end-of-file marker (%%EOF) was missing.'] },
+      { name: 'b.pdf', size: 0, status: 'failed', error: 'This is not a PDF file, or its beginning is missing.' },
+    ], { date: new Date('2024-05-06T07:08:00Z') });
+
+    expect(report).toBe([
+      'PDF file report, 2024-05-06 07:08 UTC',
+      '',
+      'a.pdf (1.00 MB, 2 pages): repaired',
+      '  - The end-of-file marker (%%EOF) was missing.',
+      'b.pdf (0.00 MB): failed. This is not a PDF file, or its beginning is missing.',
+      '',
+      'Repairs are made in the files saved from here; your original files are left unchanged.',
+      '',
+    ].join('\n'));
+  });
+
+  it('warns about large batches', () => {
+    expect(checkWorkload([{ size: 1024, pageCount: 10 }])).toBeNull();
+    expect(checkWorkload([{ size: 150 * 1024 * 1024, pageCount: 1500 }, { size: 100 * 1024 * 1024, pageCount: 900 }]))
+      .toMatch(/^These files add up to 250 MB and 2,400 pages\./);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Finds text to redact in a document opened with pdf.js, and checks a redacted
+ * document for text left under its redaction areas. Areas are in PDF user space,
+ * like those of ./pdfRedact.js.
+ */
+
+/**
+ * Ready-made patterns for information that is often redacted.
+ */
+export const REDACTION_PATTERNS = {
+  email: { label: 'Email addresses', source: '[\\w.+-]+@[\\w-]+(?:\\.[\\w-]+)+' },
+  phone: { label: 'Phone numbers', source: '\\+?\\(?\\d{1,4}\\)?(?:[ .-]?\\(?\\d{2,4}\\)?){2,4}\\d' },
+  id: {
+    label: 'ID and account numbers',
+    // Social security numbers, IBANs and other long runs of digits
+    source: '\\b\\d{3}-\\d{2}-\\d{4}\\b|\\b[A-Z]{2}\\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\\b|\\b\\d{8,}\\b',
+  },
+};
+
+// Text sits between these fractions of its height below and above the baseline
+const TEXT_BOTTOM = -0.25;
+const TEXT_TOP = 1;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds one pattern from `presets` (keys of `REDACTION_PATTERNS`) and `terms`, one
+ * search term per line, read as regular expressions with `regex`. Returns { pattern }
+ * with a RegExp, or { error } with a message.
+ */
+export function buildSearchPattern({ presets = [], terms = '', regex = false }) {
+  const sources = presets.map(key => REDACTION_PATTERNS[key].source);
+  for (const term of terms.split('\n').map(line => line.trim()).filter(Boolean)) {
+    if (regex) {
+      try {
+        if (new RegExp(term).test('')) {
+          return { error: `"${term}" also matches empty text.` };
+        }
+      } catch {
+        return { error: `"${term}" is not a valid regular expression.` };
+      }
+    }
+    sources.push(regex ? term : escapeRegExp(term));
+  }
+
+  if (sources.length === 0) {
+    return { error: 'Please pick something to find or enter a search term.' };
+  }
+  return { pattern: new RegExp(sources.map(source => `(?:${source})`).join('|'), 'gi') };
+}
+
+/**
+ * Returns the text items of one page (1-based) of an opened document, with the page
+ * text they make up: { text, items }, each item { start, str, transform, width, height }
+ * with `start` its offset in `text`.
+ */
+async function readPageText(doc, pageNumber) {
+  const page = await doc.getPage(pageNumber);
+  const content = await page.getTextContent();
+  page.cleanup();
+
+  let text = '';
+  const items = [];
+  for (const item of content.items) {
+    if (typeof item.str !== 'string') continue;
+    items.push({ start: text.length, str: item.str, transform: item.transform, width: item.width, height: item.height });
+    text += item.hasEOL ? `${item.str}\n` : item.str;
+  }
+  return { text, items };
+}
+
+/**
+ * The box of characters `from` to `to` of a text item, sized in proportion to the
+ * item's length, as { x, y, width, height }. `pad` widens it by that many characters
+ * on either side.
+ */
+function characterBox(item, from, to, pad = 0) {
+  const [a, b, c, d, e, f] = item.transform;
+  const advance = item.width / Math.max(1, item.str.length);
+  const run = Math.hypot(a, b) || 1;
+  const rise = Math.hypot(c, d) || 1;
+  const along = [a / run, b / run];
+  const up = [c / rise, d / rise];
+
+  const corners = [];
+  for (const distance of [(from - pad) * advance, (to + pad) * advance]) {
+    for (const height of [TEXT_BOTTOM * item.height, TEXT_TOP * item.height]) {
+      corners.push([e + along[0] * distance + up[0] * height, f + along[1] * distance + up[1] * height]);
+    }
+  }
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * The boxes of the text from offset `start` to `end` of a page (see `readPageText`),
+ * one per text item it spans.
+ */
+function matchBoxes(items, start, end, pad) {
+  return items
+    .filter(item => item.start < end && item.start + item.str.length > start && item.width > 0)
+    .map(item => characterBox(item, Math.max(0, start - item.start), Math.min(item.str.length, end - item.start), pad));
+}
+
+const overlaps = (box, area) => box.x < area.x + area.width && box.x + box.width > area.x
+  && box.y < area.y + area.height && box.y + box.height > area.y;
+
+/**
+ * Finds the text matching `pattern` (see `buildSearchPattern`) on every page and
+ * resolves to redaction areas covering it: [{ page, x, y, width, height, text }].
+ * Character positions are estimated from the text items pdf.js finds, so the areas
+ * reach a little past both ends of each match. Stops with an AbortError when `signal`
+ * is aborted; `onProgress` receives the { index, count } of pages searched.
+ */
+export async function findTextAreas(doc, pattern, { signal, onProgress = () => {} } = {}) {
+  const areas = [];
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+    if (signal) signal.throwIfAborted();
+    const { text, items } = await readPageText(doc, pageNumber);
+    for (const match of text.matchAll(new RegExp(pattern.source, pattern.flags))) {
+      if (match[0].trim() === '') continue;
+      matchBoxes(items, match.index, match.index + match[0].length, 0.3)
+        .forEach(box => areas.push({ page: pageNumber, ...box, text: match[0] }));
+    }
+    onProgress({ index: pageNumber, count: doc.numPages });
+  }
+  return areas;
+}
+
+/**
+ * Checks a redacted document for text that is still there under its redaction
+ * `areas`: characters whose centre lies in an area and matches of any of `patterns`
+ * that reach into one. Resolves to the leaks found, [{ page, text }].
+ */
+export async function findLeaks(doc, areas, { patterns = [] } = {}) {
+  const leaks = [];
+  const pageNumbers = [...new Set(areas.map(area => area.page))].sort((a, b) => a - b);
+  for (const pageNumber of pageNumbers) {
+    const pageAreas = areas.filter(area => area.page === pageNumber);
+    const { text, items } = await readPageText(doc, pageNumber);
+
+    for (const item of items) {
+      const leaked = [...item.str].filter((char, index) => {
+        if (char.trim() === '') return false;
+        const box = characterBox(item, index, index + 1);
+        const centre = { x: box.x + box.width / 2, y: box.y + box.height / 2, width: 0, height: 0 };
+        return pageAreas.some(area => centre.x >= area.x && centre.x <= area.x + area.width
+          && centre.y >= area.y && centre.y <= area.y + area.height);
+      });
+      if (leaked.length > 0) leaks.push({ page: pageNumber, text: leaked.join('') });
+    }
+
+    for (const pattern of patterns) {
+      for (const match of text.matchAll(new RegExp(pattern.source, pattern.flags))) {
+        const boxes = matchBoxes(items, match.index, match.index + match[0].length, 0);
+        if (boxes.some(box => pageAreas.some(area => overlaps(box, area)))) {
+          leaks.push({ page: pageNumber, text: match[0] });
+        }
+      }
+    }
+  }
+  return leaks;
+}
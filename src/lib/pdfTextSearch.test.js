@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, StandardFonts } from '@cantoo/pdf-lib';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { buildSearchPattern, findTextAreas, findLeaks } from './pdfTextSearch.js';
+import { redactPdf } from './pdfOps.js';
+
+async function makePdf(lines) {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const page = pdf.addPage([400, 400]);
+  lines.forEach((line, i) => page.drawText(line, { x: 20, y: 350 - i * 30, size: 12, font }));
+  return pdf.save();
+}
+
+async function withDoc(bytes, callback) {
+  const doc = await getDocument({ data: bytes.slice(0), verbosity: 0 }).promise;
+  try {
+    return await callback(doc);
+  } finally {
+    await doc.destroy();
+  }
+}
+
+describe('buildSearchPattern', () => {
+  it('combines presets and search terms', () => {
+    const { pattern } = buildSearchPattern({ presets: ['email', 'id'], terms: 'Project X\n\n' });
+    const text = 'Mail ann@example.org about project x, SSN 123-45-6789, IBAN DE89 3704 0044 0532 0130 00.';
+    expect(text.match(pattern)).toEqual(['ann@example.org', 'project x', '123-45-6789', 'DE89 3704 0044 0532 0130 00']);
+  });
+
+  it('reads terms literally unless they are regular expressions', () => {
+    expect('a.b axb'.match(buildSearchPattern({ terms: 'a.b' }).pattern)).toEqual(['a.b']);
+    expect('a.b axb'.match(buildSearchPattern({ terms: 'a.b', regex: true }).pattern)).toEqual(['a.b', 'axb']);
+  });
+
+  it('rejects empty searches and broken expressions', () => {
+    expect(buildSearchPattern({ terms: ' ' }).error).toMatch(/enter a search term/);
+    expect(buildSearchPattern({ terms: '(a', regex: true }).error).toMatch(/not a valid/);
+    expect(buildSearchPattern({ terms: 'a*', regex: true }).error).toMatch(/empty text/);
+  });
+});
+
+describe('findTextAreas', () => {
+  it('finds matches on the page and passes the redaction check once removed', async () => {
+    const bytes = await makePdf(['Contact: jane.doe@example.com today', 'No address here']);
+    const { pattern } = buildSearchPattern({ presets: ['email'] });
+
+    const areas = await withDoc(bytes, doc => findTextAreas(doc, pattern));
+    expect(areas).toHaveLength(1);
+    expect(areas[0]).toMatchObject({ page: 1, text: 'jane.doe@example.com' });
+    expect(areas[0].y).toBeLessThan(350);
+    expect(areas[0].y + areas[0].height).toBeGreaterThan(358);
+
+    expect(await withDoc(bytes, doc => findLeaks(doc, areas, { patterns: [pattern] }))).not.toEqual([]);
+    const { bytes: redacted } = await redactPdf(bytes, areas);
+    expect(await withDoc(redacted, doc => findLeaks(doc, areas, { patterns: [pattern] }))).toEqual([]);
+    expect(await withDoc(redacted, doc => findTextAreas(doc, pattern))).toEqual([]);
+  });
+});
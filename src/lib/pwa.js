@@ -0,0 +1,56 @@
+/**
+ * Installed-app support: the service worker that keeps PDFSnap working offline,
+ * and the files the operating system hands over, opened with the app (the
+ * manifest's file_handlers) or shared to it (its share_target).
+ */
+
+// Must match SHARE_CACHE in serviceWorker.js
+const SHARE_CACHE = 'pdfsnap-shared';
+
+/**
+ * Registers the service worker. It only exists in production builds.
+ */
+export function registerServiceWorker() {
+  if ('serviceWorker' in navigator && import.meta.env.PROD) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error));
+    });
+  }
+}
+
+/**
+ * Calls `onFiles(files)` whenever files are opened with the installed app.
+ * Does nothing in browsers without file handling.
+ */
+export function onLaunchFiles(onFiles) {
+  if (!('launchQueue' in window)) {
+    return;
+  }
+  window.launchQueue.setConsumer(async ({ files }) => {
+    if (files.length > 0) {
+      onFiles(await Promise.all(files.map(handle => handle.getFile())));
+    }
+  });
+}
+
+/**
+ * Returns the files shared to the app when the page was opened by a share, or [].
+ * They are removed from the share cache so a reload does not add them again.
+ */
+export async function takeSharedFiles() {
+  if (!new URLSearchParams(window.location.search).has('shared') || !('caches' in window)) {
+    return [];
+  }
+  window.history.replaceState(null, '', '/');
+
+  const cache = await caches.open(SHARE_CACHE);
+  const requests = await cache.keys();
+  const index = request => Number(new URL(request.url).pathname.split('/').pop());
+  const files = await Promise.all(requests.sort((a, b) => index(a) - index(b)).map(async (request) => {
+    const response = await cache.match(request);
+    const name = decodeURIComponent(response.headers.get('X-File-Name'));
+    return new File([await response.blob()], name, { type: response.headers.get('Content-Type') });
+  }));
+  await caches.delete(SHARE_CACHE);
+  return files;
+}
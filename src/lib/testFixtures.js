@@ -0,0 +1,6 @@
+/**
+ * Shared inputs for the unit tests.
+ */
+
+// A 2 x 1 pixel PNG (one red, one blue pixel)
+export const WIDE_PNG = Uint8Array.from(atob('iVBORw0KGgoAAAANSUhEUgAAAAIAAAABCAIAAAB7QOjdAAAADUlEQVR4nGP4zwAE/wEHAAH/4iOeWQAAAABJRU5ErkJggg=='), c => c.charCodeAt(0));
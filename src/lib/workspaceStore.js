@@ -0,0 +1,183 @@
+/**
+ * Keeps the workspace (the file list, the current tab and the settings picked for
+ * it) in IndexedDB, so a reload or a crashed tab does not lose it. Nothing leaves
+ * the device, and a saved workspace expires after the time the user chose.
+ *
+ * Files are kept in their own store and only written when they join the list, so
+ * that saving a new page range does not copy every PDF again.
+ */
+
+const DB_NAME = 'pdfsnap-workspace';
+const STATE_STORE = 'state';
+const FILE_STORE = 'files';
+const STATE_KEY = 'current';
+const EXPIRY_KEY = 'pdfsnap-workspace-expiry'; // localStorage, so the choice outlives a cleared workspace
+
+// How long a saved workspace is kept after the last change
+export const EXPIRY_OPTIONS = [
+  { id: 'off', label: "Don't keep", ms: 0 },
+  { id: '1h', label: '1 hour', ms: 60 * 60 * 1000 },
+  { id: '1d', label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+];
+
+const DEFAULT_EXPIRY = '1d';
+
+// Storage keys of the File objects already saved, so they are written only once
+let fileKeys = new WeakMap();
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STATE_STORE);
+        request.result.createObjectStore(FILE_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null; // Try again next time, e.g. after the user allowed storage
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs `work(stores)` in one transaction over both stores and resolves to its
+ * result once the transaction has committed.
+ */
+async function transaction(mode, work) {
+  const db = await openDb();
+  const tx = db.transaction([STATE_STORE, FILE_STORE], mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await work({ state: tx.objectStore(STATE_STORE), files: tx.objectStore(FILE_STORE) });
+  await done;
+  return result;
+}
+
+/**
+ * Returns the id of the chosen expiry (see `EXPIRY_OPTIONS`).
+ */
+export function getWorkspaceExpiry() {
+  const stored = localStorage.getItem(EXPIRY_KEY);
+  return EXPIRY_OPTIONS.some(option => option.id === stored) ? stored : DEFAULT_EXPIRY;
+}
+
+/**
+ * Remembers the expiry that `saveWorkspace` applies from now on.
+ */
+export function setWorkspaceExpiry(id) {
+  localStorage.setItem(EXPIRY_KEY, id);
+}
+
+/**
+ * Saves `workspace`, whose `files` are [{ file, range, reverse }] in list order. The other
+ * fields are stored as they are. Resolves to the time the saved workspace expires,
+ * or null when it was removed instead: with the expiry set to 'off', or when there
+ * are no files left to keep.
+ */
+export async function saveWorkspace(workspace) {
+  const { ms } = EXPIRY_OPTIONS.find(option => option.id === getWorkspaceExpiry());
+  if (ms === 0 || workspace.files.length === 0) {
+    await clearWorkspace();
+    return null;
+  }
+
+  const files = workspace.files.map(({ file, range, reverse }) => {
+    if (!fileKeys.has(file)) {
+      fileKeys.set(file, { key: crypto.randomUUID(), saved: false });
+    }
+    return { key: fileKeys.get(file).key, range, reverse };
+  });
+
+  const expiresAt = Date.now() + ms;
+  await transaction('readwrite', async (stores) => {
+    const keep = new Set(files.map(f => f.key));
+    for (const key of await promisify(stores.files.getAllKeys())) {
+      if (!keep.has(key)) stores.files.delete(key);
+    }
+    for (const { file } of workspace.files) {
+      const entry = fileKeys.get(file);
+      if (!entry.saved) stores.files.put(file, entry.key);
+    }
+    stores.state.put({ ...workspace, files, expiresAt }, STATE_KEY);
+  });
+  workspace.files.forEach(({ file }) => {
+    fileKeys.get(file).saved = true;
+  });
+  return expiresAt;
+}
+
+/**
+ * Resolves to the saved workspace, with `files` as [{ file, range, reverse }] and its
+ * `expiresAt` time, or null when there is none. An expired workspace is removed
+ * rather than returned.
+ */
+export async function loadWorkspace() {
+  const saved = await transaction('readonly', async (stores) => {
+    const state = await promisify(stores.state.get(STATE_KEY));
+    if (!state || state.expiresAt <= Date.now()) {
+      return state ? 'expired' : null;
+    }
+    const files = await Promise.all(state.files.map(({ key }) => promisify(stores.files.get(key))));
+    return { state, files };
+  });
+
+  if (saved === 'expired') {
+    await clearWorkspace();
+    return null;
+  }
+  if (!saved) {
+    return null;
+  }
+
+  const { state, files } = saved;
+  return {
+    ...state,
+    files: state.files
+      .map(({ key, range, reverse }, index) => {
+        if (files[index]) fileKeys.set(files[index], { key, saved: true });
+        return { file: files[index], range, reverse };
+      })
+      .filter(({ file }) => file), // Skip files the browser evicted
+  };
+}
+
+/**
+ * Removes the saved workspace if it has expired, e.g. while the app was closed.
+ * Resolves to true when it did.
+ */
+export async function removeExpiredWorkspace() {
+  const state = await transaction('readonly', stores => promisify(stores.state.get(STATE_KEY)));
+  if (!state || state.expiresAt > Date.now()) {
+    return false;
+  }
+  await clearWorkspace();
+  return true;
+}
+
+/**
+ * Removes the saved workspace and its files.
+ */
+export async function clearWorkspace() {
+  fileKeys = new WeakMap();
+  await transaction('readwrite', (stores) => {
+    stores.state.clear();
+    stores.files.clear();
+  });
+}
@@ -2,9 +2,16 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './lib/pwa'
+import { removeExpiredWorkspace } from './lib/workspaceStore'
+
+// Drop an expired workspace before the app starts, so its files are not kept any longer
+removeExpiredWorkspace().catch(error => console.warn('Could not remove the expired workspace:', error))
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>,
 )
+
+registerServiceWorker()
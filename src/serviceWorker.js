@@ -0,0 +1,70 @@
+/**
+ * Service worker that keeps PDFSnap working offline. The build (see vite.config.js)
+ * replaces `self.__PRECACHE_MANIFEST` with { version, files }: every file of the
+ * build, so the app shell, the PDF workers and their libraries are all cached on
+ * install, before they are first needed.
+ *
+ * It also receives files shared to the installed app (the manifest's share_target)
+ * and hands them to the page through SHARE_CACHE (see `takeSharedFiles`).
+ */
+const MANIFEST = self.__PRECACHE_MANIFEST;
+const CACHE = `pdfsnap-${MANIFEST.version}`;
+const SHARE_CACHE = 'pdfsnap-shared';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(MANIFEST.files)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop the caches of earlier builds
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('pdfsnap-') && name !== CACHE && name !== SHARE_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Stores the files of a share in SHARE_CACHE and sends the page to pick them up.
+ */
+async function receiveShare(request) {
+  const data = await request.formData();
+  await caches.delete(SHARE_CACHE);
+  const cache = await caches.open(SHARE_CACHE);
+  await Promise.all(data.getAll('files').map((file, index) => cache.put(`/shared/${index}`, new Response(file, {
+    headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) },
+  }))));
+  return Response.redirect('/?shared', 303);
+}
+
+/**
+ * Answers page loads from the network when online, so updates arrive, and from
+ * the cached app shell otherwise.
+ */
+async function navigate(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match('/', { cacheName: CACHE })) || Response.error();
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.method === 'POST' && url.pathname === '/share-target') {
+    event.respondWith(receiveShare(request));
+  } else if (request.method === 'GET' && request.mode === 'navigate') {
+    event.respondWith(navigate(request));
+  } else if (request.method === 'GET') {
+    // Built files have content hashes in their names, so a cached copy never goes stale
+    event.respondWith(caches.match(request, { cacheName: CACHE }).then(cached => cached || fetch(request)));
+  }
+});
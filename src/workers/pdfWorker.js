@@ -0,0 +1,208 @@
+import {
+  inspectPdf,
+  mergePdfs,
+  splitPdf,
+  compressPdf,
+  stampPdf,
+  fillPdf,
+  redactPdf,
+  rasterizePdfPages,
+  layoutPdf,
+  zipFiles,
+  detectImageType,
+  getPageCount,
+} from '../lib/pdfOps';
+import { combineInputs, runStep } from '../lib/pdfPipeline';
+import { encodeJpeg, convertToPng } from '../lib/imageEncoder';
+
+/**
+ * Posts a progress event. `file` and `page` are { index, count } pairs (0-based index),
+ * `file` also carries the name of the file being worked on.
+ */
+function reportProgress({ file, page }) {
+  self.postMessage({ type: 'progress', file, page });
+}
+
+/**
+ * Reads the page count, metadata and form fields of a PDF.
+ */
+async function inspect({ buffer, password }) {
+  return inspectPdf(new Uint8Array(buffer), { password });
+}
+
+/**
+ * Turns posted `files` ([{ name, buffer, password, range, reverse? }]) into inputs for
+ * `mergePdfs`. Files may also be JPEG, PNG or WebP images; WebP is converted to
+ * PNG here as pdf-lib cannot embed it.
+ */
+function readInputs(files) {
+  return Promise.all(files.map(async (file) => {
+    const bytes = new Uint8Array(file.buffer);
+    return { ...file, bytes: detectImageType(bytes) === 'webp' ? await convertToPng(bytes, 'image/webp') : bytes };
+  }));
+}
+
+/**
+ * Merges `files` (see `readInputs`) into one PDF, one after another or interleaved (`order`).
+ * Also returns the `warnings` about what was left out.
+ */
+async function merge({ files, mode, order, options, metadata, protection }) {
+  const inputs = await readInputs(files);
+  const { bytes, warnings } = await mergePdfs(inputs, { mode, order, options, metadata, protection, onProgress: reportProgress });
+  return { outputs: [{ fileName: 'merged.pdf', bytes, type: 'application/pdf' }], warnings };
+}
+
+/**
+ * Splits one PDF into `groups`. Without a `zipName` a single group comes back as
+ * a PDF; otherwise the parts are bundled into a ZIP archive of that name.
+ */
+async function split({ buffer, password, groups, zipName, metadata, protection }) {
+  const outputs = await splitPdf(new Uint8Array(buffer), groups, { password, metadata, protection, onProgress: reportProgress });
+
+  if (outputs.length === 1 && !zipName) {
+    return { outputs: [{ ...outputs[0], type: 'application/pdf' }] };
+  }
+
+  const bytes = await zipFiles(outputs, {
+    onProgress: (percent) => reportProgress({
+      file: { index: groups.length - 1, count: groups.length, name: zipName },
+      page: { index: Math.round(percent), count: 100 },
+    }),
+  });
+  return { outputs: [{ fileName: zipName, bytes, type: 'application/zip' }] };
+}
+
+/**
+ * Compresses one PDF at `level` ('lossless', 'balanced' or 'strong') into `fileName`.
+ */
+async function compress({ buffer, password, level, metadata, protection, fileName }) {
+  const bytes = await compressPdf(new Uint8Array(buffer), {
+    name: fileName,
+    level,
+    password,
+    metadata,
+    protection,
+    encodeImage: encodeJpeg,
+    onProgress: reportProgress,
+  });
+  return { outputs: [{ fileName, bytes, type: 'application/pdf' }] };
+}
+
+/**
+ * Stamps one PDF with `settings` (see `validateStamp`) into `fileName`. `image` is the
+ * buffer of an image watermark, if any; WebP is converted to PNG like in `merge`.
+ */
+async function stamp({ buffer, password, settings, image, metadata, protection, fileName }) {
+  let imageBytes = image ? new Uint8Array(image) : null;
+  if (imageBytes && detectImageType(imageBytes) === 'webp') {
+    imageBytes = await convertToPng(imageBytes, 'image/webp');
+  }
+
+  const bytes = await stampPdf(new Uint8Array(buffer), settings, {
+    name: fileName,
+    image: imageBytes,
+    password,
+    metadata,
+    protection,
+    onProgress: reportProgress,
+  });
+  return { outputs: [{ fileName, bytes, type: 'application/pdf' }] };
+}
+
+/**
+ * Fills the form of one PDF with `values`, flattening it if asked, into `fileName`.
+ */
+async function fill({ buffer, password, values, flatten, metadata, protection, fileName }) {
+  const bytes = await fillPdf(new Uint8Array(buffer), values, {
+    name: fileName,
+    flatten,
+    password,
+    metadata,
+    protection,
+    onProgress: reportProgress,
+  });
+  return { outputs: [{ fileName, bytes, type: 'application/pdf' }] };
+}
+
+/**
+ * Redacts `areas` of one PDF into `fileName`. Also returns what was removed and the
+ * redacted pages, with their rotations, for rasterizing them afterwards.
+ */
+async function redact({ buffer, password, areas, removeImages, metadata, protection, fileName }) {
+  const { bytes, summary, pages } = await redactPdf(new Uint8Array(buffer), areas, {
+    name: fileName,
+    removeImages,
+    password,
+    metadata,
+    protection,
+    onProgress: reportProgress,
+  });
+  return { outputs: [{ fileName, bytes, type: 'application/pdf' }], summary, pages };
+}
+
+/**
+ * Replaces pages of one PDF with the JPEG `images` ([{ page, buffer }]) of them.
+ */
+async function rasterize({ buffer, images, metadata, protection, fileName }) {
+  const pageImages = images.map(image => ({ page: image.page, bytes: new Uint8Array(image.buffer) }));
+  const bytes = await rasterizePdfPages(new Uint8Array(buffer), pageImages, {
+    name: fileName,
+    metadata,
+    protection,
+    onProgress: reportProgress,
+  });
+  return { outputs: [{ fileName, bytes, type: 'application/pdf' }] };
+}
+
+/**
+ * Lays out one PDF as `settings` (see `validateLayout`) ask into `fileName`.
+ * `contentBoxes` are the detected page contents when cropping automatically.
+ * Also returns the `warnings` about what was left out.
+ */
+async function layout({ buffer, password, settings, contentBoxes, metadata, protection, fileName }) {
+  const { bytes, warnings } = await layoutPdf(new Uint8Array(buffer), settings, {
+    name: fileName,
+    contentBoxes,
+    password,
+    metadata,
+    protection,
+    onProgress: reportProgress,
+  });
+  return { outputs: [{ fileName, bytes, type: 'application/pdf' }], warnings };
+}
+
+/**
+ * Starts a pipeline by combining `files` (see `readInputs`) into one document.
+ * Also returns its page count, which the next step is checked against.
+ */
+async function pipelineStart({ files, options }) {
+  const bytes = await combineInputs(await readInputs(files), { options, onProgress: reportProgress });
+  return { outputs: [{ fileName: 'pipeline.pdf', bytes, type: 'application/pdf' }], pageCount: await getPageCount(bytes) };
+}
+
+/**
+ * Applies one pipeline `step` to a document, returning the result like `pipelineStart`.
+ */
+async function pipelineStep({ buffer, step }) {
+  const bytes = await runStep(new Uint8Array(buffer), step, {
+    name: 'pipeline.pdf',
+    encodeImage: encodeJpeg,
+    onProgress: reportProgress,
+  });
+  return { outputs: [{ fileName: 'pipeline.pdf', bytes, type: 'application/pdf' }], pageCount: await getPageCount(bytes) };
+}
+
+const jobs = { inspect, merge, split, compress, stamp, fill, redact, rasterize, layout, pipelineStart, pipelineStep };
+
+self.onmessage = async (event) => {
+  const { type, payload } = event.data;
+  try {
+    const result = await jobs[type](payload);
+    // Hand the output buffers back without copying them
+    const transfer = (result.outputs || []).map(output => output.bytes.buffer);
+    self.postMessage({ type: 'done', result }, transfer);
+  } catch (error) {
+    // Error classes do not survive postMessage, so pass the code along explicitly
+    self.postMessage({ type: 'error', message: error.message, code: error.code });
+  }
+};
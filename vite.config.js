@@ -1,11 +1,40 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+/**
+ * Emits src/serviceWorker.js as /sw.js, with the list of files to precache: the
+ * pages, scripts and workers of the build plus everything in public/.
+ */
+function serviceWorker() {
+  return {
+    name: 'pdfsnap-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const built = Object.keys(bundle).filter(name => !name.endsWith('.map') && name !== 'index.html')
+      const publicFiles = readdirSync('public')
+      const files = ['/', ...built, ...publicFiles].map(name => (name.startsWith('/') ? name : `/${name}`))
+
+      // Built file names carry content hashes; public files keep theirs, so hash their contents
+      const hash = createHash('sha256').update(files.join('\n'))
+      publicFiles.forEach(name => hash.update(readFileSync(`public/${name}`)))
+      const version = hash.digest('hex').slice(0, 12)
+
+      const source = readFileSync('src/serviceWorker.js', 'utf8')
+        .replace('MANIFEST = self.__PRECACHE_MANIFEST', `MANIFEST = ${JSON.stringify({ version, files })}`)
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(),
     tailwindcss(),
+    serviceWorker(),
   ],
 })